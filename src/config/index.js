@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const Ajv = require('ajv');
 const configSchema = require('./schema');
+const { writeJsonFile } = require('../utils/service-utils');
 
 class ConfigurationManager {
   constructor() {
@@ -10,7 +11,7 @@ class ConfigurationManager {
   }
 
   load() {
-    const configPath = path.join(__dirname, '../../config/config.json');
+    const configPath = path.join(this.getConfigDir(), 'config.json');
     let config = {};
     
     if (fs.existsSync(configPath)) {
@@ -35,6 +36,36 @@ class ConfigurationManager {
     return config;
   }
 
+  /**
+   * Save a single setting to config.json. The file is rewritten from its own
+   * contents, so environment overrides and schema defaults are not persisted.
+   * @param {string} keyPath - Dotted key, e.g. 'audio.device'
+   * @param {*} value - New value
+   */
+  async persist(keyPath, value) {
+    const configPath = path.join(this.getConfigDir(), 'config.json');
+    let fileConfig = {};
+
+    if (fs.existsSync(configPath)) {
+      fileConfig = JSON.parse(await fs.promises.readFile(configPath, 'utf8'));
+    }
+
+    const keys = keyPath.split('.');
+    const lastKey = keys.pop();
+    let target = fileConfig;
+    for (const key of keys) {
+      target[key] = target[key] || {};
+      target = target[key];
+    }
+    target[lastKey] = value;
+
+    await writeJsonFile(configPath, fileConfig);
+  }
+
+  getConfigDir() {
+    return path.join(__dirname, '../../config');
+  }
+
   applyEnvironmentOverrides(config) {
     if (process.env.OPENAI_API_KEY) {
       config.transcription = config.transcription || {};
@@ -47,6 +78,16 @@ class ConfigurationManager {
       config.audio.device = process.env.AUDIO_DEVICE;
     }
 
+    if (process.env.AUDIO_BACKEND) {
+      config.audio = config.audio || {};
+      config.audio.backend = process.env.AUDIO_BACKEND;
+    }
+
+    if (process.env.AUDIO_FILE) {
+      config.audio = config.audio || {};
+      config.audio.file = { ...config.audio.file, path: process.env.AUDIO_FILE };
+    }
+
     // Note: PORT environment variable only affects docker-compose external mapping
     // Internal container port should always be 3000 for simplicity
 
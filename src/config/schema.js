@@ -7,8 +7,130 @@ const configSchema = {
       properties: {
         sampleRate: { type: 'number', default: 16000 },
         channels: { type: 'number', default: 1 },
+        backend: { type: 'string', enum: ['auto', 'pipewire', 'pulseaudio', 'alsa', 'file'], default: 'auto' },
+        file: { // replay source used when backend is 'file'
+          type: 'object',
+          properties: {
+            path: { type: 'string', default: '-' }, // WAV or raw s16le PCM; '-' reads stdin
+            format: { type: 'string', enum: ['auto', 'wav', 'raw'], default: 'auto' },
+            speed: { type: 'number', minimum: 0, default: 1 }, // 1 = real time, 0 = as fast as possible
+            loop: { type: 'boolean', default: false },
+            silenceGapMs: { type: 'number', minimum: 0, default: 0 } // silence after each pass
+          },
+          default: {}
+        },
+        chunkDuration: { type: 'number', default: 2000 }, // ms
+        vadThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.01 }, // frame RMS energy counted as speech
+        silenceTimeout: { type: 'number', minimum: 0, default: 10000 }, // ms of silence after speech before auto-stop
         device: { type: 'string', default: 'default' },
-        maxRecordingDuration: { type: 'number', default: 300000 } // 5 minutes max recording
+        preferredDevices: { // fallbacks, in priority order, while audio.device is unplugged
+          type: 'array',
+          items: { type: 'string' },
+          default: []
+        },
+        monitorDevices: { type: 'boolean', default: true }, // follow hot-plug and default source changes
+        maxRecordingDuration: { type: 'number', default: 300000 }, // 5 minutes max recording
+        recordingWarnings: { // ms before maxRecordingDuration at which recordingWarning is emitted
+          type: 'array',
+          items: { type: 'number', minimum: 0 },
+          default: [30000]
+        },
+        levelMeter: {
+          type: 'object',
+          properties: {
+            rate: { type: 'number', minimum: 1, maximum: 60, default: 20 } // readings per second on /audio/levels
+          },
+          default: {}
+        },
+        clipThreshold: { type: 'number', minimum: 0, maximum: 1, default: 0.99 }, // |sample| counted as clipped by the level meter and quality report
+        preprocessing: { // applied to each recording before transcription
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: true },
+            order: {
+              type: 'array',
+              items: { type: 'string', enum: ['dcRemoval', 'highPass', 'noiseGate', 'agc', 'normalize'] },
+              uniqueItems: true,
+              default: ['dcRemoval', 'highPass', 'noiseGate', 'agc', 'normalize']
+            },
+            dcRemoval: {
+              type: 'object',
+              properties: { enabled: { type: 'boolean', default: true } },
+              default: {}
+            },
+            highPass: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', default: true },
+                cutoffHz: { type: 'number', minimum: 1, default: 80 }
+              },
+              default: {}
+            },
+            noiseGate: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', default: true },
+                thresholdDb: { type: 'number', maximum: 0, default: -50 },
+                attenuationDb: { type: 'number', minimum: 0, default: 30 },
+                holdMs: { type: 'number', minimum: 0, default: 200 } // keeps word endings after speech drops below the threshold
+              },
+              default: {}
+            },
+            agc: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', default: true },
+                targetDb: { type: 'number', maximum: 0, default: -20 }, // speech RMS level to aim for
+                maxGainDb: { type: 'number', minimum: 0, default: 20 },
+                speechFloorDb: { type: 'number', maximum: 0, default: -50 } // quieter frames don't count toward the level
+              },
+              default: {}
+            },
+            normalize: {
+              type: 'object',
+              properties: {
+                enabled: { type: 'boolean', default: true },
+                targetPeak: { type: 'number', minimum: 0, maximum: 1, default: 0.95 },
+                maxGainDb: { type: 'number', minimum: 0, default: 20 } // cap on agc and normalize boost combined
+              },
+              default: {}
+            }
+          },
+          default: {}
+        },
+        handsFree: { // voice-activated dictation, toggled with POST /dictation/handsfree
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: false }, // turn on at startup
+            threshold: { type: 'number', minimum: 0.0001, maximum: 1 }, // frame RMS energy counted as speech; defaults to vadThreshold
+            onsetMs: { type: 'number', minimum: 30, maximum: 2000, default: 90 }, // continuous speech that opens an utterance
+            silenceMs: { type: 'number', minimum: 100, maximum: 10000, default: 800 }, // trailing silence that ends an utterance
+            minUtteranceMs: { type: 'number', minimum: 0, maximum: 10000, default: 300 },
+            maxUtteranceMs: { type: 'number', minimum: 1000, maximum: 600000, default: 30000 } // longer speech is split
+          },
+          default: {}
+        },
+        calibration: { // POST /audio/calibrate; profiles are applied when their device becomes active
+          type: 'object',
+          properties: {
+            profilesFile: { type: 'string', default: 'audio-profiles.json' }, // relative to the config directory
+            roomToneMs: { type: 'number', minimum: 1000, maximum: 30000, default: 3000 },
+            speechMs: { type: 'number', minimum: 1000, maximum: 30000, default: 4000 },
+            targetDb: { type: 'number', minimum: -60, maximum: 0, default: -20 } // speech level the suggested gain aims for
+          },
+          default: {}
+        },
+        trimSilence: { // cut leading and trailing non-speech after preprocessing
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean', default: true },
+            thresholdDb: { type: 'number', maximum: 0, default: -40 }, // frame level counted as speech
+            paddingMs: { type: 'number', minimum: 0, default: 300 }, // kept around the speech
+            minSpeechMs: { type: 'number', minimum: 0, default: 100 } // shorter bursts (clicks, key presses) are ignored
+          },
+          default: {}
+        },
+        preRollMs: { type: 'number', minimum: 0, default: 500 } // audio kept from before recording starts
       }
     },
     transcription: {
@@ -37,11 +159,110 @@ const configSchema = {
     output: {
       type: 'object',
       properties: {
+        method: {
+          type: 'string',
+          enum: ['wtype', 'ydotool', 'dotool', 'clipboard', 'dry-run'],
+          default: 'wtype'
+        },
+        fallbackMethods: {
+          type: 'array',
+          items: { type: 'string', enum: ['wtype', 'ydotool', 'dotool', 'clipboard'] },
+          default: ['wtype', 'ydotool', 'dotool', 'clipboard'] // tried in order when method fails
+        },
         typeDelay: { type: 'number', default: 10 }, // ms between characters
         punctuationDelay: { type: 'number', default: 100 }, // ms after punctuation
+        undoHistorySize: { type: 'number', default: 10 }, // recent outputs kept for /output/undo
+        clipboard: {
+          type: 'object',
+          default: {},
+          properties: {
+            pasteKeys: { type: 'string', default: 'ctrl+v' }, // shortcut sent after wl-copy
+            preserve: { type: 'boolean', default: true }, // save and restore the user's clipboard
+            restoreDelay: { type: 'number', default: 300 } // ms to wait after pasting before restoring
+          }
+        },
+        rules: {
+          type: 'array',
+          default: [], // per-application delivery rules, first match wins
+          items: {
+            type: 'object',
+            required: ['name'],
+            additionalProperties: false,
+            properties: {
+              name: { type: 'string' },
+              match: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                  appId: { type: 'string' }, // case-insensitive regex against niri app_id
+                  title: { type: 'string' } // case-insensitive regex against window title
+                }
+              },
+              refuse: { type: 'boolean' }, // never type into matching windows
+              method: { type: 'string', enum: ['wtype', 'ydotool', 'dotool', 'clipboard', 'dry-run'] },
+              pasteKeys: { type: 'string' },
+              typeDelay: { type: 'number' },
+              punctuationDelay: { type: 'number' },
+              transforms: {
+                type: 'array',
+                items: {
+                  type: 'string',
+                  enum: ['appendSpace', 'appendNewline', 'stripTrailingNewlines', 'stripTrailingPeriod', 'lowercase']
+                }
+              }
+            }
+          }
+        },
         debug: { type: 'boolean', default: false }
       }
     },
+    voiceCommands: {
+      type: 'object',
+      default: {},
+      properties: {
+        enabled: { type: 'boolean', default: true },
+        defaultLanguage: { type: 'string', default: 'en' }, // table used when the detected language has none
+        prefix: { type: 'string', default: '' }, // e.g. "command"; needed before commands that are also ordinary words, like "period"
+        custom: {
+          type: 'object',
+          default: {}, // extra commands keyed by language code, checked before the built-in ones
+          additionalProperties: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['phrase', 'action'],
+              additionalProperties: false,
+              properties: {
+                phrase: { type: 'string', minLength: 1 },
+                action: {
+                  type: 'string',
+                  enum: ['punctuation', 'newline', 'key', 'text', 'deleteThat', 'allCaps', 'capitalize', 'literal']
+                },
+                value: { type: 'string' }
+              },
+              allOf: [
+                { // these actions type their value
+                  if: { properties: { action: { enum: ['punctuation', 'newline', 'text', 'key'] } } },
+                  then: { required: ['value'] }
+                },
+                { // keys the processor can type, see KEYS in voice-command-processor.js
+                  if: { properties: { action: { const: 'key' } } },
+                  then: { properties: { value: { enum: ['enter', 'tab'] } } }
+                }
+              ]
+            }
+          }
+        }
+      }
+    },
+    vocabulary: {
+      type: 'object',
+      default: {},
+      properties: {
+        file: { type: 'string', default: 'vocabulary.json' }, // relative to the config directory
+        maxPromptLength: { type: 'number', default: 800 } // characters of preferred terms sent as Whisper prompt
+      }
+    },
     server: {
       type: 'object',
       properties: {
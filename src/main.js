@@ -1,11 +1,19 @@
 #!/usr/bin/env node
 
+const path = require('path');
 const express = require('express');
 const winston = require('winston');
 const config = require('./config');
 const AudioCaptureService = require('./services/audio-capture');
 const AudioFormatConverter = require('./utils/audio-format');
 const TranscriptionManager = require('./services/transcription/transcription-manager');
+const OutputService = require('./services/output/output-service');
+const VoiceCommandProcessor = require('./services/voice-commands/voice-command-processor');
+const VocabularyService = require('./services/vocabulary');
+const CalibrationService = require('./services/calibration');
+const LevelMeter = require('./services/level-meter');
+const AudioPreprocessor = require('./services/audio-preprocessor');
+const HandsFreeDictation = require('./services/hands-free-dictation');
 
 // Load configuration
 let appConfig;
@@ -35,20 +43,82 @@ const serverConfig = config.getServerConfig();
 // Initialize services
 const audioCapture = new AudioCaptureService(appConfig, logger);
 const transcriptionManager = new TranscriptionManager(appConfig);
+const outputService = new OutputService(appConfig, logger);
+const voiceCommands = new VoiceCommandProcessor(appConfig, logger);
+const levelMeter = new LevelMeter(appConfig, logger, audioCapture);
+const audioPreprocessor = new AudioPreprocessor(appConfig, logger);
+const handsFree = new HandsFreeDictation(appConfig, logger, audioCapture);
+const vocabulary = new VocabularyService(
+  appConfig,
+  logger,
+  path.join(config.getConfigDir(), appConfig.vocabulary.file)
+);
+
+try {
+  vocabulary.load();
+} catch (error) {
+  logger.error('Failed to load vocabulary:', error.message);
+  process.exit(1);
+}
+
+const calibration = new CalibrationService(
+  appConfig,
+  logger,
+  audioCapture,
+  path.join(config.getConfigDir(), appConfig.audio.calibration.profilesFile)
+);
+
+try {
+  calibration.load();
+} catch (error) {
+  logger.error('Failed to load audio profiles:', error.message);
+  process.exit(1);
+}
 
 // Transcription event handlers
 transcriptionManager.on('transcription', (event) => {
   logger.debug('Transcription event:', {
     service: event.service,
     duration: event.duration,
-    fallback: event.fallback || false
+    fallback: event.fallback || false,
+    preprocessingMs: event.preprocessing ? event.preprocessing.totalMs : null,
+    qualityIssues: event.quality ? event.quality.issues.map(issue => issue.code) : null
   });
 });
 
+audioPreprocessor.on('noSpeech', (event) => {
+  logger.info('No speech in recording, skipping transcription', event);
+});
+
 transcriptionManager.on('health', (health) => {
   logger.debug('Transcription health update:', health);
 });
 
+// Output event handlers
+outputService.on('outputStarted', (event) => {
+  logger.debug('Text output started:', { characters: event.text.length });
+});
+
+outputService.on('outputCompleted', (event) => {
+  logger.debug('Text output completed:', {
+    method: event.method,
+    fallback: event.fallback,
+    duration: event.duration
+  });
+});
+
+outputService.on('outputFailed', (event) => {
+  logger.error('Text output failed:', event.error);
+});
+
+outputService.on('outputUndone', (event) => {
+  logger.debug('Text output undone:', { graphemes: event.graphemes, method: event.method });
+});
+
+outputService.on('outputRefused', (event) => {
+  logger.info(`Transcript not typed: focused window matches rule "${event.rule}"`);
+});
+
 // Audio event handlers
 audioCapture.on('started', () => {
   logger.info('Audio capture started successfully');
@@ -62,28 +132,89 @@ audioCapture.on('error', (error) => {
   logger.error('Audio capture error:', error);
 });
 
+// A device without a profile falls back to the configured thresholds
+calibration.on('profileApplied', ({ device, profile }) => {
+  audioCapture.vadThreshold = profile ? profile.vadThreshold : appConfig.audio.vadThreshold;
+  audioPreprocessor.setInputGain(profile ? profile.gainDb : 0);
+  handsFree.applyDeviceThreshold(
+    profile ? profile.vadThreshold : (appConfig.audio.handsFree.threshold ?? appConfig.audio.vadThreshold)
+  );
+  if (profile) {
+    logger.info('Audio profile applied', { device, vadThreshold: profile.vadThreshold, gainDb: profile.gainDb });
+  }
+});
+
 // Recording session event handlers
 audioCapture.on('recordingStarted', () => {
   // Log message already handled in AudioCaptureService
 });
 
-audioCapture.on('recordingStopped', async (sessionData) => {
-  logger.info(`Recording session completed: ${sessionData.duration.toFixed(2)}s, ${sessionData.audio.length} samples`);
-  
+/**
+ * Transcribe a recording and type the result into the focused window
+ * @param {Float32Array} audio - Recorded samples
+ * @param {number} duration - Recording length in seconds
+ * @param {Object} quality - Session quality report, attached to the transcription event
+ */
+async function transcribeAndOutput(audio, duration, quality) {
+  // Capture focus now; the user may switch windows while transcription runs
+  const outputTarget = await outputService.resolveTarget();
+
+  let transcriptionResult;
   try {
+    const preprocessed = audioPreprocessor.process(audio);
+    if (!preprocessed.speechDetected) {
+      return;
+    }
+
     // Transcribe the entire recording
-    const transcriptionResult = await transcriptionManager.transcribe(sessionData.audio);
+    transcriptionResult = await transcriptionManager.transcribe(
+      preprocessed.audio,
+      vocabulary.getTranscriptionOptions(),
+      { preprocessing: preprocessed.report, quality }
+    );
     logger.info('Transcription result:', {
       text: transcriptionResult.text,
       language: transcriptionResult.language,
-      duration: sessionData.duration,
-      audioSamples: sessionData.audio.length
+      duration,
+      audioSamples: audio.length
     });
-    
-    // TODO: Send transcribed text to output service (TICKET-007)
   } catch (error) {
     logger.error('Transcription failed:', error);
+    return;
+  }
+
+  const correctedText = vocabulary.apply(transcriptionResult.text);
+  const processed = voiceCommands.process(correctedText, transcriptionResult.language);
+
+  // "delete that" at the start of a recording removes the previous dictation
+  for (let i = 0; i < processed.undoPrevious; i++) {
+    try {
+      await outputService.undo();
+    } catch (error) {
+      logger.warn('Voice command undo failed:', error.message);
+      break;
+    }
+  }
+
+  try {
+    // Type the transcript into the focused window
+    await outputService.output(processed.text, { target: outputTarget, preserveWhitespace: true });
+  } catch (error) {
+    // Already logged by the outputFailed handler
   }
+}
+
+audioCapture.on('recordingStopped', async (sessionData) => {
+  logger.info(`Recording session completed: ${sessionData.duration.toFixed(2)}s, ${sessionData.audio.length} samples`, {
+    reason: sessionData.reason
+  });
+  await transcribeAndOutput(sessionData.audio, sessionData.duration, sessionData.quality);
+});
+
+// Hands-free utterances are handled one at a time so their text is typed in spoken order
+let handsFreeQueue = Promise.resolve();
+handsFree.on('utterance', (utterance) => {
+  handsFreeQueue = handsFreeQueue.then(() => transcribeAndOutput(utterance.audio, utterance.duration));
 });
 
 // Health check endpoint
@@ -111,7 +242,10 @@ app.get('/health', async (req, res) => {
       },
       services: {
         audioCapture: await audioCapture.getDetailedStatus(),
-        transcription: transcriptionManager.getMetrics()
+        handsFree: handsFree.getStatus(),
+        calibration: calibration.getStatus(),
+        transcription: transcriptionManager.getMetrics(),
+        output: await outputService.getDetailedStatus()
       }
     };
     
@@ -129,7 +263,7 @@ app.get('/health', async (req, res) => {
 // Add audio devices endpoint
 app.get('/audio/devices', async (req, res) => {
   try {
-    const devices = await audioCapture.listDevices();
+    const devices = await audioCapture.listDevices({ includeMonitors: req.query.monitors === 'true' });
     res.status(200).json(devices);
   } catch (error) {
     logger.error('Failed to list audio devices:', error);
@@ -137,6 +271,86 @@ app.get('/audio/devices', async (req, res) => {
   }
 });
 
+// Live input levels as Server-Sent Events
+app.get('/audio/levels', (req, res) => {
+  levelMeter.streamTo(req, res);
+});
+
+app.put('/audio/device', express.json(), async (req, res) => {
+  try {
+    const { device: deviceId, persist = false } = req.body || {};
+    const device = await audioCapture.setDevice(deviceId);
+
+    if (persist) {
+      await config.persist('audio.device', deviceId);
+      if (process.env.AUDIO_DEVICE) {
+        logger.warn('AUDIO_DEVICE is set and will override the saved device on next start');
+      }
+    }
+
+    res.status(200).json({
+      status: 'device_changed',
+      device,
+      persisted: Boolean(persist),
+      isCapturing: audioCapture.isCapturing,
+      isRecording: audioCapture.isRecording
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_DEVICE') {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.code === 'DEVICE_NOT_FOUND') {
+      return res.status(404).json({ error: error.message });
+    }
+    logger.error('Failed to change audio device:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Calibration: stay quiet for roomToneMs, then speak for speechMs; responds with the profile
+app.post('/audio/calibrate', express.json(), async (req, res) => {
+  // Hands-free would otherwise pick up the spoken sample as an utterance
+  const handsFreeWasEnabled = handsFree.enabled;
+  handsFree.disable();
+
+  try {
+    const profile = await calibration.calibrate(req.body || {});
+    res.status(200).json({ status: 'calibrated', profile });
+  } catch (error) {
+    if (error.code === 'INVALID_DURATION') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    if (['CAPTURE_NOT_RUNNING', 'RECORDING_IN_PROGRESS', 'CALIBRATION_IN_PROGRESS'].includes(error.code)) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    if (error.code === 'NO_SPEECH') {
+      return res.status(422).json({ error: error.message, code: error.code });
+    }
+    logger.error('Calibration failed:', error);
+    res.status(500).json({ error: error.message });
+  } finally {
+    if (handsFreeWasEnabled) {
+      handsFree.enable();
+    }
+  }
+});
+
+app.get('/audio/profiles', (req, res) => {
+  res.status(200).json({ activeDevice: calibration.activeDevice, profiles: calibration.getProfiles() });
+});
+
+app.delete('/audio/profiles/:device', async (req, res) => {
+  try {
+    if (!(await calibration.deleteProfile(req.params.device))) {
+      return res.status(404).json({ error: `No audio profile for ${req.params.device}` });
+    }
+    res.status(200).json({ status: 'profile_deleted', device: req.params.device });
+  } catch (error) {
+    logger.error('Failed to delete audio profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Add audio control endpoints
 app.post('/audio/start', async (req, res) => {
   try {
@@ -159,10 +373,15 @@ app.post('/audio/stop', async (req, res) => {
 });
 
 // Recording session endpoints
-app.post('/recording/start', async (req, res) => {
+app.post('/recording/start', express.json(), async (req, res) => {
+  const { autoStop = false } = req.body || {};
+  if (typeof autoStop !== 'boolean') {
+    return res.status(400).json({ error: 'autoStop must be a boolean' });
+  }
+
   try {
-    audioCapture.startRecording();
-    res.status(200).json({ status: 'recording_started' });
+    audioCapture.startRecording({ autoStop });
+    res.status(200).json({ status: 'recording_started', autoStop });
   } catch (error) {
     logger.error('Failed to start recording:', error);
     res.status(500).json({ error: error.message });
@@ -183,9 +402,66 @@ app.post('/recording/stop', async (req, res) => {
   }
 });
 
+app.post('/recording/pause', (req, res) => {
+  try {
+    audioCapture.pauseRecording();
+    res.status(200).json({ status: 'recording_paused', ...audioCapture.getRecordingStatus() });
+  } catch (error) {
+    if (['NOT_RECORDING', 'ALREADY_PAUSED'].includes(error.code)) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    logger.error('Failed to pause recording:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/recording/resume', (req, res) => {
+  try {
+    audioCapture.resumeRecording();
+    res.status(200).json({ status: 'recording_resumed', ...audioCapture.getRecordingStatus() });
+  } catch (error) {
+    if (['NOT_RECORDING', 'NOT_PAUSED'].includes(error.code)) {
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    logger.error('Failed to resume recording:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Hands-free dictation: body { enabled, ...settings }; omitting enabled toggles the mode
+app.post('/dictation/handsfree', express.json(), (req, res) => {
+  const { enabled = !handsFree.enabled, ...settings } = req.body || {};
+  if (typeof enabled !== 'boolean') {
+    return res.status(400).json({ error: 'enabled must be a boolean' });
+  }
+
+  try {
+    handsFree.configure(settings);
+    if (enabled) {
+      handsFree.enable();
+    } else {
+      handsFree.disable();
+    }
+    res.status(200).json({ status: enabled ? 'handsfree_enabled' : 'handsfree_disabled', ...handsFree.getStatus() });
+  } catch (error) {
+    if (error.code === 'INVALID_SETTING') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+    logger.error('Failed to update hands-free dictation:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/dictation/handsfree', (req, res) => {
+  res.status(200).json(handsFree.getStatus());
+});
+
 app.get('/recording/status', (req, res) => {
   try {
-    const status = audioCapture.getRecordingStatus();
+    const status = {
+      ...audioCapture.getRecordingStatus(),
+      outputHistory: outputService.getHistory()
+    };
     res.status(200).json(status);
   } catch (error) {
     logger.error('Failed to get recording status:', error);
@@ -193,6 +469,96 @@ app.get('/recording/status', (req, res) => {
   }
 });
 
+// Output endpoints
+app.get('/output/rules/preview', async (req, res) => {
+  try {
+    const target = await outputService.resolveTarget();
+    res.status(200).json({
+      window: target.window,
+      rule: target.rule,
+      ruleIndex: target.ruleIndex,
+      action: target.refuse ? 'refuse' : 'output',
+      method: target.options.method || outputService.method,
+      options: target.options
+    });
+  } catch (error) {
+    logger.error('Failed to preview output rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/output/undo', async (req, res) => {
+  try {
+    const entry = await outputService.undo();
+    res.status(200).json({
+      status: 'undone',
+      text: entry.text,
+      graphemes: entry.graphemes,
+      method: entry.method,
+      remaining: outputService.getHistory().length
+    });
+  } catch (error) {
+    if (['NOTHING_TO_UNDO', 'FOCUS_UNKNOWN', 'FOCUS_CHANGED'].includes(error.code)) {
+      logger.warn('Undo refused:', error.message);
+      return res.status(409).json({ error: error.message, code: error.code });
+    }
+    logger.error('Failed to undo output:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Vocabulary endpoints
+const sendVocabularyError = (res, error, action) => {
+  if (error.code === 'INVALID_ENTRY') {
+    return res.status(400).json({ error: error.message });
+  }
+  if (error.code === 'NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+  logger.error(`Failed to ${action}:`, error);
+  res.status(500).json({ error: error.message });
+};
+
+app.get('/vocabulary', (req, res) => {
+  res.status(200).json(vocabulary.list());
+});
+
+app.post('/vocabulary/replacements', express.json(), async (req, res) => {
+  try {
+    const replacement = await vocabulary.addReplacement(req.body || {});
+    res.status(201).json(replacement);
+  } catch (error) {
+    sendVocabularyError(res, error, 'add vocabulary replacement');
+  }
+});
+
+app.delete('/vocabulary/replacements/:id', async (req, res) => {
+  try {
+    const replacement = await vocabulary.removeReplacement(req.params.id);
+    res.status(200).json(replacement);
+  } catch (error) {
+    sendVocabularyError(res, error, 'remove vocabulary replacement');
+  }
+});
+
+app.post('/vocabulary/terms', express.json(), async (req, res) => {
+  try {
+    const term = await vocabulary.addTerm(req.body || {});
+    res.status(201).json(term);
+  } catch (error) {
+    sendVocabularyError(res, error, 'add vocabulary term');
+  }
+});
+
+app.delete('/vocabulary/terms/:id', async (req, res) => {
+  try {
+    const term = await vocabulary.removeTerm(req.params.id);
+    res.status(200).json(term);
+  } catch (error) {
+    sendVocabularyError(res, error, 'remove vocabulary term');
+  }
+});
+
 // Add transcription endpoints
 app.get('/transcription/health', async (req, res) => {
   try {
@@ -261,6 +627,9 @@ app.listen(serverConfig.port, serverConfig.host, async () => {
   try {
     await audioCapture.start();
     logger.info('Audio capture auto-started successfully');
+    if (appConfig.audio.handsFree.enabled) {
+      handsFree.enable();
+    }
   } catch (error) {
     logger.warn('Failed to auto-start audio capture:', error.message);
     logger.info('Audio capture can be started manually via /audio/start endpoint');
@@ -1,5 +1,25 @@
 const { spawn } = require('child_process');
+const fs = require('fs');
 const EventEmitter = require('events');
+const AudioRingBuffer = require('../utils/audio-ring-buffer');
+const ChunkedAudioBuffer = require('../utils/chunked-audio-buffer');
+const DeviceMonitor = require('./device-monitor');
+const PwDumpParser = require('../utils/pw-dump-parser');
+const FileCaptureSource = require('./file-capture-source');
+const VoiceActivityDetector = require('../utils/voice-activity-detector');
+const AudioQuality = require('../utils/audio-quality');
+const { createError, execCommand } = require('../utils/service-utils');
+
+const VAD_FRAME_MS = 30; // auto-stop classifies audio in frames of this length
+const VAD_SNR_DB = 9; // how far above the learned background speech must be
+const QUALITY_HISTORY = 10; // quality reports kept for recent sessions
+
+// Capture backends in auto-detection order
+const AUDIO_SYSTEMS = {
+  pipewire: { label: 'PipeWire', probe: { command: 'pw-cli', args: ['info', '0'] } },
+  pulseaudio: { label: 'PulseAudio', probe: { command: 'pactl', args: ['info'] } },
+  alsa: { label: 'ALSA', probe: { command: 'arecord', args: ['-l'] } }
+};
 
 class AudioCaptureService extends EventEmitter {
   constructor(config, logger) {
@@ -9,8 +29,53 @@ class AudioCaptureService extends EventEmitter {
     this.captureProcess = null;
     this.isCapturing = false;
     this.isRecording = false;
-    this.sessionBuffer = [];
     this.audioSystem = null;
+
+    // Recent audio kept while idle so the first syllable survives hotkey latency
+    const { sampleRate } = this.config.audio;
+    const preRollMs = this.config.audio.preRollMs ?? 500;
+    this.preRollBuffer = new AudioRingBuffer(sampleRate * preRollMs / 1000);
+    this.preRollSamples = 0;
+
+    // Session storage is capped at the maximum recording length plus pre-roll
+    const maxRecordingDuration = this.config.audio.maxRecordingDuration ?? 300000;
+    this.maxRecordingDuration = maxRecordingDuration;
+    this.recordingWarnings = [...(this.config.audio.recordingWarnings ?? [30000])].sort((a, b) => b - a);
+    this.pendingWarnings = [];
+    this.sessionCeiling = Math.ceil(sampleRate * (maxRecordingDuration + preRollMs) / 1000);
+    this.sessionBuffer = new ChunkedAudioBuffer({
+      chunkSize: sampleRate, // one second per chunk
+      maxSamples: this.sessionCeiling
+    });
+
+    this.qualityReports = [];
+
+    // Paused time is wall-clock; active time is counted in captured samples
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pausedMs = 0;
+
+    // Optional per-session auto-stop after speech followed by silenceTimeout of silence
+    this.autoStop = false;
+    this.vadThreshold = this.config.audio.vadThreshold ?? 0.01;
+    this.silenceTimeout = this.config.audio.silenceTimeout ?? 10000;
+    this.vadFrame = new Float32Array(Math.round(sampleRate * VAD_FRAME_MS / 1000));
+    this.vadFrameFilled = 0;
+    this.vad = null;
+    this.speechDetected = false;
+    this.silenceSamples = 0;
+
+    // Device actually captured from; differs from audio.device while a
+    // preferred device is unplugged
+    this.activeDevice = this.config.audio.device;
+    this.deviceMonitor = new DeviceMonitor(logger, {
+      listDevices: () => this.listDevices(),
+      getDefaultDevice: () => this.getDefaultDevice()
+    });
+    for (const event of ['deviceAdded', 'deviceRemoved', 'defaultSourceChanged']) {
+      this.deviceMonitor.on(event, (payload) => this.handleDeviceEvent(event, payload));
+    }
+
     this.restartCount = 0;
     this.maxRestartAttempts = 5;
   }
@@ -29,9 +94,17 @@ class AudioCaptureService extends EventEmitter {
         audioSystem: this.audioSystem,
         sampleRate: this.config.audio.sampleRate,
         channels: this.config.audio.channels,
-        device: this.config.audio.device
+        device: this.activeDevice
       });
       this.emit('started');
+
+      // Plain ALSA and file replay have no event stream to monitor
+      const canMonitor = this.audioSystem === 'pipewire' || this.audioSystem === 'pulseaudio';
+      if (this.config.audio.monitorDevices !== false && canMonitor) {
+        await this.deviceMonitor.start(this.audioSystem);
+        // The configured device may have been unplugged while we were stopped
+        this.followDevices();
+      }
     } catch (error) {
       this.logger.error('Failed to start audio capture:', error);
       this.emit('error', error);
@@ -40,58 +113,92 @@ class AudioCaptureService extends EventEmitter {
   }
 
   async detectAudioSystem() {
-    // Try PipeWire first
-    try {
-      await this.execCommand('pw-cli', ['--version']);
-      this.audioSystem = 'pipewire';
-      this.logger.info('Detected PipeWire audio system');
+    const backend = this.config.audio.backend || 'auto';
+
+    if (backend === 'file') {
+      // Replay is never auto-detected; it has to be asked for
+      const filePath = this.config.audio.file?.path ?? '-';
+      if (filePath !== '-') {
+        await fs.promises.access(filePath, fs.constants.R_OK);
+      }
+      this.audioSystem = 'file';
+      this.logger.info('Using file replay audio source', { path: filePath });
       return;
-    } catch (error) {
-      this.logger.debug('PipeWire not available:', error.message);
     }
 
-    // Try PulseAudio
-    try {
-      await this.execCommand('pactl', ['--version']);
-      this.audioSystem = 'pulseaudio';
-      this.logger.info('Detected PulseAudio audio system');
+    if (backend !== 'auto') {
+      try {
+        await this.probeAudioSystem(backend);
+      } catch (error) {
+        throw new Error(`Audio backend ${backend} is not available: ${error.message}`);
+      }
+      this.audioSystem = backend;
+      this.logger.info(`Using configured ${AUDIO_SYSTEMS[backend].label} audio system`);
       return;
-    } catch (error) {
-      this.logger.debug('PulseAudio not available:', error.message);
     }
 
-    throw new Error('No compatible audio system found (PipeWire or PulseAudio required)');
+    // Sound servers first; ALSA only when /dev/snd is all we have
+    for (const audioSystem of Object.keys(AUDIO_SYSTEMS)) {
+      try {
+        await this.probeAudioSystem(audioSystem);
+        this.audioSystem = audioSystem;
+        this.logger.info(`Detected ${AUDIO_SYSTEMS[audioSystem].label} audio system`);
+        return;
+      } catch (error) {
+        this.logger.debug(`${AUDIO_SYSTEMS[audioSystem].label} not available:`, error.message);
+      }
+    }
+
+    throw new Error('No compatible audio system found (PipeWire, PulseAudio or ALSA required)');
   }
 
-  startCapture() {
+  probeAudioSystem(audioSystem) {
+    // Probes talk to the server, so installed tools without a mounted socket fail
+    const { probe } = AUDIO_SYSTEMS[audioSystem];
+    return this.execCommand(probe.command, probe.args);
+  }
+
+  createCaptureProcess() {
+    if (this.audioSystem === 'file') {
+      return new FileCaptureSource(this.config.audio, this.logger).start();
+    }
+
     const args = this.buildCaptureArgs();
-    
     this.logger.debug('Starting audio capture process', {
       command: args.command,
       args: args.args
     });
 
-    this.captureProcess = spawn(args.command, args.args);
+    return spawn(args.command, args.args);
+  }
+
+  startCapture() {
+    const captureProcess = this.createCaptureProcess();
+    this.captureProcess = captureProcess;
     
-    this.captureProcess.stdout.on('data', (data) => {
-      this.processAudioData(data);
+    captureProcess.stdout.on('data', (data) => {
+      // A process replaced by a device switch still flushes audio from the old device
+      if (captureProcess === this.captureProcess) {
+        this.processAudioData(data);
+      }
     });
 
-    this.captureProcess.stderr.on('data', (data) => {
+    captureProcess.stderr.on('data', (data) => {
       const errorMsg = data.toString().trim();
       if (errorMsg) {
         this.logger.warn('Audio capture stderr:', errorMsg);
       }
     });
 
-    this.captureProcess.on('error', (error) => {
+    captureProcess.on('error', (error) => {
       this.logger.error('Audio capture process error:', error);
       this.emit('error', error);
       this.handleProcessExit();
     });
 
-    this.captureProcess.on('exit', (code, signal) => {
-      if (this.isCapturing) {
+    captureProcess.on('exit', (code, signal) => {
+      // A process replaced by a device switch exits on purpose
+      if (this.isCapturing && captureProcess === this.captureProcess) {
         this.logger.warn('Audio capture process exited unexpectedly', {
           code,
           signal,
@@ -103,7 +210,8 @@ class AudioCaptureService extends EventEmitter {
   }
 
   buildCaptureArgs() {
-    const { sampleRate, channels, device } = this.config.audio;
+    const { sampleRate, channels } = this.config.audio;
+    const device = this.activeDevice;
 
     if (this.audioSystem === 'pipewire') {
       return {
@@ -116,6 +224,19 @@ class AudioCaptureService extends EventEmitter {
           '-'
         ]
       };
+    } else if (this.audioSystem === 'alsa') {
+      return {
+        command: 'arecord',
+        args: [
+          '-t', 'raw',
+          '-f', 'S16_LE',
+          '-r', sampleRate.toString(),
+          '-c', channels.toString(),
+          '-D', device,
+          '-q', // no banner on stderr
+          '-'
+        ]
+      };
     } else {
       // PulseAudio
       return {
@@ -142,9 +263,16 @@ class AudioCaptureService extends EventEmitter {
         floatSamples[i] = samples[i] / 32768.0; // Convert to -1.0 to 1.0 range
       }
 
-      // Add to session buffer if recording
-      if (this.isRecording) {
-        this.sessionBuffer.push(...floatSamples);
+      // Add to session buffer if recording, otherwise keep as pre-roll.
+      // Audio from a pause is dropped: the speaker is usually talking to someone else.
+      if (this.isRecording && !this.isPaused) {
+        this.appendToSession(floatSamples);
+        this.checkRecordingLimits();
+        if (this.isRecording && this.autoStop) {
+          this.checkSilence(floatSamples);
+        }
+      } else if (!this.isRecording) {
+        this.preRollBuffer.write(floatSamples);
       }
       
       // Emit audio data for monitoring (optional)
@@ -154,6 +282,75 @@ class AudioCaptureService extends EventEmitter {
     }
   }
 
+  appendToSession(samples) {
+    const wasFull = this.sessionBuffer.isFull;
+    this.sessionBuffer.append(samples);
+
+    if (!wasFull && this.sessionBuffer.isFull) {
+      this.logger.warn('Recording session reached its memory ceiling, further audio is dropped', {
+        samples: this.sessionBuffer.length,
+        memoryBytes: this.sessionBuffer.getMemoryUsage()
+      });
+    }
+  }
+
+  checkRecordingLimits() {
+    const elapsedMs = this.getRecordingElapsedMs();
+    const remainingMs = Math.max(0, this.maxRecordingDuration - elapsedMs);
+
+    if (remainingMs === 0) {
+      this.logger.warn(`Recording reached maxRecordingDuration (${this.maxRecordingDuration}ms), stopping`);
+      this.stopRecording({ reason: 'maxDuration' });
+      return;
+    }
+
+    // Warnings are sorted furthest-first, so only the head can be due
+    while (this.pendingWarnings.length > 0 && remainingMs <= this.pendingWarnings[0]) {
+      const thresholdMs = this.pendingWarnings.shift();
+      this.logger.warn(`Recording will stop in ${(remainingMs / 1000).toFixed(1)}s (maxRecordingDuration reached)`);
+      this.emit('recordingWarning', { thresholdMs, elapsedMs, remainingMs });
+    }
+  }
+
+  /**
+   * Run recorded audio through the session's voice activity detector and
+   * stop once speech has been followed by silenceTimeout of silence. Silence
+   * before the first speech never stops the session.
+   * @param {Float32Array} samples - Audio just added to the session
+   */
+  checkSilence(samples) {
+    const timeoutSamples = this.silenceTimeout * this.config.audio.sampleRate / 1000;
+    let offset = 0;
+
+    while (offset < samples.length) {
+      const take = Math.min(this.vadFrame.length - this.vadFrameFilled, samples.length - offset);
+      this.vadFrame.set(samples.subarray(offset, offset + take), this.vadFrameFilled);
+      this.vadFrameFilled += take;
+      offset += take;
+
+      if (this.vadFrameFilled < this.vadFrame.length) {
+        return;
+      }
+      this.vadFrameFilled = 0;
+
+      const { isSpeech, active } = this.vad.process(this.vadFrame);
+      if (isSpeech) {
+        this.speechDetected = true;
+      }
+      if (active) {
+        this.silenceSamples = 0;
+      } else if (this.speechDetected) {
+        this.silenceSamples += this.vadFrame.length;
+      }
+
+      if (this.speechDetected && this.silenceSamples >= timeoutSamples) {
+        this.logger.info(`No speech for ${this.silenceTimeout}ms, stopping recording`);
+        this.stopRecording({ reason: 'silence' });
+        return;
+      }
+    }
+  }
+
   async stop() {
     if (!this.isCapturing) {
       return;
@@ -161,6 +358,7 @@ class AudioCaptureService extends EventEmitter {
 
     this.logger.info('Stopping audio capture service');
     this.isCapturing = false;
+    this.deviceMonitor.stop();
     
     if (this.captureProcess) {
       this.captureProcess.kill('SIGTERM');
@@ -223,132 +421,175 @@ class AudioCaptureService extends EventEmitter {
     }
   }
 
-  async listDevices() {
-    const devices = [];
+  /**
+   * Switch the capture device at runtime. The capture process is restarted on
+   * the new target while any recording session keeps its buffered audio.
+   * @param {string} deviceId - Device id from listDevices(), or 'default'
+   * @returns {Promise<Object>} The resolved device
+   */
+  async setDevice(deviceId) {
+    if (typeof deviceId !== 'string' || deviceId.trim() === '') {
+      throw createError('INVALID_DEVICE', 'Device must be a non-empty string');
+    }
 
-    try {
-      if (this.audioSystem === 'pipewire') {
-        const output = await this.execCommand('pw-cli', ['list-objects']);
-        const lines = output.split('\n');
-        let currentNode = null;
-        
-        for (let i = 0; i < lines.length; i++) {
-          const line = lines[i];
-          const trimmed = line.trim();
-          
-          // Look for Node objects with id
-          if (trimmed.match(/id \d+, type PipeWire:Interface:Node/)) {
-            // Reset for new node
-            currentNode = {
-              id: null,
-              name: null,
-              description: null,
-              type: null,
-              state: 'available'
-            };
-            
-            const idMatch = trimmed.match(/id (\d+)/);
-            if (idMatch) {
-              currentNode.id = idMatch[1];
-            }
-          }
-          
-          // Parse properties for current node
-          if (currentNode && trimmed.includes(' = ')) {
-            if (trimmed.includes('media.class = "Audio/Source"')) {
-              currentNode.type = 'source';
-            } else if (trimmed.includes('node.name = "')) {
-              const nameMatch = trimmed.match(/node\.name = "([^"]+)"/);
-              if (nameMatch) {
-                currentNode.name = nameMatch[1];
-              }
-            } else if (trimmed.includes('node.description = "')) {
-              const descMatch = trimmed.match(/node\.description = "([^"]+)"/);
-              if (descMatch) {
-                currentNode.description = descMatch[1];
-              }
-            } else if (trimmed.includes('node.nick = "')) {
-              const nickMatch = trimmed.match(/node\.nick = "([^"]+)"/);
-              if (nickMatch && !currentNode.description) {
-                currentNode.description = nickMatch[1];
-              }
-            }
-          }
-          
-          // Check if we hit next node or end of current node properties
-          const nextLine = lines[i + 1];
-          const isEndOfNode = !nextLine || 
-                             nextLine.match(/id \d+, type/) || 
-                             (!nextLine.trim().startsWith('\t') && nextLine.trim() !== '');
-          
-          if (isEndOfNode && currentNode && currentNode.type === 'source' && currentNode.name) {
-            // Skip monitor sources (capture audio output)
-            if (!currentNode.name.includes('.monitor')) {
-              devices.push({
-                id: currentNode.name,
-                name: currentNode.description || currentNode.name,
-                state: currentNode.state
-              });
-            }
-            currentNode = null;
-          }
-        }
-      } else {
-        // PulseAudio
-        const output = await this.execCommand('pactl', ['list', 'sources', 'short']);
-        const lines = output.split('\n').filter(line => line.trim());
-        
-        for (const line of lines) {
-          const parts = line.split('\t');
-          if (parts.length >= 4) {
-            const [id, name, driver, format, state] = parts;
-            // Skip monitor sources (they capture output, not input)
-            if (name && !name.includes('.monitor')) {
-              devices.push({ 
-                id: name, 
-                name: name.replace(/[._]/g, ' '), 
-                state: state || 'available'
-              });
-            }
-          }
-        }
+    let device;
+    if (deviceId === 'default') {
+      device = { id: 'default', name: await this.getDefaultDevice() || 'default', state: 'available' };
+    } else {
+      const devices = await this.listDevices();
+      device = devices.find(candidate => candidate.id === deviceId);
+      if (!device) {
+        throw createError('DEVICE_NOT_FOUND', `Audio device ${deviceId} not found`);
       }
-    } catch (error) {
-      this.logger.error('Failed to list audio devices:', error);
     }
 
-    return devices;
+    const previous = this.activeDevice;
+    this.config.audio.device = deviceId;
+    this.activeDevice = deviceId;
+
+    if (this.isCapturing) {
+      this.switchCaptureProcess();
+    }
+
+    this.logger.info('Audio device changed', {
+      previous,
+      device: deviceId,
+      isRecording: this.isRecording
+    });
+    this.emit('deviceChanged', { previous, device });
+
+    return device;
   }
 
-  execCommand(command, args) {
-    return new Promise((resolve, reject) => {
-      const proc = spawn(command, args);
-      let output = '';
-      let error = '';
+  switchCaptureProcess() {
+    const previousProcess = this.captureProcess;
 
-      proc.stdout.on('data', (data) => {
-        output += data.toString();
-      });
+    // Start the replacement first so the gap in captured audio stays minimal
+    this.startCapture();
+    this.restartCount = 0;
 
-      proc.stderr.on('data', (data) => {
-        error += data.toString();
-      });
+    if (previousProcess) {
+      previousProcess.kill('SIGTERM');
+    }
+  }
+
+  handleDeviceEvent(event, payload) {
+    this.emit(event, payload);
+
+    if (!this.isCapturing) {
+      return;
+    }
+
+    if (event === 'defaultSourceChanged' && this.activeDevice === 'default') {
+      // Reconnect so @DEFAULT_SOURCE@ resolves to the new default
+      this.logger.info('Following default source change', payload);
+      this.switchCaptureProcess();
+      return;
+    }
+
+    this.followDevices();
+  }
+
+  /**
+   * Capture from the highest-priority device that is plugged in: audio.device
+   * first, then audio.preferredDevices in order, then the default source.
+   */
+  followDevices() {
+    const configured = this.config.audio.device;
+    if (configured === 'default') {
+      return;
+    }
+
+    const available = new Set(this.deviceMonitor.getDevices().map(device => device.id));
+    const candidates = [configured, ...(this.config.audio.preferredDevices || [])];
+    const target = candidates.find(id => available.has(id)) || 'default';
+
+    if (target === this.activeDevice) {
+      return;
+    }
+
+    const previous = this.activeDevice;
+    this.activeDevice = target;
+    this.logger.info('Switching to preferred audio device', { previous, device: target });
+    this.switchCaptureProcess();
+
+    const device = this.deviceMonitor.getDevices().find(candidate => candidate.id === target)
+      || { id: 'default', name: this.deviceMonitor.defaultSource || 'default', state: 'available' };
+    this.emit('deviceChanged', { previous, device, automatic: true });
+  }
+
+  /**
+   * List capture devices
+   * @param {Object} options
+   * @param {boolean} options.includeMonitors - Include sources that capture an output
+   * @returns {Promise<Array<Object>>} Devices as {id, name, description, channels, sampleRates, isDefault, isMonitor, state};
+   *   rejects when the device query fails, so callers can tell that apart from no devices
+   */
+  async listDevices({ includeMonitors = false } = {}) {
+    let devices = [];
 
-      proc.on('exit', (code) => {
-        if (code === 0) {
-          resolve(output);
-        } else {
-          reject(new Error(error || `Command ${command} failed with code ${code}`));
+    if (this.audioSystem === 'pipewire') {
+      const output = await this.execCommand('pw-dump', []);
+      devices = PwDumpParser.parse(output, { includeMonitors }).devices;
+    } else if (this.audioSystem === 'alsa') {
+      const output = await this.execCommand('arecord', ['-L']);
+      devices = this.parseAlsaDevices(output);
+    } else if (this.audioSystem === 'file') {
+      const filePath = this.config.audio.file?.path ?? '-';
+      devices = [{
+        id: 'default',
+        name: filePath === '-' ? 'stdin' : filePath,
+        description: 'File replay',
+        channels: this.config.audio.channels,
+        sampleRates: [this.config.audio.sampleRate],
+        isDefault: true,
+        isMonitor: false,
+        state: 'available'
+      }];
+    } else {
+      // PulseAudio
+      const output = await this.execCommand('pactl', ['list', 'sources', 'short']);
+      const defaultSource = await this.getDefaultDevice();
+      const lines = output.split('\n').filter(line => line.trim());
+
+      for (const line of lines) {
+        const parts = line.split('\t');
+        if (parts.length >= 4) {
+          const [id, name, driver, format, state] = parts;
+          const isMonitor = Boolean(name) && name.endsWith('.monitor');
+          // Monitor sources capture output, not input
+          if (name && (includeMonitors || !isMonitor)) {
+            // Sample spec column, e.g. "s16le 2ch 44100Hz"
+            const channels = format.match(/(\d+)ch/);
+            const rate = format.match(/(\d+)Hz/);
+            devices.push({
+              id: name,
+              name: name.replace(/[._]/g, ' '),
+              description: null,
+              channels: channels ? Number(channels[1]) : null,
+              sampleRates: rate ? [Number(rate[1])] : [],
+              isDefault: name === defaultSource,
+              isMonitor,
+              state: state ? state.toLowerCase() : 'unknown'
+            });
+          }
         }
-      });
+      }
+    }
 
-      proc.on('error', (err) => {
-        reject(new Error(`Failed to execute ${command}: ${err.message}`));
-      });
-    });
+    return devices;
+  }
+
+  execCommand(command, args) {
+    return execCommand(command, args);
   }
 
-  startRecording() {
+  /**
+   * Start a recording session, seeded with the pre-roll
+   * @param {Object} options
+   * @param {boolean} options.autoStop - Stop after speech followed by silenceTimeout of silence
+   */
+  startRecording({ autoStop = false } = {}) {
     if (!this.isCapturing) {
       throw new Error('Audio capture must be started before recording');
     }
@@ -356,87 +597,219 @@ class AudioCaptureService extends EventEmitter {
       throw new Error('Recording session already in progress');
     }
     
+    const preRoll = this.preRollBuffer.read();
+    this.preRollBuffer.clear();
+
     this.isRecording = true;
-    this.sessionBuffer = [];
-    this.logger.info('Recording session started');
-    this.emit('recordingStarted');
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pausedMs = 0;
+    this.sessionBuffer.clear();
+    this.sessionBuffer.maxSamples = this.sessionCeiling;
+    this.sessionBuffer.append(preRoll);
+    this.preRollSamples = preRoll.length;
+    this.pendingWarnings = this.recordingWarnings.filter(ms => ms < this.maxRecordingDuration);
+    this.autoStop = autoStop;
+    this.vadFrameFilled = 0;
+    // vadThreshold is where detection starts and the least it will accept;
+    // steady noise above it is learned as background and can't hold the session open
+    this.vad = new VoiceActivityDetector({
+      sampleRate: this.config.audio.sampleRate,
+      snrDb: VAD_SNR_DB,
+      minEnergy: this.vadThreshold,
+      warmupMs: 0,
+      initialNoiseFloor: this.vadThreshold / Math.pow(10, VAD_SNR_DB / 20)
+    });
+    this.speechDetected = false;
+    this.silenceSamples = 0;
+    this.logger.info('Recording session started', { preRollMs: this.getPreRollMs(), autoStop });
+    this.emit('recordingStarted', { preRollSamples: this.preRollSamples, autoStop });
+  }
+
+  /**
+   * Stop adding audio to the session without ending it
+   */
+  pauseRecording() {
+    if (!this.isRecording) {
+      throw createError('NOT_RECORDING', 'No recording session in progress');
+    }
+    if (this.isPaused) {
+      throw createError('ALREADY_PAUSED', 'Recording session already paused');
+    }
+
+    this.isPaused = true;
+    this.pausedAt = Date.now();
+
+    const activeMs = this.getRecordingElapsedMs();
+    this.logger.info('Recording session paused', { activeMs });
+    this.emit('recordingPaused', { activeMs });
   }
 
-  stopRecording() {
+  resumeRecording() {
+    if (!this.isRecording) {
+      throw createError('NOT_RECORDING', 'No recording session in progress');
+    }
+    if (!this.isPaused) {
+      throw createError('NOT_PAUSED', 'Recording session is not paused');
+    }
+
+    const pauseMs = Date.now() - this.pausedAt;
+    this.pausedMs += pauseMs;
+    this.isPaused = false;
+    this.pausedAt = null;
+
+    this.logger.info('Recording session resumed', { pauseMs, pausedMs: this.pausedMs });
+    this.emit('recordingResumed', { pauseMs, pausedMs: this.pausedMs });
+  }
+
+  getPausedMs() {
+    return this.pausedMs + (this.isPaused ? Date.now() - this.pausedAt : 0);
+  }
+
+  /**
+   * Stop the recording session and emit its audio
+   * @param {Object} options
+   * @param {string} options.reason - Why the session ended ('manual', 'maxDuration' or 'silence')
+   * @returns {Float32Array} Recorded audio including pre-roll
+   */
+  stopRecording({ reason = 'manual' } = {}) {
     if (!this.isRecording) {
       throw new Error('No recording session in progress');
     }
     
+    const pausedMs = this.getPausedMs();
     this.isRecording = false;
-    const recordedAudio = new Float32Array(this.sessionBuffer);
+    this.isPaused = false;
+    this.pausedAt = null;
+    this.pendingWarnings = [];
+    this.autoStop = false;
+    const recordedAudio = this.sessionBuffer.toFloat32Array();
+    this.sessionBuffer.clear();
     const duration = recordedAudio.length / this.config.audio.sampleRate;
+    const quality = this.assessQuality(recordedAudio, reason);
     
-    this.logger.info(`Recording session stopped: ${duration.toFixed(2)}s, ${recordedAudio.length} samples`);
+    this.logger.info(`Recording session stopped: ${duration.toFixed(2)}s, ${recordedAudio.length} samples`, { reason });
     this.emit('recordingStopped', {
       audio: recordedAudio,
       duration: duration,
-      sampleRate: this.config.audio.sampleRate
+      sampleRate: this.config.audio.sampleRate,
+      preRollSamples: this.preRollSamples,
+      pausedMs,
+      reason,
+      quality
     });
     
     return recordedAudio;
   }
 
+  /**
+   * Measure a finished session, keep the report and warn when it is poor
+   * enough to hurt transcription accuracy
+   * @param {Float32Array} audio - Session audio
+   * @param {string} reason - Why the session ended
+   * @returns {Object} Quality report, see AudioQuality.analyze()
+   */
+  assessQuality(audio, reason) {
+    const quality = AudioQuality.analyze(audio, this.config.audio.sampleRate, {
+      speechThreshold: this.vadThreshold,
+      clipThreshold: this.config.audio.clipThreshold
+    });
+
+    this.qualityReports.push({ timestamp: new Date().toISOString(), reason, ...quality });
+    if (this.qualityReports.length > QUALITY_HISTORY) {
+      this.qualityReports.shift();
+    }
+
+    if (quality.issues.length > 0) {
+      this.logger.warn('Recording quality may reduce transcription accuracy', {
+        issues: quality.issues.map(issue => issue.message)
+      });
+    }
+    return quality;
+  }
+
+  getPreRollMs() {
+    return this.preRollSamples / this.config.audio.sampleRate * 1000;
+  }
+
+  /**
+   * Recorded time since startRecording, measured in captured samples so
+   * pre-roll and paused time do not count against the limit
+   * @returns {number} Elapsed milliseconds
+   */
+  getRecordingElapsedMs() {
+    if (!this.isRecording) {
+      return 0;
+    }
+    return Math.max(0, this.sessionBuffer.length - this.preRollSamples) / this.config.audio.sampleRate * 1000;
+  }
+
   getRecordingStatus() {
+    const elapsedMs = this.getRecordingElapsedMs();
+
     return {
       isRecording: this.isRecording,
       duration: this.isRecording ? this.sessionBuffer.length / this.config.audio.sampleRate : 0,
-      samples: this.sessionBuffer.length
+      samples: this.sessionBuffer.length,
+      preRollSamples: this.preRollSamples,
+      preRollMs: this.getPreRollMs(),
+      maxDurationMs: this.maxRecordingDuration,
+      remainingMs: this.isRecording ? Math.max(0, this.maxRecordingDuration - elapsedMs) : null,
+      isPaused: this.isPaused,
+      activeMs: elapsedMs,
+      pausedMs: this.isRecording ? this.getPausedMs() : 0,
+      autoStop: this.autoStop,
+      speechDetected: this.isRecording && this.speechDetected,
+      silenceMs: this.isRecording ? this.silenceSamples / this.config.audio.sampleRate * 1000 : 0,
+      recentQuality: [...this.qualityReports]
     };
   }
 
+  /**
+   * Parse `arecord -L`: an unindented PCM name followed by indented description lines
+   * @param {string} output - arecord -L output
+   * @returns {Array<Object>} Capture PCMs
+   */
+  parseAlsaDevices(output) {
+    const devices = [];
+    let current = null;
+
+    for (const line of output.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+
+      if (!/^\s/.test(line)) {
+        current = { id: line.trim(), lines: [] };
+        // "null" discards everything and would record silence
+        if (current.id !== 'null') {
+          devices.push(current);
+        }
+      } else if (current) {
+        current.lines.push(line.trim());
+      }
+    }
+
+    return devices.map(({ id, lines }) => ({
+      id,
+      name: lines[0] || id,
+      description: lines.length > 0 ? lines.join(', ') : null,
+      channels: null,
+      sampleRates: [],
+      isDefault: id === 'default',
+      isMonitor: false,
+      state: 'available'
+    }));
+  }
+
   async getDefaultDevice() {
     try {
       if (this.audioSystem === 'pipewire') {
-        // Try wpctl first (more reliable)
-        try {
-          const output = await this.execCommand('wpctl', ['status']);
-          const lines = output.split('\n');
-          let inSourcesSection = false;
-          
-          for (const line of lines) {
-            if (line.includes('Sources:')) {
-              inSourcesSection = true;
-              continue;
-            }
-            if (inSourcesSection && line.includes('*')) {
-              // Default source is marked with *
-              const match = line.match(/\*\s*\d+\.\s*([^\s\[]+)/);
-              if (match) {
-                return match[1];
-              }
-            }
-            if (inSourcesSection && line.includes('Sinks:')) {
-              break; // End of sources section
-            }
-          }
-        } catch (error) {
-          // Fall back to pw-cli if wpctl fails
-          const output = await this.execCommand('pw-cli', ['list-objects']);
-          const lines = output.split('\n');
-          
-          for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (line.includes('type PipeWire:Interface:Node') && 
-                lines[i + 10] && lines[i + 10].includes('media.class = "Audio/Source"')) {
-              
-              // Look for default property or commonly used source
-              for (let j = i; j < i + 20 && j < lines.length; j++) {
-                const propLine = lines[j].trim();
-                if (propLine.includes('node.name = "') && !propLine.includes('.monitor')) {
-                  const nameMatch = propLine.match(/node\.name = "([^"]+)"/);
-                  if (nameMatch) {
-                    return nameMatch[1];
-                  }
-                }
-              }
-            }
-          }
-        }
+        const output = await this.execCommand('pw-dump', []);
+        return PwDumpParser.parse(output).defaultSource;
+      } else if (this.audioSystem === 'alsa' || this.audioSystem === 'file') {
+        // ALSA has no server-side default; its "default" PCM is resolved by asoundrc
+        return 'default';
       } else {
         // Get default source from PulseAudio
         const output = await this.execCommand('pactl', ['info']);
@@ -463,19 +836,24 @@ class AudioCaptureService extends EventEmitter {
       audioSystem: this.audioSystem,
       sessionSamples: this.sessionBuffer.length,
       sessionDuration: this.sessionBuffer.length / this.config.audio.sampleRate,
+      sessionMemoryBytes: this.sessionBuffer.getMemoryUsage(),
+      preRollSamples: this.preRollSamples,
+      preRollMs: this.getPreRollMs(),
       restartCount: this.restartCount,
       processId: this.captureProcess ? this.captureProcess.pid : null
     };
   }
   
   async getDetailedStatus() {
-    const defaultDevice = this.config.audio.device === 'default' ? await this.getDefaultDevice() : null;
+    const defaultDevice = this.activeDevice === 'default' ? await this.getDefaultDevice() : null;
     
     return {
       ...this.getStatus(),
       configuredDevice: this.config.audio.device,
-      actualDevice: this.config.audio.device === 'default' ? '@DEFAULT_SOURCE@' : this.config.audio.device,
-      resolvedDevice: defaultDevice
+      activeDevice: this.activeDevice,
+      actualDevice: this.activeDevice === 'default' ? '@DEFAULT_SOURCE@' : this.activeDevice,
+      resolvedDevice: defaultDevice,
+      deviceMonitor: this.deviceMonitor.getStatus()
     };
   }
 }
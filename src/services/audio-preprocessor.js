@@ -0,0 +1,294 @@
+const EventEmitter = require('events');
+const AudioFormatConverter = require('../utils/audio-format');
+const AudioAnalysis = require('../utils/audio-analysis');
+
+const STAGES = ['dcRemoval', 'highPass', 'noiseGate', 'agc', 'normalize'];
+const LEVEL_STAGES = ['noiseGate', 'agc', 'normalize']; // change the level of room tone relative to speech
+const FRAME_MS = 20; // analysis frame for the noise gate and AGC level measurement
+
+const measureLevels = (samples) => {
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    peak = Math.max(peak, Math.abs(samples[i]));
+  }
+  const rms = samples.length > 0 ? AudioFormatConverter.calculateRMS(samples) : 0;
+
+  return {
+    rms,
+    rmsDb: AudioFormatConverter.amplitudeToDb(rms),
+    peak,
+    peakDb: AudioFormatConverter.amplitudeToDb(peak)
+  };
+};
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+/**
+ * Cleans up a finished recording before it is transcribed. Stages run in
+ * `audio.preprocessing.order` and each can be switched off on its own; the
+ * report returned alongside the audio lists what every stage did and how
+ * long it took. An input gain, set from the active device's calibration
+ * profile, is applied before the stages. Leading and trailing silence is
+ * trimmed last, at speech bounds found in the audio as it was before the
+ * noise gate, AGC and normalize, and a recording with no speech at all
+ * emits `noSpeech` so it can be skipped.
+ */
+class AudioPreprocessor extends EventEmitter {
+  /**
+   * @param {Object} config - Application config; uses `audio.sampleRate`, `audio.preprocessing` and `audio.trimSilence`
+   * @param {Object} logger
+   */
+  constructor(config, logger) {
+    super();
+    this.logger = logger;
+    this.sampleRate = config.audio.sampleRate;
+    this.settings = config.audio.preprocessing || {};
+    this.enabled = this.settings.enabled ?? true;
+    this.order = this.settings.order || STAGES;
+    this.frameSize = Math.round(this.sampleRate * FRAME_MS / 1000);
+    this.inputGainDb = 0;
+    this.trimSettings = {
+      enabled: true,
+      thresholdDb: -40,
+      paddingMs: 300,
+      minSpeechMs: 100,
+      ...config.audio.trimSilence
+    };
+
+    const unknown = this.order.filter(name => !STAGES.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown preprocessing stage(s): ${unknown.join(', ')}`);
+    }
+  }
+
+  /**
+   * Stages that will run, in order
+   * @returns {Array<string>}
+   */
+  getActiveStages() {
+    if (!this.enabled) {
+      return [];
+    }
+    return this.order.filter(name => (this.settings[name]?.enabled ?? true));
+  }
+
+  /**
+   * @param {number} gainDb - Gain applied to every recording before the stages; 0 turns it off
+   */
+  setInputGain(gainDb) {
+    this.inputGainDb = gainDb;
+  }
+
+  /**
+   * Run the enabled stages over a recording, then trim silence
+   * @param {Float32Array} samples - Session audio
+   * @returns {{audio: Float32Array, speechDetected: boolean, report: Object}} Processed audio and per-stage report
+   */
+  process(samples) {
+    const before = measureLevels(samples);
+    const stages = [];
+    let audio = samples;
+
+    if (samples.length > 0 && this.inputGainDb !== 0) {
+      const started = performance.now();
+      audio = this.applyGain(audio, this.inputGainDb);
+      stages.push({ name: 'inputGain', durationMs: Math.round((performance.now() - started) * 100) / 100, gainDb: this.inputGainDb });
+    }
+
+    let speechInput = null; // what trimSilence looks for speech in
+    if (samples.length > 0) {
+      let boostDb = 0; // gain added so far by agc and normalize
+      for (const name of this.getActiveStages()) {
+        if (speechInput === null && LEVEL_STAGES.includes(name)) {
+          speechInput = audio;
+        }
+        const started = performance.now();
+        const { samples: output, ...details } = this[name](audio, this.settings[name] || {}, boostDb);
+        audio = output;
+        if (name === 'agc' || name === 'normalize') {
+          boostDb += details.gainDb;
+        }
+        stages.push({ name, durationMs: Math.round((performance.now() - started) * 100) / 100, ...details });
+      }
+    }
+
+    const trim = this.trimSilence(speechInput || audio, audio);
+    if (trim) {
+      stages.push(trim.stage);
+      audio = trim.samples;
+    }
+
+    const speechDetected = !trim || trim.stage.speechDetected;
+    const report = {
+      stages,
+      totalMs: Math.round(stages.reduce((sum, stage) => sum + stage.durationMs, 0) * 100) / 100,
+      before,
+      after: stages.length > 0 ? measureLevels(audio) : before
+    };
+
+    this.logger.debug('Audio preprocessed', {
+      stages: stages.map(stage => stage.name),
+      totalMs: report.totalMs,
+      rmsDb: [before.rmsDb, report.after.rmsDb],
+      peakDb: [before.peakDb, report.after.peakDb]
+    });
+
+    if (!speechDetected) {
+      this.emit('noSpeech', {
+        durationMs: Math.round(samples.length / this.sampleRate * 1000),
+        peakDb: before.peakDb,
+        rmsDb: before.rmsDb
+      });
+    }
+
+    return { audio, speechDetected, report };
+  }
+
+  /**
+   * Cut the audio before the first and after the last speech, keeping
+   * paddingMs on either side so soft onsets and word endings survive.
+   * Speech is located after the input gain, DC removal and high-pass but
+   * before the noise gate, AGC and normalize: those lift room tone well above
+   * thresholdDb, so a take with no speech would otherwise never be
+   * recognised as one.
+   * @param {Float32Array} input - Recording as it was before the noise gate, agc and normalize
+   * @param {Float32Array} samples - Processed audio, the same length as the input
+   * @returns {{samples: Float32Array, stage: Object}|null} Trimmed audio, or null when trimming is off
+   */
+  trimSilence(input, samples) {
+    const { enabled, thresholdDb, paddingMs, minSpeechMs } = this.trimSettings;
+    if (!enabled) {
+      return null;
+    }
+
+    const started = performance.now();
+    const bounds = AudioAnalysis.findSpeechBounds(input, this.sampleRate, {
+      threshold: dbToGain(thresholdDb),
+      frameMs: FRAME_MS,
+      minSpeechMs
+    });
+    const padding = Math.round(this.sampleRate * paddingMs / 1000);
+    const start = bounds ? Math.max(0, bounds.start - padding) : 0;
+    const end = bounds ? Math.min(samples.length, bounds.end + padding) : 0;
+    const toMs = (sampleCount) => Math.round(sampleCount / this.sampleRate * 1000);
+
+    return {
+      samples: samples.subarray(start, end),
+      stage: {
+        name: 'trimSilence',
+        durationMs: Math.round((performance.now() - started) * 100) / 100,
+        speechDetected: bounds !== null,
+        leadingMs: toMs(start),
+        trailingMs: toMs(samples.length - end)
+      }
+    };
+  }
+
+  dcRemoval(samples) {
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i];
+    }
+    const offset = sum / samples.length;
+
+    const output = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      output[i] = samples[i] - offset;
+    }
+    return { samples: output, offset };
+  }
+
+  highPass(samples, { cutoffHz = 80 }) {
+    return { samples: AudioFormatConverter.highPassFilter(samples, cutoffHz, this.sampleRate), cutoffHz };
+  }
+
+  /**
+   * Attenuate frames below the threshold. The gate stays open for holdMs
+   * after speech so word endings aren't clipped, and gain is ramped across
+   * each frame to avoid clicks.
+   */
+  noiseGate(samples, { thresholdDb = -50, attenuationDb = 30, holdMs = 200 }) {
+    const output = new Float32Array(samples.length);
+    const closedGain = dbToGain(-attenuationDb);
+    const holdFrames = Math.ceil(holdMs / FRAME_MS);
+    let quietFrames = Infinity;
+    let gain = 1;
+    let gatedFrames = 0;
+
+    for (let start = 0; start < samples.length; start += this.frameSize) {
+      const frame = samples.subarray(start, start + this.frameSize);
+      const levelDb = AudioFormatConverter.amplitudeToDb(AudioFormatConverter.calculateRMS(frame));
+
+      quietFrames = levelDb >= thresholdDb ? 0 : quietFrames + 1;
+
+      const target = quietFrames <= holdFrames ? 1 : closedGain;
+      if (target !== 1) {
+        gatedFrames++;
+      }
+
+      for (let i = 0; i < frame.length; i++) {
+        output[start + i] = frame[i] * (gain + (target - gain) * (i + 1) / frame.length);
+      }
+      gain = target;
+    }
+
+    return { samples: output, gatedMs: gatedFrames * FRAME_MS };
+  }
+
+  /**
+   * Bring the speech level to targetDb. The level is measured over frames
+   * above speechFloorDb only, so pauses between words don't inflate the
+   * gain; the boost is capped at maxGainDb so a silent take isn't amplified
+   * into noise.
+   */
+  agc(samples, { targetDb = -20, maxGainDb = 20, speechFloorDb = -50 }) {
+    let sum = 0;
+    let count = 0;
+
+    for (let start = 0; start < samples.length; start += this.frameSize) {
+      const frame = samples.subarray(start, start + this.frameSize);
+      const rms = AudioFormatConverter.calculateRMS(frame);
+      if (AudioFormatConverter.amplitudeToDb(rms) >= speechFloorDb) {
+        sum += rms * rms * frame.length;
+        count += frame.length;
+      }
+    }
+
+    if (count === 0) {
+      return { samples, gainDb: 0 };
+    }
+
+    const levelDb = AudioFormatConverter.amplitudeToDb(Math.sqrt(sum / count));
+    const gainDb = Math.round(Math.min(targetDb - levelDb, maxGainDb) * 10) / 10;
+    return { samples: this.applyGain(samples, gainDb), gainDb };
+  }
+
+  applyGain(samples, gainDb) {
+    const gain = dbToGain(gainDb);
+    const output = new Float32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+      output[i] = samples[i] * gain;
+    }
+    return output;
+  }
+
+  /**
+   * Scale the peak to targetPeak. The boost is capped so that, together with
+   * the AGC gain before it, the recording is raised by at most maxGainDb;
+   * otherwise a take with no speech would be lifted back up to full scale.
+   */
+  normalize(samples, { targetPeak = 0.95, maxGainDb = 20 }, priorGainDb = 0) {
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) {
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    if (peak === 0) {
+      return { samples, targetPeak, gainDb: 0 };
+    }
+
+    const gainDb = Math.min(20 * Math.log10(targetPeak / peak), Math.max(0, maxGainDb - priorGainDb));
+    return { samples: this.applyGain(samples, gainDb), targetPeak, gainDb: Math.round(gainDb * 10) / 10 };
+  }
+}
+
+module.exports = AudioPreprocessor;
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const ChunkedAudioBuffer = require('../utils/chunked-audio-buffer');
+const AudioAnalysis = require('../utils/audio-analysis');
+const AudioFormatConverter = require('../utils/audio-format');
+const { createError, writeJsonFile } = require('../utils/service-utils');
+
+const FRAME_MS = 30;
+const MIN_SPEECH_MS = 500; // speech needed in the spoken sample for a usable profile
+const LOW_SNR_DB = 10; // below this, thresholds can't separate speech from the room reliably
+
+const percentile = (values, fraction) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))] || 0;
+};
+
+/**
+ * Measures the room and the speaker for the active input device and keeps
+ * the result as a per-device profile. Calibration records room tone, then a
+ * spoken sample, from the running capture; the profile holds the noise
+ * floor, speech level and SNR along with the thresholds and gain derived
+ * from them. Profiles are keyed by the resolved device name and stored in a
+ * JSON file in the config directory. `profileApplied` is emitted whenever
+ * the active device changes, with that device's profile or null.
+ */
+class CalibrationService extends EventEmitter {
+  /**
+   * @param {Object} config - Application config; uses `audio.sampleRate` and `audio.calibration`
+   * @param {Object} logger
+   * @param {AudioCaptureService} audioCapture
+   * @param {string} filePath - Profiles file
+   */
+  constructor(config, logger, audioCapture, filePath) {
+    super();
+    this.logger = logger;
+    this.audioCapture = audioCapture;
+    this.filePath = filePath;
+    this.sampleRate = config.audio.sampleRate;
+    this.settings = {
+      roomToneMs: 3000,
+      speechMs: 4000,
+      targetDb: -20,
+      ...config.audio.calibration
+    };
+
+    this.profiles = {};
+    this.isCalibrating = false;
+    this.activeDevice = null;
+
+    const apply = () => this.applyActiveProfile().catch(error => {
+      this.logger.warn('Failed to apply audio profile:', error.message);
+    });
+    this.audioCapture.on('started', apply);
+    this.audioCapture.on('deviceChanged', apply);
+    this.audioCapture.on('defaultSourceChanged', () => {
+      if (this.audioCapture.activeDevice === 'default') {
+        apply();
+      }
+    });
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      this.profiles = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).profiles || {};
+    } catch (error) {
+      throw new Error(`Failed to parse audio profiles file: ${error.message}`);
+    }
+    this.logger.info(`Audio profiles loaded: ${Object.keys(this.profiles).length}`);
+  }
+
+  async save() {
+    await writeJsonFile(this.filePath, { profiles: this.profiles });
+  }
+
+  /**
+   * Name of the device being captured, with 'default' resolved to the real source
+   * @returns {Promise<string>}
+   */
+  async resolveDevice() {
+    const device = this.audioCapture.activeDevice;
+    if (device !== 'default') {
+      return device;
+    }
+    return (await this.audioCapture.getDefaultDevice()) || 'default';
+  }
+
+  /**
+   * Look up the active device's profile and announce it
+   * @returns {Promise<Object|null>} The applied profile
+   */
+  async applyActiveProfile() {
+    const device = await this.resolveDevice();
+    const profile = this.profiles[device] || null;
+    this.activeDevice = device;
+
+    this.logger.info(profile ? 'Applying audio profile' : 'No audio profile for device, using configured thresholds', { device });
+    this.emit('profileApplied', { device, profile });
+    return profile;
+  }
+
+  /**
+   * Record room tone and a spoken sample, and derive a profile from them
+   * @param {Object} options
+   * @param {number} options.roomToneMs - Silence to record first
+   * @param {number} options.speechMs - Speech to record second
+   * @param {boolean} options.save - Store the profile and apply it
+   * @returns {Promise<Object>} Profile
+   */
+  async calibrate({ roomToneMs = this.settings.roomToneMs, speechMs = this.settings.speechMs, save = true } = {}) {
+    for (const [name, value] of Object.entries({ roomToneMs, speechMs })) {
+      if (typeof value !== 'number' || !(value >= 1000 && value <= 30000)) {
+        throw createError('INVALID_DURATION', `${name} must be between 1000 and 30000`);
+      }
+    }
+    if (!this.audioCapture.isCapturing) {
+      throw createError('CAPTURE_NOT_RUNNING', 'Audio capture must be running to calibrate');
+    }
+    if (this.audioCapture.isRecording) {
+      throw createError('RECORDING_IN_PROGRESS', 'Stop the recording before calibrating');
+    }
+    if (this.isCalibrating) {
+      throw createError('CALIBRATION_IN_PROGRESS', 'Calibration already in progress');
+    }
+
+    this.isCalibrating = true;
+    try {
+      const device = await this.resolveDevice();
+
+      this.logger.info(`Calibrating ${device}: stay quiet for ${roomToneMs}ms`);
+      this.emit('calibrationPhase', { phase: 'roomTone', durationMs: roomToneMs });
+      const roomTone = await this.record(roomToneMs);
+
+      this.logger.info(`Calibrating ${device}: speak normally for ${speechMs}ms`);
+      this.emit('calibrationPhase', { phase: 'speech', durationMs: speechMs });
+      const speech = await this.record(speechMs);
+
+      const profile = { device, createdAt: new Date().toISOString(), ...this.analyze(roomTone, speech) };
+      this.logger.info('Calibration complete', profile);
+
+      if (save) {
+        this.profiles[device] = profile;
+        await this.save();
+        this.activeDevice = device;
+        this.emit('profileApplied', { device, profile });
+      }
+
+      return profile;
+    } finally {
+      this.isCalibrating = false;
+    }
+  }
+
+  /**
+   * Collect captured audio
+   * @param {number} durationMs
+   * @returns {Promise<Float32Array>}
+   */
+  record(durationMs) {
+    const needed = Math.round(this.sampleRate * durationMs / 1000);
+    const buffer = new ChunkedAudioBuffer({ chunkSize: this.sampleRate, maxSamples: needed });
+
+    return new Promise((resolve, reject) => {
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.audioCapture.off('audio', onAudio);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(buffer.toFloat32Array());
+        }
+      };
+      const onAudio = (samples) => {
+        buffer.append(samples);
+        if (buffer.isFull) {
+          finish();
+        }
+      };
+      // Capture delivers audio in real time; allow for start-up and scheduling delays
+      const timer = setTimeout(() => {
+        finish(createError('CALIBRATION_TIMEOUT', 'Audio capture stopped delivering audio during calibration'));
+      }, durationMs + 5000);
+
+      this.audioCapture.on('audio', onAudio);
+    });
+  }
+
+  /**
+   * Derive levels and settings from room tone and a spoken sample
+   * @param {Float32Array} roomTone
+   * @param {Float32Array} speech
+   * @returns {Object} Measured levels, suggested settings and warnings
+   */
+  analyze(roomTone, speech) {
+    const frameSize = Math.round(this.sampleRate * FRAME_MS / 1000);
+    const frameEnergies = (audio) => audio.length >= frameSize
+      ? Array.from(AudioAnalysis.calculateEnergyContour(audio, frameSize, frameSize))
+      : [];
+
+    // The median ignores a door or a keystroke in the room tone
+    const noiseEnergies = frameEnergies(roomTone);
+    const noiseFloor = Math.max(percentile(noiseEnergies, 0.5), 1e-5);
+    const noisePeak = Math.max(percentile(noiseEnergies, 0.95), noiseFloor);
+
+    // Frames clearly above the loudest room tone are taken as speech
+    const speechFrames = frameEnergies(speech).filter(energy => energy >= noisePeak * 2);
+    if (speechFrames.length * FRAME_MS < MIN_SPEECH_MS) {
+      throw createError('NO_SPEECH', 'No speech detected in the spoken sample; speak louder or closer to the microphone');
+    }
+    const speechLevel = Math.sqrt(speechFrames.reduce((sum, energy) => sum + energy * energy, 0) / speechFrames.length);
+
+    const noiseFloorDb = AudioFormatConverter.amplitudeToDb(noiseFloor);
+    const speechLevelDb = AudioFormatConverter.amplitudeToDb(speechLevel);
+    const snrDb = Math.round((speechLevelDb - noiseFloorDb) * 10) / 10;
+
+    // Halfway between noise and speech in dB, and always clear of noise peaks
+    const vadThreshold = Math.max(Math.sqrt(noisePeak * speechLevel), noisePeak * Math.SQRT2, 0.0001);
+    const gainDb = Math.round(Math.max(-20, Math.min(30, this.settings.targetDb - speechLevelDb)) * 10) / 10;
+
+    const warnings = [];
+    if (snrDb < LOW_SNR_DB) {
+      warnings.push(`Low signal-to-noise ratio (${snrDb} dB); move closer to the microphone or reduce background noise`);
+    }
+    if (speechLevelDb > -3) {
+      warnings.push('Speech is close to clipping; lower the input volume');
+    }
+
+    return {
+      noiseFloor,
+      noiseFloorDb,
+      speechLevel,
+      speechLevelDb,
+      snrDb,
+      vadThreshold: Math.round(vadThreshold * 10000) / 10000,
+      gainDb,
+      warnings
+    };
+  }
+
+  /**
+   * @param {string} device - Device name
+   * @returns {Promise<boolean>} Whether a profile was removed
+   */
+  async deleteProfile(device) {
+    if (!this.profiles[device]) {
+      return false;
+    }
+
+    delete this.profiles[device];
+    await this.save();
+    if (device === this.activeDevice) {
+      this.emit('profileApplied', { device, profile: null });
+    }
+    return true;
+  }
+
+  getProfiles() {
+    return { ...this.profiles };
+  }
+
+  getStatus() {
+    return {
+      isCalibrating: this.isCalibrating,
+      activeDevice: this.activeDevice,
+      activeProfile: this.activeDevice ? this.profiles[this.activeDevice] || null : null,
+      profiles: Object.keys(this.profiles).length
+    };
+  }
+}
+
+module.exports = CalibrationService;
@@ -0,0 +1,231 @@
+const { spawn } = require('child_process');
+const EventEmitter = require('events');
+
+// `pactl subscribe` lines for sources coming and going, e.g. "Event 'new' on source #55",
+// and server changes, which include the default source; source 'change' is just volume
+const PACTL_EVENT = /^Event '(?:(?:new|remove)' on source|change' on server) #\d+/;
+// `pw-mon` starts each block with an unindented "added:", "removed:" or "changed:"
+const PW_MON_HEADER = /^(added|removed|changed):/;
+const PW_MON_TYPE = /^\s*type: PipeWire:Interface:(\w+)/;
+
+/**
+ * Watches the sound server for source hot-plug and default source changes.
+ * Monitor output only triggers a refresh; the device list itself comes from
+ * the listDevices/getDefaultDevice callbacks and is diffed against the last
+ * snapshot, so both event formats produce the same events.
+ */
+class DeviceMonitor extends EventEmitter {
+  /**
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {Function} options.listDevices - Resolves to the current input devices
+   * @param {Function} options.getDefaultDevice - Resolves to the default source name
+   * @param {number} options.debounceMs - Delay coalescing bursts of monitor events
+   * @param {number} options.restartDelay - Delay before respawning an exited monitor
+   */
+  constructor(logger, { listDevices, getDefaultDevice, debounceMs = 250, restartDelay = 5000 } = {}) {
+    super();
+    this.logger = logger;
+    this.listDevices = listDevices;
+    this.getDefaultDevice = getDefaultDevice;
+    this.debounceMs = debounceMs;
+    this.restartDelay = restartDelay;
+
+    this.isRunning = false;
+    this.monitorProcess = null;
+    this.devices = new Map();
+    this.defaultSource = null;
+
+    this.refreshTimer = null;
+    this.restartTimer = null;
+    this.refreshing = null;
+    this.refreshPending = false;
+    this.pwMonEvent = null;
+    this.lineBuffer = '';
+  }
+
+  /**
+   * Take an initial snapshot and start listening for changes
+   * @param {string} audioSystem - 'pipewire' or 'pulseaudio'
+   */
+  async start(audioSystem) {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.audioSystem = audioSystem;
+    await this.refresh({ silent: true });
+    this.spawnMonitor();
+  }
+
+  stop() {
+    this.isRunning = false;
+    clearTimeout(this.refreshTimer);
+    clearTimeout(this.restartTimer);
+    this.refreshTimer = null;
+    this.restartTimer = null;
+
+    if (this.monitorProcess) {
+      this.monitorProcess.kill('SIGTERM');
+      this.monitorProcess = null;
+    }
+  }
+
+  buildMonitorArgs() {
+    if (this.audioSystem === 'pipewire') {
+      return { command: 'pw-mon', args: [] };
+    }
+    return { command: 'pactl', args: ['subscribe'] };
+  }
+
+  spawnMonitor() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    const { command, args } = this.buildMonitorArgs();
+    const monitorProcess = spawn(command, args);
+    this.monitorProcess = monitorProcess;
+    this.lineBuffer = '';
+    this.pwMonEvent = null;
+
+    this.logger.debug('Device monitor started', { command });
+
+    monitorProcess.stdout.on('data', (data) => {
+      const lines = (this.lineBuffer + data.toString()).split('\n');
+      this.lineBuffer = lines.pop();
+      lines.forEach(line => this.handleLine(line));
+    });
+
+    monitorProcess.on('error', (error) => {
+      // Missing monitor tool: capture still works, just without hot-plug tracking
+      this.logger.warn(`Device monitor unavailable (${command}):`, error.message);
+      if (this.monitorProcess === monitorProcess) {
+        this.monitorProcess = null;
+      }
+    });
+
+    monitorProcess.on('exit', (code, signal) => {
+      if (!this.isRunning || this.monitorProcess !== monitorProcess) {
+        return;
+      }
+
+      this.monitorProcess = null;
+      this.logger.warn(`Device monitor exited, restarting in ${this.restartDelay}ms`, { code, signal });
+      this.restartTimer = setTimeout(() => this.spawnMonitor(), this.restartDelay);
+    });
+  }
+
+  /**
+   * Interpret one line of monitor output
+   * @param {string} line - Line from pactl subscribe or pw-mon
+   */
+  handleLine(line) {
+    if (PACTL_EVENT.test(line)) {
+      this.scheduleRefresh();
+      return;
+    }
+
+    const header = line.match(PW_MON_HEADER);
+    if (header) {
+      this.pwMonEvent = header[1];
+      // Removed blocks only carry the id, so any removal may be a source
+      if (this.pwMonEvent === 'removed') {
+        this.pwMonEvent = null;
+        this.scheduleRefresh();
+      }
+      return;
+    }
+
+    const type = this.pwMonEvent && line.match(PW_MON_TYPE);
+    if (type) {
+      // New nodes may be sources; the default source lives in metadata
+      if ((this.pwMonEvent === 'added' && type[1] === 'Node') || type[1] === 'Metadata') {
+        this.scheduleRefresh();
+      }
+      this.pwMonEvent = null;
+    }
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh();
+    }, this.debounceMs);
+  }
+
+  /**
+   * Re-read devices and the default source, emitting events for differences
+   * @param {Object} options
+   * @param {boolean} options.silent - Update the snapshot without emitting events
+   */
+  async refresh({ silent = false } = {}) {
+    if (this.refreshing) {
+      this.refreshPending = true;
+      return this.refreshing;
+    }
+
+    this.refreshing = this.diffSnapshot(silent);
+    try {
+      await this.refreshing;
+    } finally {
+      this.refreshing = null;
+    }
+
+    if (this.refreshPending) {
+      this.refreshPending = false;
+      await this.refresh({ silent });
+    }
+  }
+
+  async diffSnapshot(silent) {
+    try {
+      const devices = await this.listDevices();
+      const defaultSource = await this.getDefaultDevice();
+      const current = new Map(devices.map(device => [device.id, device]));
+
+      const added = devices.filter(device => !this.devices.has(device.id));
+      const removed = [...this.devices.values()].filter(device => !current.has(device.id));
+      const previousDefault = this.defaultSource;
+
+      this.devices = current;
+      this.defaultSource = defaultSource;
+
+      if (silent) {
+        return;
+      }
+
+      for (const device of removed) {
+        this.logger.info('Audio device removed', { device: device.id });
+        this.emit('deviceRemoved', device);
+      }
+      for (const device of added) {
+        this.logger.info('Audio device added', { device: device.id });
+        this.emit('deviceAdded', device);
+      }
+      if (defaultSource && defaultSource !== previousDefault) {
+        this.logger.info('Default audio source changed', { previous: previousDefault, current: defaultSource });
+        this.emit('defaultSourceChanged', { previous: previousDefault, current: defaultSource });
+      }
+    } catch (error) {
+      this.logger.error('Failed to refresh audio devices:', error);
+    }
+  }
+
+  getDevices() {
+    return [...this.devices.values()];
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      command: this.monitorProcess ? this.buildMonitorArgs().command : null,
+      devices: this.devices.size,
+      defaultSource: this.defaultSource
+    };
+  }
+}
+
+module.exports = DeviceMonitor;
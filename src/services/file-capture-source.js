@@ -0,0 +1,267 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+const AudioFormatConverter = require('../utils/audio-format');
+
+const TICK_MS = 20; // pacing granularity at real time or slower
+const FAST_CHUNK_MS = 100; // audio emitted per event loop turn when speed is 0
+
+/**
+ * Replays a WAV or raw PCM file, or stdin, as if it were a capture process.
+ * It exposes the subset of the ChildProcess interface AudioCaptureService
+ * uses (stdout/stderr 'data', 'error', 'exit', kill()), so recording
+ * sessions run unchanged on top of it.
+ */
+class FileCaptureSource extends EventEmitter {
+  /**
+   * @param {Object} audioConfig - The `audio` config section; playback options live in `audio.file`
+   * @param {Object} logger
+   * @param {Object} options
+   * @param {stream.Readable} options.input - Stream read when the path is '-'
+   */
+  constructor(audioConfig, logger, { input = process.stdin } = {}) {
+    super();
+    this.logger = logger;
+    this.input = input;
+    this.sampleRate = audioConfig.sampleRate;
+    this.channels = audioConfig.channels;
+    this.options = {
+      path: '-',
+      format: 'auto',
+      speed: 1,
+      loop: false,
+      silenceGapMs: 0,
+      ...audioConfig.file
+    };
+
+    this.stdout = new EventEmitter();
+    this.stderr = new EventEmitter();
+    this.pid = null;
+    this.killed = false;
+    this.finished = false;
+
+    this.frameBytes = 2 * this.channels;
+    this.bytesPerMs = this.sampleRate * this.frameBytes / 1000;
+
+    this.queue = [];
+    this.recorded = [];
+    this.inputEnded = false;
+    this.remainder = Buffer.alloc(0);
+    this.emittedBytes = 0;
+    this.startedAt = null;
+    this.timer = null;
+  }
+
+  /**
+   * Begin playback on the next tick, after the caller has attached listeners
+   * @returns {FileCaptureSource} this
+   */
+  start() {
+    setImmediate(() => {
+      const reading = this.options.path === '-' ? this.readInput() : this.readFile();
+      reading.catch(error => this.emit('error', error));
+    });
+    return this;
+  }
+
+  async readFile() {
+    const contents = await fs.promises.readFile(this.options.path);
+    if (this.killed) {
+      return;
+    }
+
+    const pcm = this.decode(contents);
+    this.logger.info('Replaying audio file', {
+      path: this.options.path,
+      durationMs: Math.round(pcm.length / this.bytesPerMs),
+      speed: this.options.speed,
+      loop: this.options.loop
+    });
+
+    this.enqueue(pcm);
+    this.endInput();
+    this.pump();
+  }
+
+  async readInput() {
+    this.logger.info('Replaying audio from stdin', { speed: this.options.speed, loop: this.options.loop });
+    let headerChecked = this.options.format === 'raw';
+
+    this.onInputData = (data) => {
+      try {
+        if (!headerChecked) {
+          headerChecked = true;
+          data = this.stripWavHeader(data);
+        }
+        this.enqueue(data);
+      } catch (error) {
+        this.emit('error', error);
+      }
+    };
+    this.onInputEnd = () => this.endInput();
+    this.onInputError = (error) => this.emit('error', error);
+
+    this.input.on('data', this.onInputData);
+    this.input.on('end', this.onInputEnd);
+    this.input.on('error', this.onInputError);
+    this.pump();
+  }
+
+  /**
+   * Convert file contents to raw s16le PCM in the configured rate and channel count
+   * @param {Buffer} contents - WAV or raw PCM bytes
+   * @returns {Buffer} PCM ready to emit
+   */
+  decode(contents) {
+    const isWav = contents.toString('ascii', 0, 4) === 'RIFF';
+    if (this.options.format === 'raw' || (this.options.format === 'auto' && !isWav)) {
+      // Raw input is expected to already match audio.sampleRate and audio.channels
+      return contents.subarray(0, contents.length - (contents.length % this.frameBytes));
+    }
+
+    const wav = AudioFormatConverter.parseWav(contents);
+    let samples = wav.samples;
+
+    if (wav.channels !== this.channels) {
+      if (this.channels !== 1) {
+        throw new Error(`Cannot convert ${wav.channels}-channel audio to ${this.channels} channels`);
+      }
+      samples = FileCaptureSource.downmix(samples, wav.channels);
+    }
+    samples = AudioFormatConverter.resample(samples, wav.sampleRate, this.sampleRate);
+
+    const int16 = AudioFormatConverter.float32ToInt16(samples);
+    return Buffer.from(int16.buffer, int16.byteOffset, int16.byteLength);
+  }
+
+  static downmix(samples, channels) {
+    const mono = new Float32Array(Math.floor(samples.length / channels));
+    for (let i = 0; i < mono.length; i++) {
+      let sum = 0;
+      for (let channel = 0; channel < channels; channel++) {
+        sum += samples[i * channels + channel];
+      }
+      mono[i] = sum / channels;
+    }
+    return mono;
+  }
+
+  stripWavHeader(data) {
+    if (data.toString('ascii', 0, 4) !== 'RIFF') {
+      return data;
+    }
+
+    // Streamed WAV: assume it matches the configured format and skip to the samples
+    const dataChunk = data.indexOf('data', 12, 'ascii');
+    if (dataChunk === -1) {
+      throw new Error('WAV header on stdin must fit in the first read');
+    }
+    this.logger.debug('Skipping WAV header on stdin; samples must match audio.sampleRate and audio.channels');
+    return data.subarray(dataChunk + 8);
+  }
+
+  enqueue(data) {
+    // Keep whole frames only so every emitted buffer is valid s16le
+    const bytes = this.remainder.length > 0 ? Buffer.concat([this.remainder, data]) : data;
+    const usable = bytes.length - (bytes.length % this.frameBytes);
+    this.remainder = bytes.subarray(usable);
+
+    if (usable > 0) {
+      const frames = bytes.subarray(0, usable);
+      this.queue.push(frames);
+      if (this.options.loop) {
+        this.recorded.push(frames);
+      }
+    }
+  }
+
+  endInput() {
+    this.inputEnded = true;
+
+    const gap = this.silence(this.options.silenceGapMs);
+    if (gap.length > 0) {
+      this.queue.push(gap);
+    }
+    this.loopContent = this.options.loop ? Buffer.concat([...this.recorded, gap]) : null;
+    this.recorded = [];
+  }
+
+  silence(ms) {
+    const bytes = Math.round(ms * this.bytesPerMs / this.frameBytes) * this.frameBytes;
+    return Buffer.alloc(bytes);
+  }
+
+  pump() {
+    this.timer = null;
+    if (this.killed || this.finished) {
+      return;
+    }
+
+    const { speed } = this.options;
+    const now = Date.now();
+    if (this.startedAt === null) {
+      this.startedAt = now;
+    }
+
+    if (this.queue.length === 0 && !this.inputEnded && speed > 0) {
+      // Waiting on stdin: don't bank the idle time and burst once data arrives
+      this.startedAt = now - this.emittedBytes / (speed * this.bytesPerMs);
+    }
+
+    let budget = speed > 0
+      ? (now - this.startedAt) * speed * this.bytesPerMs - this.emittedBytes
+      : FAST_CHUNK_MS * this.bytesPerMs;
+    budget = Math.floor(budget / this.frameBytes) * this.frameBytes;
+
+    while (budget > 0 && this.queue.length > 0) {
+      const head = this.queue[0];
+      const take = Math.min(budget, head.length);
+
+      // Copy so each chunk starts on an aligned offset for Int16Array views
+      this.stdout.emit('data', Buffer.from(head.subarray(0, take)));
+      this.emittedBytes += take;
+      budget -= take;
+
+      if (take === head.length) {
+        this.queue.shift();
+      } else {
+        this.queue[0] = head.subarray(take);
+      }
+    }
+
+    if (this.queue.length === 0 && this.inputEnded) {
+      if (this.loopContent && this.loopContent.length > 0) {
+        this.queue.push(this.loopContent);
+      } else {
+        // Like a muted microphone: stay alive so the capture service doesn't restart us
+        this.finished = true;
+        this.logger.info('Audio replay finished', { emittedMs: Math.round(this.emittedBytes / this.bytesPerMs) });
+        this.emit('finished');
+        return;
+      }
+    }
+
+    // Fast mode only spins while there is something to emit
+    const fast = speed === 0 && this.queue.length > 0;
+    this.timer = fast ? setImmediate(() => this.pump()) : setTimeout(() => this.pump(), TICK_MS);
+  }
+
+  kill(signal = 'SIGTERM') {
+    if (this.killed) {
+      return true;
+    }
+
+    this.killed = true;
+    clearTimeout(this.timer);
+    clearImmediate(this.timer);
+    if (this.onInputData) {
+      this.input.off('data', this.onInputData);
+      this.input.off('end', this.onInputEnd);
+      this.input.off('error', this.onInputError);
+    }
+
+    setImmediate(() => this.emit('exit', null, signal));
+    return true;
+  }
+}
+
+module.exports = FileCaptureSource;
@@ -0,0 +1,253 @@
+const EventEmitter = require('events');
+const AudioRingBuffer = require('../utils/audio-ring-buffer');
+const ChunkedAudioBuffer = require('../utils/chunked-audio-buffer');
+const AudioAnalysis = require('../utils/audio-analysis');
+const { createError } = require('../utils/service-utils');
+
+const FRAME_MS = 30; // speech/silence decisions are made per frame of this length
+
+const SETTINGS = {
+  threshold: { min: 0.0001, max: 1 }, // frame RMS energy counted as speech; lower is more sensitive
+  onsetMs: { min: 30, max: 2000 }, // continuous speech needed to open an utterance
+  silenceMs: { min: 100, max: 10000 }, // trailing silence that closes an utterance
+  minUtteranceMs: { min: 0, max: 10000 }, // shorter utterances (coughs, clicks) are dropped
+  maxUtteranceMs: { min: 1000, max: 600000 } // longer utterances are split
+};
+
+/**
+ * Voice-activated dictation: watches the always-running capture for speech
+ * onset, opens an utterance with pre-roll, and closes it after trailing
+ * silence. Each utterance is emitted as `utterance` for transcription.
+ * Manual recording sessions take precedence; while one is in progress
+ * hands-free mode stands aside.
+ */
+class HandsFreeDictation extends EventEmitter {
+  /**
+   * @param {Object} config - Application config; uses `audio.sampleRate`, `audio.preRollMs` and `audio.handsFree`
+   * @param {Object} logger
+   * @param {AudioCaptureService} audioCapture - Emits `audio` with Float32Array chunks
+   */
+  constructor(config, logger, audioCapture) {
+    super();
+    this.logger = logger;
+    this.audioCapture = audioCapture;
+    this.sampleRate = config.audio.sampleRate;
+
+    // `enabled` only decides whether main turns the mode on at startup
+    const { enabled, ...settings } = config.audio.handsFree || {};
+    this.settings = {
+      threshold: config.audio.vadThreshold ?? 0.01,
+      onsetMs: 90,
+      silenceMs: 800,
+      minUtteranceMs: 300,
+      maxUtteranceMs: 30000
+    };
+    this.configure(settings);
+    // Set once configure() is given a threshold at runtime; device profiles then leave it alone
+    this.thresholdOverridden = false;
+
+    this.enabled = false;
+    this.frame = new Float32Array(Math.round(this.sampleRate * FRAME_MS / 1000));
+    this.frameFilled = 0;
+    this.preRoll = new AudioRingBuffer(this.sampleRate * (config.audio.preRollMs ?? 500) / 1000);
+    this.segment = new ChunkedAudioBuffer({ chunkSize: this.sampleRate });
+    this.inUtterance = false;
+    this.onsetSamples = 0;
+    this.speechStart = 0;
+    this.silenceSamples = 0;
+    this.utterances = 0;
+
+    this.onAudio = (samples) => this.push(samples);
+  }
+
+  /**
+   * Update tuning; unknown keys and out-of-range values are rejected
+   * @param {Object} settings - Any of threshold, onsetMs, silenceMs, minUtteranceMs, maxUtteranceMs
+   */
+  configure(settings = {}) {
+    const next = { ...this.settings };
+
+    for (const [key, value] of Object.entries(settings)) {
+      const range = SETTINGS[key];
+      if (!range) {
+        throw createError('INVALID_SETTING', `Unknown hands-free setting: ${key}`);
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < range.min || value > range.max) {
+        throw createError('INVALID_SETTING', `${key} must be a number between ${range.min} and ${range.max}`);
+      }
+      next[key] = value;
+    }
+
+    if (next.minUtteranceMs >= next.maxUtteranceMs) {
+      throw createError('INVALID_SETTING', 'minUtteranceMs must be less than maxUtteranceMs');
+    }
+
+    this.settings = next;
+    if (settings.threshold !== undefined) {
+      this.thresholdOverridden = true;
+    }
+  }
+
+  /**
+   * Use the threshold of the active device's calibration profile, or the
+   * configured one for a device without a profile. Ignored after a threshold
+   * was set through configure(); values outside the accepted range are clamped.
+   * @param {number} threshold - Frame RMS energy counted as speech
+   * @returns {boolean} Whether the threshold was applied
+   */
+  applyDeviceThreshold(threshold) {
+    if (this.thresholdOverridden) {
+      return false;
+    }
+
+    const { min, max } = SETTINGS.threshold;
+    this.settings = { ...this.settings, threshold: Math.min(max, Math.max(min, threshold)) };
+    return true;
+  }
+
+  enable() {
+    if (this.enabled) {
+      return;
+    }
+
+    this.enabled = true;
+    this.audioCapture.on('audio', this.onAudio);
+    this.logger.info('Hands-free dictation enabled', this.settings);
+    this.emit('enabled');
+  }
+
+  /**
+   * Stop listening; an utterance in progress is still delivered
+   */
+  disable() {
+    if (!this.enabled) {
+      return;
+    }
+
+    if (this.inUtterance) {
+      this.closeUtterance('disabled');
+    }
+    this.enabled = false;
+    this.audioCapture.off('audio', this.onAudio);
+    this.reset();
+    this.logger.info('Hands-free dictation disabled');
+    this.emit('disabled');
+  }
+
+  reset() {
+    this.frameFilled = 0;
+    this.preRoll.clear();
+    this.segment.clear();
+    this.inUtterance = false;
+    this.onsetSamples = 0;
+    this.silenceSamples = 0;
+  }
+
+  /**
+   * @param {Float32Array} samples - Captured audio
+   */
+  push(samples) {
+    if (this.audioCapture.isRecording) {
+      if (this.inUtterance) {
+        this.logger.info('Manual recording started, dropping hands-free utterance');
+      }
+      this.reset();
+      return;
+    }
+
+    let offset = 0;
+    while (offset < samples.length) {
+      const take = Math.min(this.frame.length - this.frameFilled, samples.length - offset);
+      this.frame.set(samples.subarray(offset, offset + take), this.frameFilled);
+      this.frameFilled += take;
+      offset += take;
+
+      if (this.frameFilled === this.frame.length) {
+        this.frameFilled = 0;
+        this.handleFrame(this.frame);
+      }
+    }
+  }
+
+  handleFrame(frame) {
+    const isSpeech = AudioAnalysis.calculateFrameEnergy(frame) >= this.settings.threshold;
+
+    if (!this.inUtterance) {
+      this.preRoll.write(frame);
+      this.onsetSamples = isSpeech ? this.onsetSamples + frame.length : 0;
+      if (this.onsetSamples >= this.toSamples(this.settings.onsetMs)) {
+        this.openUtterance();
+      }
+      return;
+    }
+
+    this.segment.append(frame);
+    this.silenceSamples = isSpeech ? 0 : this.silenceSamples + frame.length;
+
+    if (this.silenceSamples >= this.toSamples(this.settings.silenceMs)) {
+      this.closeUtterance('silence');
+    } else if (this.segment.length - this.speechStart >= this.toSamples(this.settings.maxUtteranceMs)) {
+      // Keep going: the speaker hasn't paused, so the next utterance starts right away
+      this.closeUtterance('maxLength');
+      this.openUtterance();
+    }
+  }
+
+  openUtterance() {
+    const preRoll = this.preRoll.read();
+    this.preRoll.clear();
+
+    this.segment.clear();
+    this.segment.append(preRoll);
+    // The onset frames are already in the pre-roll
+    this.speechStart = Math.max(0, preRoll.length - this.onsetSamples);
+    this.silenceSamples = 0;
+    this.onsetSamples = 0;
+    this.inUtterance = true;
+    this.emit('utteranceStarted', { index: this.utterances + 1 });
+  }
+
+  closeUtterance(reason) {
+    const speechMs = this.toMs(this.segment.length - this.speechStart - this.silenceSamples);
+    const audio = this.segment.toFloat32Array();
+    this.segment.clear();
+    this.inUtterance = false;
+    this.silenceSamples = 0;
+
+    // A forced split is never too short, whatever came before it
+    if (reason !== 'maxLength' && speechMs < this.settings.minUtteranceMs) {
+      this.logger.debug('Hands-free utterance too short, dropped', { speechMs });
+      this.emit('utteranceDiscarded', { speechMs });
+      return;
+    }
+
+    this.utterances++;
+    this.logger.info('Hands-free utterance captured', { index: this.utterances, speechMs, reason });
+    this.emit('utterance', {
+      audio,
+      index: this.utterances,
+      duration: audio.length / this.sampleRate,
+      speechMs,
+      reason
+    });
+  }
+
+  toSamples(ms) {
+    return ms * this.sampleRate / 1000;
+  }
+
+  toMs(samples) {
+    return Math.round(samples / this.sampleRate * 1000);
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      inUtterance: this.inUtterance,
+      utterances: this.utterances,
+      settings: { ...this.settings }
+    };
+  }
+}
+
+module.exports = HandsFreeDictation;
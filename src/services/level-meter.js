@@ -0,0 +1,203 @@
+const EventEmitter = require('events');
+const AudioRingBuffer = require('../utils/audio-ring-buffer');
+const AudioFormatConverter = require('../utils/audio-format');
+const AudioAnalysis = require('../utils/audio-analysis');
+
+// Capture may deliver audio less often than readings are taken (pw-record
+// uses ~100 ms blocks); until this long without audio, the last reading is repeated
+const HOLD_MS = 500;
+
+/**
+ * Input level readings at a fixed rate, computed from the capture service's
+ * `audio` events. The meter only listens to audio while someone is
+ * subscribed, and the capture path never waits on subscribers.
+ */
+class LevelMeter extends EventEmitter {
+  /**
+   * @param {Object} config - Application config; uses `audio.sampleRate`, `audio.clipThreshold` and `audio.levelMeter`
+   * @param {Object} logger
+   * @param {EventEmitter} audioSource - Emits `audio` with Float32Array chunks
+   */
+  constructor(config, logger, audioSource) {
+    super();
+    this.logger = logger;
+    this.audioSource = audioSource;
+    this.sampleRate = config.audio.sampleRate;
+
+    const settings = config.audio.levelMeter || {};
+    this.rate = settings.rate ?? 20;
+    this.clipThreshold = config.audio.clipThreshold ?? AudioFormatConverter.CLIP_THRESHOLD;
+
+    // One reading covers the audio since the previous one
+    this.window = new AudioRingBuffer(this.sampleRate / this.rate);
+    this.peak = 0;
+    this.clippedSamples = 0;
+    this.receivedAudio = false;
+    this.lastReading = null;
+    this.lastAudioAt = 0;
+
+    this.subscribers = 0;
+    this.setMaxListeners(0); // one listener per connected client
+    this.timer = null;
+    this.onAudio = (samples) => this.push(samples);
+  }
+
+  /**
+   * Start receiving readings; audio is only analysed while there are subscribers
+   * @param {Function} listener - Called with each reading
+   * @returns {Function} Unsubscribe
+   */
+  subscribe(listener) {
+    this.on('level', listener);
+    this.subscribers++;
+
+    if (this.subscribers === 1) {
+      this.start();
+    }
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) {
+        return;
+      }
+      subscribed = false;
+      this.off('level', listener);
+      this.subscribers--;
+
+      if (this.subscribers === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  start() {
+    this.audioSource.on('audio', this.onAudio);
+    this.timer = setInterval(() => this.emit('level', this.read()), 1000 / this.rate);
+    this.logger.debug('Level meter started', { rate: this.rate });
+  }
+
+  stop() {
+    this.audioSource.off('audio', this.onAudio);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.window.clear();
+    this.peak = 0;
+    this.clippedSamples = 0;
+    this.receivedAudio = false;
+    this.lastReading = null;
+    this.logger.debug('Level meter stopped');
+  }
+
+  /**
+   * @param {Float32Array} samples - Captured audio
+   */
+  push(samples) {
+    this.window.write(samples);
+    this.receivedAudio = true;
+    this.lastAudioAt = Date.now();
+
+    for (let i = 0; i < samples.length; i++) {
+      const magnitude = Math.abs(samples[i]);
+      if (magnitude > this.peak) {
+        this.peak = magnitude;
+      }
+      if (magnitude >= this.clipThreshold) {
+        this.clippedSamples++;
+      }
+    }
+  }
+
+  /**
+   * Take a reading and reset the peak and clipping counters. Without new
+   * audio since the previous reading, that reading is repeated for up to
+   * HOLD_MS, then the meter reports inactive.
+   * @returns {Object} Level reading
+   */
+  read() {
+    if (!this.receivedAudio) {
+      if (this.lastReading && Date.now() - this.lastAudioAt <= HOLD_MS) {
+        return { ...this.lastReading, timestamp: Date.now() };
+      }
+      this.lastReading = null;
+      return this.createReading(null);
+    }
+
+    // The window keeps the most recent audio, which may predate this interval
+    const reading = this.createReading(this.window.read());
+    this.peak = 0;
+    this.clippedSamples = 0;
+    this.receivedAudio = false;
+    this.lastReading = reading;
+
+    return reading;
+  }
+
+  /**
+   * @param {Float32Array|null} frame - Recent audio, or null when there is none
+   * @returns {Object} Level reading
+   */
+  createReading(frame) {
+    const active = frame !== null && frame.length > 0;
+    const rms = active ? AudioFormatConverter.calculateRMS(frame) : 0;
+    const peak = active ? this.peak : 0;
+    const clippedSamples = active ? this.clippedSamples : 0;
+    // The periodicity measure needs more than a handful of samples
+    const features = active && frame.length > 64 ? AudioAnalysis.extractVADFeatures(frame, this.sampleRate) : null;
+
+    return {
+      timestamp: Date.now(),
+      active,
+      rms,
+      rmsDb: AudioFormatConverter.amplitudeToDb(rms),
+      peak,
+      peakDb: AudioFormatConverter.amplitudeToDb(peak),
+      clipping: clippedSamples > 0,
+      clippedSamples,
+      speechLikely: features ? features.isSpeechLikely : false,
+      frameClass: features ? features.frameClass : 'silence'
+    };
+  }
+
+  /**
+   * Stream readings to an HTTP response as Server-Sent Events. Readings are
+   * dropped while the client's socket buffer is full, so a slow client only
+   * misses updates and never queues them.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  streamTo(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 1000\n\n');
+
+    let dropped = 0;
+    const unsubscribe = this.subscribe((reading) => {
+      if (res.writableNeedDrain) {
+        dropped++;
+        return;
+      }
+      res.write(`data: ${JSON.stringify(reading)}\n\n`);
+    });
+
+    req.on('close', () => {
+      unsubscribe();
+      if (dropped > 0) {
+        this.logger.debug('Level meter client disconnected', { droppedReadings: dropped });
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      rate: this.rate,
+      subscribers: this.subscribers,
+      running: this.timer !== null
+    };
+  }
+}
+
+module.exports = LevelMeter;
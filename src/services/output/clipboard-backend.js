@@ -0,0 +1,153 @@
+const OutputBackend = require('./output-backend');
+
+// Preferred MIME types when saving the user's clipboard; wl-copy can only offer
+// one type per selection, so the richest recognisable one is kept
+const PREFERRED_MIME_TYPES = [
+  /^image\//,
+  /^text\/plain;charset=utf-8$/i,
+  /^text\/plain$/,
+  /^UTF8_STRING$/,
+  /^text\//
+];
+
+/**
+ * Puts the whole transcript on the Wayland clipboard with wl-copy and sends
+ * the paste shortcut with wtype. Applications that drop characters when typed
+ * quickly receive the text in one piece.
+ *
+ * With `output.clipboard.preserve` the previous selection is saved before
+ * copying and restored once the target application has pasted.
+ */
+class ClipboardBackend extends OutputBackend {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'clipboard';
+    this.typesIncrementally = false;
+    this.clipboardConfig = this.config.clipboard || {};
+    this.preserve = this.clipboardConfig.preserve ?? true;
+    this.restoreDelay = this.clipboardConfig.restoreDelay ?? 300;
+    this.requiredCommands = this.preserve ? ['wl-copy', 'wl-paste', 'wtype'] : ['wl-copy', 'wtype'];
+    this.lastRestore = null;
+  }
+
+  async type(text, options = {}) {
+    const pasteKeys = options.pasteKeys || this.clipboardConfig.pasteKeys || 'ctrl+v';
+    const saved = this.preserve ? await this.saveClipboard() : null;
+
+    await this.execCommand('wl-copy', [], text);
+    await this.execCommand('wtype', this.buildShortcutArgs(pasteKeys));
+
+    if (this.preserve) {
+      // Give the focused application time to read the selection before it changes
+      await this.sleep(this.restoreDelay);
+      await this.restoreClipboard(saved);
+    }
+  }
+
+  async deleteBackward(count, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+    const keys = Array.from({ length: count }, () => ['-k', 'BackSpace']).flat();
+
+    await this.execCommand('wtype', ['-d', String(typeDelay), ...keys]);
+  }
+
+  /**
+   * Save the current selection in its preferred MIME type
+   * @returns {Promise<Object|null>} Saved selection, or null when the clipboard is empty
+   */
+  async saveClipboard() {
+    let types;
+
+    try {
+      const output = await this.execCommand('wl-paste', ['--list-types']);
+      types = output.split('\n').map(type => type.trim()).filter(Boolean);
+    } catch (error) {
+      // wl-paste exits non-zero when nothing is copied
+      return null;
+    }
+
+    if (types.length === 0) {
+      return null;
+    }
+
+    const mimeType = this.selectMimeType(types);
+    const data = await this.execCommandRaw('wl-paste', ['--no-newline', '--type', mimeType]);
+
+    return { types, mimeType, data };
+  }
+
+  /**
+   * Put a saved selection back, or clear the clipboard if it was empty before
+   * @param {Object|null} saved - Selection returned by saveClipboard()
+   */
+  async restoreClipboard(saved) {
+    try {
+      if (saved) {
+        await this.execCommand('wl-copy', ['--type', saved.mimeType], saved.data);
+      } else {
+        await this.execCommand('wl-copy', ['--clear']);
+      }
+
+      this.lastRestore = {
+        success: true,
+        mimeType: saved ? saved.mimeType : null,
+        bytes: saved ? saved.data.length : 0,
+        timestamp: Date.now()
+      };
+    } catch (error) {
+      // The transcript is already pasted, so this must not trigger a fallback retype
+      this.lastRestore = { success: false, error: error.message, timestamp: Date.now() };
+      if (this.logger) {
+        this.logger.warn('Failed to restore clipboard:', error.message);
+      }
+    }
+  }
+
+  selectMimeType(types) {
+    for (const pattern of PREFERRED_MIME_TYPES) {
+      const match = types.find(type => pattern.test(type));
+      if (match) {
+        return match;
+      }
+    }
+
+    return types[0];
+  }
+
+  /**
+   * Translate a shortcut such as "ctrl+shift+v" into wtype modifier and key arguments
+   * @param {string} shortcut - Modifiers and key joined by '+'
+   * @returns {string[]} wtype arguments
+   */
+  buildShortcutArgs(shortcut) {
+    const parts = shortcut.split('+').map(part => part.trim()).filter(Boolean);
+    const key = parts.pop();
+
+    if (!key) {
+      throw new Error(`Invalid paste shortcut: ${shortcut}`);
+    }
+
+    const args = [];
+    for (const modifier of parts) {
+      args.push('-M', modifier.toLowerCase());
+    }
+    args.push('-k', key);
+    for (const modifier of [...parts].reverse()) {
+      args.push('-m', modifier.toLowerCase());
+    }
+
+    return args;
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      pasteKeys: this.clipboardConfig.pasteKeys || 'ctrl+v',
+      preserve: this.preserve,
+      restoreDelay: this.restoreDelay,
+      lastRestore: this.lastRestore
+    };
+  }
+}
+
+module.exports = ClipboardBackend;
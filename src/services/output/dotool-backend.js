@@ -0,0 +1,49 @@
+const OutputBackend = require('./output-backend');
+
+/**
+ * Types through uinput using dotool's stdin command language.
+ */
+class DotoolBackend extends OutputBackend {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'dotool';
+    this.requiredCommands = ['dotool'];
+  }
+
+  async type(text, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+
+    await this.execCommand('dotool', [], this.buildScript(text, typeDelay));
+  }
+
+  async deleteBackward(count, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+    const commands = [`keydelay ${typeDelay}`, ...Array(count).fill('key backspace')];
+
+    await this.execCommand('dotool', [], commands.join('\n') + '\n');
+  }
+
+  /**
+   * Build a dotool command script; `type` stops at end of line, so newlines become Enter presses
+   * @param {string} text - Text to type
+   * @param {number} typeDelay - Delay between keystrokes in ms
+   * @returns {string} dotool script
+   */
+  buildScript(text, typeDelay) {
+    const commands = [`typedelay ${typeDelay}`];
+    const lines = text.split('\n');
+
+    lines.forEach((line, index) => {
+      if (line.length > 0) {
+        commands.push(`type ${line}`);
+      }
+      if (index < lines.length - 1) {
+        commands.push('key enter');
+      }
+    });
+
+    return commands.join('\n') + '\n';
+  }
+}
+
+module.exports = DotoolBackend;
@@ -0,0 +1,72 @@
+const OutputBackend = require('./output-backend');
+const TextTransforms = require('../../utils/text-transforms');
+
+/**
+ * Records what would have been typed instead of touching the display.
+ */
+class DryRunBackend extends OutputBackend {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'dry-run';
+    this.recorded = [];
+    this.maxRecorded = 100;
+  }
+
+  async type(text, options = {}) {
+    this.recorded.push({
+      text,
+      options,
+      timestamp: Date.now()
+    });
+
+    if (this.recorded.length > this.maxRecorded) {
+      this.recorded.shift();
+    }
+  }
+
+  async deleteBackward(count, options = {}) {
+    this.recorded.push({
+      deleted: count,
+      options,
+      timestamp: Date.now()
+    });
+
+    if (this.recorded.length > this.maxRecorded) {
+      this.recorded.shift();
+    }
+  }
+
+  async checkAvailability() {
+    return { available: true, missing: [], tools: {} };
+  }
+
+  /**
+   * @returns {string} The text a window would contain after all recorded typing and deletions
+   */
+  getRecordedText() {
+    let graphemes = [];
+
+    for (const entry of this.recorded) {
+      if (entry.deleted !== undefined) {
+        graphemes = graphemes.slice(0, Math.max(0, graphemes.length - entry.deleted));
+      } else {
+        graphemes = graphemes.concat(TextTransforms.splitGraphemes(entry.text));
+      }
+    }
+
+    return graphemes.join('');
+  }
+
+  clear() {
+    this.recorded = [];
+  }
+
+  getStatus() {
+    return {
+      ...super.getStatus(),
+      recorded: this.recorded
+    };
+  }
+}
+
+module.exports = DryRunBackend;
@@ -0,0 +1,43 @@
+const { execCommand } = require('../../utils/service-utils');
+
+/**
+ * Thin wrapper around `niri msg --json` for querying compositor state.
+ */
+class NiriIpc {
+  constructor(logger) {
+    this.logger = logger;
+    this.timeout = 1000; // ms before a hung niri msg is killed
+  }
+
+  /**
+   * Query the focused window
+   * @returns {Promise<Object|null>} Focused window, or null when nothing is focused or niri is unreachable
+   */
+  async getFocusedWindow() {
+    try {
+      const output = await this.execCommand('niri', ['msg', '--json', 'focused-window']);
+      const window = JSON.parse(output);
+
+      if (!window) {
+        return null;
+      }
+
+      return {
+        id: window.id,
+        appId: window.app_id || null,
+        title: window.title || null,
+        pid: window.pid ?? null,
+        workspaceId: window.workspace_id ?? null
+      };
+    } catch (error) {
+      this.logger.debug('Failed to query focused window from niri:', error.message);
+      return null;
+    }
+  }
+
+  execCommand(command, args) {
+    return execCommand(command, args, { timeout: this.timeout });
+  }
+}
+
+module.exports = NiriIpc;
@@ -0,0 +1,81 @@
+const { execCommand } = require('../../utils/service-utils');
+
+/**
+ * Base class for text injection backends.
+ *
+ * Subclasses set `name` and `requiredCommands` and implement `type(text, options)`
+ * and `deleteBackward(count, options)`.
+ * Backends that type character by character set `typesIncrementally` so the
+ * OutputService applies punctuation pauses between segments.
+ */
+class OutputBackend {
+  constructor(config, logger) {
+    this.config = config.output || {};
+    this.logger = logger;
+    this.name = 'base';
+    this.requiredCommands = [];
+    this.typesIncrementally = true;
+  }
+
+  async type(text, options = {}) {
+    throw new Error(`Output backend ${this.name} does not implement type()`);
+  }
+
+  async deleteBackward(count, options = {}) {
+    throw new Error(`Output backend ${this.name} does not support deleting text`);
+  }
+
+  async isCommandAvailable(command) {
+    try {
+      await this.execCommand('sh', ['-c', `command -v ${command}`]);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async checkAvailability() {
+    const tools = {};
+    const missing = [];
+
+    for (const command of this.requiredCommands) {
+      tools[command] = await this.isCommandAvailable(command);
+      if (!tools[command]) {
+        missing.push(command);
+      }
+    }
+
+    return {
+      available: missing.length === 0,
+      missing,
+      tools
+    };
+  }
+
+  execCommand(command, args, input) {
+    return execCommand(command, args, { input });
+  }
+
+  /**
+   * Run a command and collect its stdout as raw bytes, for binary output such as images
+   * @param {string} command - Command to run
+   * @param {string[]} args - Command arguments
+   * @returns {Promise<Buffer>} Command stdout
+   */
+  execCommandRaw(command, args) {
+    return execCommand(command, args, { raw: true });
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      typesIncrementally: this.typesIncrementally
+    };
+  }
+}
+
+module.exports = OutputBackend;
@@ -0,0 +1,90 @@
+const TextTransforms = require('../../utils/text-transforms');
+
+// Rule keys that are passed through to OutputService as request options
+const OPTION_KEYS = ['method', 'pasteKeys', 'typeDelay', 'punctuationDelay', 'transforms'];
+
+/**
+ * Matches the focused window against `output.rules`. Rules are checked in
+ * order and the first match wins; a rule without `match` applies to every window.
+ */
+class OutputRules {
+  constructor(config) {
+    const rules = (config.output && config.output.rules) || [];
+    this.rules = rules.map(rule => this.compileRule(rule));
+  }
+
+  compileRule(rule) {
+    const match = rule.match || {};
+    const compiled = { ...rule, patterns: {} };
+
+    try {
+      if (match.appId) {
+        compiled.patterns.appId = new RegExp(match.appId, 'i');
+      }
+      if (match.title) {
+        compiled.patterns.title = new RegExp(match.title, 'i');
+      }
+    } catch (error) {
+      throw new Error(`Invalid output rule "${rule.name}": ${error.message}`);
+    }
+
+    for (const name of rule.transforms || []) {
+      if (!TextTransforms.names.includes(name)) {
+        throw new Error(`Invalid output rule "${rule.name}": unknown transform ${name}`);
+      }
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Find the first rule matching a window
+   * @param {Object|null} window - Focused window from NiriIpc
+   * @returns {Object|null} Matching rule with its index, or null
+   */
+  match(window) {
+    for (let i = 0; i < this.rules.length; i++) {
+      const rule = this.rules[i];
+      const { appId, title } = rule.patterns;
+
+      if (appId && !(window && window.appId && appId.test(window.appId))) {
+        continue;
+      }
+      if (title && !(window && window.title && title.test(window.title))) {
+        continue;
+      }
+
+      return { rule, index: i };
+    }
+
+    return null;
+  }
+
+  /**
+   * Decide how output should be delivered to a window
+   * @param {Object|null} window - Focused window from NiriIpc
+   * @returns {Object} Target with the matched rule name, refusal flag and request options
+   */
+  resolve(window) {
+    const matched = this.match(window);
+    const options = {};
+
+    if (matched) {
+      for (const key of OPTION_KEYS) {
+        if (matched.rule[key] !== undefined) {
+          options[key] = matched.rule[key];
+        }
+      }
+    }
+
+    return {
+      window,
+      rule: matched ? matched.rule.name : null,
+      ruleIndex: matched ? matched.index : null,
+      refuse: matched ? matched.rule.refuse === true : false,
+      options
+    };
+  }
+}
+
+module.exports = OutputRules;
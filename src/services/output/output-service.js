@@ -0,0 +1,362 @@
+const EventEmitter = require('events');
+const WtypeBackend = require('./wtype-backend');
+const YdotoolBackend = require('./ydotool-backend');
+const DotoolBackend = require('./dotool-backend');
+const ClipboardBackend = require('./clipboard-backend');
+const DryRunBackend = require('./dry-run-backend');
+const NiriIpc = require('./niri-ipc');
+const OutputRules = require('./output-rules');
+const TextTransforms = require('../../utils/text-transforms');
+const { createError } = require('../../utils/service-utils');
+
+const PUNCTUATION_PATTERN = /[.!?,:;]$/;
+
+const BACKENDS = {
+  wtype: WtypeBackend,
+  ydotool: YdotoolBackend,
+  dotool: DotoolBackend,
+  clipboard: ClipboardBackend,
+  'dry-run': DryRunBackend
+};
+
+class OutputService extends EventEmitter {
+  constructor(config, logger) {
+    super();
+    this.config = config.output || {};
+    this.logger = logger;
+
+    // Initialize backends
+    this.backends = {};
+    for (const [name, Backend] of Object.entries(BACKENDS)) {
+      this.backends[name] = new Backend(config, logger);
+    }
+
+    this.method = this.config.method || 'wtype';
+    this.fallbackMethods = this.config.fallbackMethods || ['wtype', 'ydotool', 'dotool', 'clipboard'];
+
+    // Focus-aware delivery rules
+    this.niri = new NiriIpc(logger);
+    this.rules = new OutputRules(config);
+
+    // Output requests are typed one at a time so transcripts never interleave
+    this.outputQueue = [];
+    this.processing = false;
+    this.isTyping = false;
+
+    // Recent outputs, most recent last, for undo
+    this.history = [];
+    this.maxHistory = this.config.undoHistorySize ?? 10;
+
+    this.lastOutput = null;
+    this.completedCount = 0;
+    this.failedCount = 0;
+  }
+
+  /**
+   * Look up the focused window and the output rule that applies to it
+   * @returns {Promise<Object>} Target as returned by OutputRules.resolve()
+   */
+  async resolveTarget() {
+    const window = await this.niri.getFocusedWindow();
+    return this.rules.resolve(window);
+  }
+
+  /**
+   * Queue a transcript for injection into the focused window
+   * @param {string} text - Transcribed text
+   * @param {Object} options - Per-request overrides (method, typeDelay, punctuationDelay, transforms, preserveWhitespace),
+   *   plus an optional `target` from resolveTarget() whose rule supplies defaults
+   * @returns {Promise<Object|null>} Output result, or null when nothing was typed
+   */
+  async output(text, options = {}) {
+    const { target, ...overrides } = options;
+    const requestOptions = { ...(target ? target.options : {}), ...overrides };
+
+    if (target && target.refuse) {
+      this.logger.warn(`Output refused by rule "${target.rule}"`, {
+        appId: target.window ? target.window.appId : null
+      });
+      this.emit('outputRefused', { text, rule: target.rule, window: target.window });
+      return null;
+    }
+
+    let preparedText = this.prepareText(text, requestOptions.preserveWhitespace);
+
+    if (!preparedText) {
+      this.logger.debug('Skipping output of empty transcript');
+      return null;
+    }
+
+    preparedText = TextTransforms.apply(preparedText, requestOptions.transforms);
+
+    return this.enqueue(() => this.processRequest({ text: preparedText, options: requestOptions, target }));
+  }
+
+  /**
+   * Remove the most recently typed transcript with BackSpace key presses.
+   * Refuses when the focused window is not the one the text was typed into.
+   * @returns {Promise<Object>} The undone history entry
+   */
+  async undo() {
+    return this.enqueue(() => this.processUndo());
+  }
+
+  enqueue(run) {
+    return new Promise((resolve, reject) => {
+      this.outputQueue.push({ run, resolve, reject });
+      this.processQueue();
+    });
+  }
+
+  async processQueue() {
+    if (this.processing || this.outputQueue.length === 0) {
+      return;
+    }
+
+    this.processing = true;
+
+    while (this.outputQueue.length > 0) {
+      const request = this.outputQueue.shift();
+
+      try {
+        const result = await request.run();
+        request.resolve(result);
+      } catch (error) {
+        request.reject(error);
+      }
+    }
+
+    this.processing = false;
+  }
+
+  async processRequest({ text, options, target }) {
+    const startTime = Date.now();
+    const typeDelay = options.typeDelay ?? this.config.typeDelay ?? 10;
+    const punctuationDelay = options.punctuationDelay ?? this.config.punctuationDelay ?? 100;
+
+    this.isTyping = true;
+    this.emit('outputStarted', { text });
+
+    try {
+      const chain = this.getBackendChain(options.method || this.method);
+      const progress = { segments: this.splitAtPunctuation(text), typed: 0 };
+      let backend = null;
+      let lastError;
+
+      for (const candidate of chain) {
+        try {
+          await this.deliver(candidate, progress, { ...options, typeDelay, punctuationDelay });
+          backend = candidate;
+          break;
+        } catch (error) {
+          lastError = error;
+          this.logger.warn(`Output backend ${candidate.name} failed:`, error.message);
+        }
+      }
+
+      if (!backend) {
+        throw new Error(`Text input failed: ${lastError.message}`);
+      }
+
+      const result = {
+        text,
+        method: backend.name,
+        fallback: backend !== chain[0],
+        rule: target ? target.rule : null,
+        duration: Date.now() - startTime
+      };
+
+      this.completedCount++;
+      this.lastOutput = { ...result, timestamp: Date.now() };
+      await this.recordHistory(result);
+      this.logger.info(`Typed ${text.length} characters via ${backend.name} in ${result.duration}ms`);
+      this.emit('outputCompleted', result);
+
+      return result;
+    } catch (error) {
+      this.failedCount++;
+      this.emit('outputFailed', { text, error });
+      throw error;
+    } finally {
+      this.isTyping = false;
+    }
+  }
+
+  async recordHistory(result) {
+    // Focus is checked after typing, since that is the window that received the text
+    const window = await this.niri.getFocusedWindow();
+
+    this.history.push({
+      text: result.text,
+      graphemes: TextTransforms.countGraphemes(result.text),
+      method: result.method,
+      rule: result.rule,
+      window,
+      timestamp: Date.now()
+    });
+
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+  }
+
+  async processUndo() {
+    const entry = this.history[this.history.length - 1];
+
+    if (!entry) {
+      throw createError('NOTHING_TO_UNDO', 'Nothing to undo');
+    }
+
+    if (!entry.window) {
+      throw createError('FOCUS_UNKNOWN', 'Cannot undo: the window that received the text is unknown');
+    }
+
+    const current = await this.niri.getFocusedWindow();
+    if (!current || current.id !== entry.window.id) {
+      throw createError(
+        'FOCUS_CHANGED',
+        `Cannot undo: focus changed from ${entry.window.appId || 'window ' + entry.window.id} ` +
+        `to ${current ? current.appId || 'window ' + current.id : 'no window'} since the text was typed`
+      );
+    }
+
+    const backend = this.backends[entry.method];
+    const typeDelay = this.config.typeDelay ?? 10;
+
+    this.isTyping = true;
+    try {
+      await backend.deleteBackward(entry.graphemes, { typeDelay });
+    } catch (error) {
+      throw new Error(`Undo failed: ${error.message}`);
+    } finally {
+      this.isTyping = false;
+    }
+
+    this.history.pop();
+    this.logger.info(`Undid ${entry.graphemes} characters via ${entry.method}`);
+    this.emit('outputUndone', entry);
+
+    return entry;
+  }
+
+  /**
+   * Recent outputs available for undo, most recent first
+   * @returns {Object[]} History entries
+   */
+  getHistory() {
+    return [...this.history].reverse().map(entry => ({
+      text: entry.text,
+      graphemes: entry.graphemes,
+      method: entry.method,
+      rule: entry.rule,
+      windowId: entry.window ? entry.window.id : null,
+      appId: entry.window ? entry.window.appId : null,
+      timestamp: entry.timestamp
+    }));
+  }
+
+  /**
+   * Primary backend followed by the configured fallbacks, without duplicates.
+   * The dry-run backend never takes part in fallback.
+   * @param {string} method - Primary method name
+   * @returns {OutputBackend[]} Backends in the order they should be tried
+   */
+  getBackendChain(method) {
+    if (!this.backends[method]) {
+      throw new Error(`Unknown output method: ${method}`);
+    }
+
+    if (method === 'dry-run') {
+      return [this.backends[method]];
+    }
+
+    const names = [method, ...this.fallbackMethods.filter(name => name !== method && name !== 'dry-run')];
+    return names
+      .filter(name => this.backends[name])
+      .map(name => this.backends[name]);
+  }
+
+  /**
+   * Deliver the segments that have not been typed yet. Progress is kept across
+   * fallbacks so text is never typed twice when a backend fails midway.
+   */
+  async deliver(backend, progress, options) {
+    const { segments } = progress;
+
+    if (!backend.typesIncrementally) {
+      await backend.type(segments.slice(progress.typed).join(''), options);
+      progress.typed = segments.length;
+      return;
+    }
+
+    while (progress.typed < segments.length) {
+      const segment = segments[progress.typed];
+      await backend.type(segment, options);
+      progress.typed++;
+
+      // Pause after punctuation so applications with autocomplete keep up
+      if (progress.typed < segments.length && options.punctuationDelay > 0 && PUNCTUATION_PATTERN.test(segment)) {
+        await this.sleep(options.punctuationDelay);
+      }
+    }
+  }
+
+  /**
+   * @param {string} text - Transcript
+   * @param {boolean} preserveWhitespace - Keep leading/trailing newlines and tabs produced by voice commands
+   * @returns {string} Text ready to type
+   */
+  prepareText(text, preserveWhitespace = false) {
+    if (typeof text !== 'string') {
+      return '';
+    }
+
+    return preserveWhitespace ? text.replace(/^ +| +$/g, '') : text.trim();
+  }
+
+  /**
+   * Split text into segments that each end with punctuation (except possibly the last)
+   * @param {string} text - Text to split
+   * @returns {string[]} Segments in typing order
+   */
+  splitAtPunctuation(text) {
+    return text.split(/(?<=[.!?,:;])/).filter(segment => segment.length > 0);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  getStatus() {
+    return {
+      method: this.method,
+      fallbackMethods: this.fallbackMethods,
+      rules: this.rules.rules.length,
+      isTyping: this.isTyping,
+      queueLength: this.outputQueue.length,
+      completed: this.completedCount,
+      failed: this.failedCount,
+      lastOutput: this.lastOutput,
+      undoAvailable: this.history.length
+    };
+  }
+
+  async getDetailedStatus() {
+    const backends = {};
+
+    for (const [name, backend] of Object.entries(this.backends)) {
+      backends[name] = {
+        ...backend.getStatus(),
+        ...(await backend.checkAvailability())
+      };
+    }
+
+    return {
+      ...this.getStatus(),
+      clipboardTools: backends.clipboard.tools,
+      backends
+    };
+  }
+}
+
+module.exports = OutputService;
@@ -0,0 +1,25 @@
+const OutputBackend = require('./output-backend');
+
+class WtypeBackend extends OutputBackend {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'wtype';
+    this.requiredCommands = ['wtype'];
+  }
+
+  async type(text, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+
+    // Text goes through stdin so input starting with '-' is not parsed as options
+    await this.execCommand('wtype', ['-d', String(typeDelay), '-'], text);
+  }
+
+  async deleteBackward(count, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+    const keys = Array.from({ length: count }, () => ['-k', 'BackSpace']).flat();
+
+    await this.execCommand('wtype', ['-d', String(typeDelay), ...keys]);
+  }
+}
+
+module.exports = WtypeBackend;
@@ -0,0 +1,31 @@
+const OutputBackend = require('./output-backend');
+
+const KEY_BACKSPACE = 14; // linux/input-event-codes.h
+
+/**
+ * Types through the kernel uinput device, so it works on compositors without
+ * the virtual-keyboard protocol. Requires a running ydotoold.
+ */
+class YdotoolBackend extends OutputBackend {
+  constructor(config, logger) {
+    super(config, logger);
+    this.name = 'ydotool';
+    this.requiredCommands = ['ydotool'];
+  }
+
+  async type(text, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+
+    await this.execCommand('ydotool', ['type', '--key-delay', String(typeDelay), '--file', '-'], text);
+  }
+
+  async deleteBackward(count, options = {}) {
+    const typeDelay = options.typeDelay ?? 0;
+    // Press and release of the BackSpace keycode
+    const keys = Array.from({ length: count }, () => [`${KEY_BACKSPACE}:1`, `${KEY_BACKSPACE}:0`]).flat();
+
+    await this.execCommand('ydotool', ['key', '--key-delay', String(typeDelay), ...keys]);
+  }
+}
+
+module.exports = YdotoolBackend;
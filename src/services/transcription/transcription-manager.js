@@ -35,7 +35,13 @@ class TranscriptionManager extends EventEmitter {
     return this.localService;
   }
 
-  async transcribe(audioData, options = {}) {
+  /**
+   * @param {Float32Array} audioData - Audio samples
+   * @param {Object} options - Service options (language, prompt, ...)
+   * @param {Object} metadata - Extra fields added to the `transcription` event
+   * @returns {Promise<Object>} Transcription result
+   */
+  async transcribe(audioData, options = {}, metadata = {}) {
     const startTime = Date.now();
     
     try {
@@ -44,6 +50,7 @@ class TranscriptionManager extends EventEmitter {
       
       const duration = Date.now() - startTime;
       this.emit('transcription', {
+        ...metadata,
         ...result,
         service: this.primaryService.constructor.name,
         duration: duration
@@ -62,6 +69,7 @@ class TranscriptionManager extends EventEmitter {
           
           const duration = Date.now() - startTime;
           this.emit('transcription', {
+            ...metadata,
             ...result,
             service: 'LocalTranscriptionService',
             duration: duration,
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const { createError, writeJsonFile } = require('../utils/service-utils');
+
+const REPLACEMENT_TYPES = ['word', 'regex'];
+
+/**
+ * User vocabulary: replacement rules applied to every transcript, and
+ * preferred terms passed to Whisper as a prompt so it spells them correctly.
+ * Entries are stored in a JSON file in the config directory.
+ */
+class VocabularyService {
+  constructor(config, logger, filePath) {
+    this.config = config.vocabulary || {};
+    this.logger = logger;
+    this.filePath = filePath;
+    this.maxPromptLength = this.config.maxPromptLength ?? 800;
+    this.replacements = [];
+    this.terms = [];
+  }
+
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      this.logger.info('No vocabulary file found, starting with an empty vocabulary');
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to parse vocabulary file: ${error.message}`);
+    }
+
+    this.replacements = (data.replacements || []).map(entry => this.compileReplacement(entry));
+    this.terms = (data.terms || []).map(entry => this.validateTerm(entry));
+
+    this.logger.info(`Vocabulary loaded: ${this.replacements.length} replacements, ${this.terms.length} terms`);
+  }
+
+  async save() {
+    const data = {
+      replacements: this.replacements.map(({ pattern, ...entry }) => entry),
+      terms: this.terms
+    };
+
+    await writeJsonFile(this.filePath, data);
+  }
+
+  compileReplacement(entry) {
+    if (!entry || !REPLACEMENT_TYPES.includes(entry.type)) {
+      throw createError('INVALID_ENTRY', `Replacement type must be one of: ${REPLACEMENT_TYPES.join(', ')}`);
+    }
+    if (typeof entry.from !== 'string' || entry.from.trim() === '') {
+      throw createError('INVALID_ENTRY', 'Replacement "from" must be a non-empty string');
+    }
+    if (typeof entry.to !== 'string') {
+      throw createError('INVALID_ENTRY', 'Replacement "to" must be a string');
+    }
+
+    const replacement = {
+      id: entry.id || crypto.randomUUID(),
+      type: entry.type,
+      from: entry.from,
+      to: entry.to
+    };
+
+    try {
+      if (entry.type === 'word') {
+        // Whole words only, so "nearly" is not rewritten by a rule for "near"
+        const escaped = entry.from.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+        replacement.pattern = new RegExp(`(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`, 'giu');
+      } else {
+        replacement.flags = entry.flags ?? 'gi';
+        replacement.pattern = new RegExp(entry.from, replacement.flags);
+      }
+    } catch (error) {
+      throw createError('INVALID_ENTRY', `Invalid replacement pattern: ${error.message}`);
+    }
+
+    return replacement;
+  }
+
+  validateTerm(entry) {
+    if (!entry || typeof entry.term !== 'string' || entry.term.trim() === '') {
+      throw createError('INVALID_ENTRY', 'Term must be a non-empty string');
+    }
+
+    return {
+      id: entry.id || crypto.randomUUID(),
+      term: entry.term.trim()
+    };
+  }
+
+  /**
+   * Apply all replacement rules to a transcript, in the order they were added
+   * @param {string} text - Transcribed text
+   * @returns {string} Corrected text
+   */
+  apply(text) {
+    if (typeof text !== 'string') {
+      return text;
+    }
+
+    return this.replacements.reduce((result, replacement) => {
+      replacement.pattern.lastIndex = 0;
+      return result.replace(replacement.pattern, replacement.to);
+    }, text);
+  }
+
+  /**
+   * Build a Whisper prompt from the preferred terms, dropping terms that would exceed the length limit
+   * @returns {string} Prompt text, empty when there are no terms
+   */
+  buildPrompt() {
+    let prompt = '';
+
+    for (const { term } of this.terms) {
+      const next = prompt ? `${prompt}, ${term}` : term;
+      if (next.length > this.maxPromptLength) {
+        break;
+      }
+      prompt = next;
+    }
+
+    return prompt;
+  }
+
+  /**
+   * Add the vocabulary prompt to transcription options, keeping any caller-supplied prompt
+   * @param {Object} options - Transcription options
+   * @returns {Object} Options with the combined prompt
+   */
+  getTranscriptionOptions(options = {}) {
+    const vocabularyPrompt = this.buildPrompt();
+
+    if (!vocabularyPrompt) {
+      return options;
+    }
+
+    return {
+      ...options,
+      prompt: options.prompt ? `${options.prompt} ${vocabularyPrompt}` : vocabularyPrompt
+    };
+  }
+
+  async addReplacement(entry) {
+    const replacement = this.compileReplacement({ type: entry.type, from: entry.from, to: entry.to, flags: entry.flags });
+    this.replacements.push(replacement);
+    await this.save();
+
+    const { pattern, ...saved } = replacement;
+    return saved;
+  }
+
+  async removeReplacement(id) {
+    const index = this.replacements.findIndex(replacement => replacement.id === id);
+    if (index === -1) {
+      throw createError('NOT_FOUND', `Replacement ${id} not found`);
+    }
+
+    const [removed] = this.replacements.splice(index, 1);
+    await this.save();
+
+    const { pattern, ...saved } = removed;
+    return saved;
+  }
+
+  async addTerm(entry) {
+    const term = this.validateTerm({ term: entry.term });
+
+    const existing = this.terms.find(item => item.term.toLowerCase() === term.term.toLowerCase());
+    if (existing) {
+      return existing;
+    }
+
+    this.terms.push(term);
+    await this.save();
+    return term;
+  }
+
+  async removeTerm(id) {
+    const index = this.terms.findIndex(term => term.id === id);
+    if (index === -1) {
+      throw createError('NOT_FOUND', `Term ${id} not found`);
+    }
+
+    const [removed] = this.terms.splice(index, 1);
+    await this.save();
+    return removed;
+  }
+
+  list() {
+    return {
+      replacements: this.replacements.map(({ pattern, ...entry }) => entry),
+      terms: this.terms,
+      prompt: this.buildPrompt()
+    };
+  }
+}
+
+module.exports = VocabularyService;
@@ -0,0 +1,21 @@
+// needsPrefix: an ordinary word too, only a command after voiceCommands.prefix
+module.exports = {
+  code: 'de',
+  aliases: ['german'],
+  commands: [
+    { phrase: 'punkt', action: 'punctuation', value: '.', needsPrefix: true },
+    { phrase: 'komma', action: 'punctuation', value: ',' },
+    { phrase: 'fragezeichen', action: 'punctuation', value: '?' },
+    { phrase: 'ausrufezeichen', action: 'punctuation', value: '!' },
+    { phrase: 'doppelpunkt', action: 'punctuation', value: ':' },
+    { phrase: 'semikolon', action: 'punctuation', value: ';' },
+    { phrase: 'neue zeile', action: 'newline', value: '\n' },
+    { phrase: 'neuer absatz', action: 'newline', value: '\n\n' },
+    { phrase: 'drücke enter', action: 'key', value: 'enter' },
+    { phrase: 'drücke tab', action: 'key', value: 'tab' },
+    { phrase: 'lösch das', action: 'deleteThat' },
+    { phrase: 'nächstes wort in großbuchstaben', action: 'allCaps' },
+    { phrase: 'nächstes wort groß', action: 'capitalize' },
+    { phrase: 'nächstes wort wörtlich', action: 'literal' }
+  ]
+};
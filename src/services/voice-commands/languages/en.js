@@ -0,0 +1,24 @@
+// needsPrefix: an ordinary word too, only a command after voiceCommands.prefix
+module.exports = {
+  code: 'en',
+  aliases: ['english'],
+  commands: [
+    { phrase: 'period', action: 'punctuation', value: '.', needsPrefix: true },
+    { phrase: 'full stop', action: 'punctuation', value: '.' },
+    { phrase: 'comma', action: 'punctuation', value: ',' },
+    { phrase: 'question mark', action: 'punctuation', value: '?' },
+    { phrase: 'exclamation mark', action: 'punctuation', value: '!' },
+    { phrase: 'exclamation point', action: 'punctuation', value: '!' },
+    { phrase: 'colon', action: 'punctuation', value: ':', needsPrefix: true },
+    { phrase: 'semicolon', action: 'punctuation', value: ';' },
+    { phrase: 'new line', action: 'newline', value: '\n' },
+    { phrase: 'new paragraph', action: 'newline', value: '\n\n' },
+    { phrase: 'press enter', action: 'key', value: 'enter' },
+    { phrase: 'press tab', action: 'key', value: 'tab' },
+    { phrase: 'delete that', action: 'deleteThat' },
+    { phrase: 'scratch that', action: 'deleteThat' },
+    { phrase: 'all caps next', action: 'allCaps' },
+    { phrase: 'cap next', action: 'capitalize' },
+    { phrase: 'literal next', action: 'literal' }
+  ]
+};
@@ -0,0 +1,5 @@
+const en = require('./en');
+const pl = require('./pl');
+const de = require('./de');
+
+module.exports = [en, pl, de];
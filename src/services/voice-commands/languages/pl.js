@@ -0,0 +1,20 @@
+module.exports = {
+  code: 'pl',
+  aliases: ['polish'],
+  commands: [
+    { phrase: 'kropka', action: 'punctuation', value: '.' },
+    { phrase: 'przecinek', action: 'punctuation', value: ',' },
+    { phrase: 'znak zapytania', action: 'punctuation', value: '?' },
+    { phrase: 'wykrzyknik', action: 'punctuation', value: '!' },
+    { phrase: 'dwukropek', action: 'punctuation', value: ':' },
+    { phrase: 'średnik', action: 'punctuation', value: ';' },
+    { phrase: 'nowa linia', action: 'newline', value: '\n' },
+    { phrase: 'nowy akapit', action: 'newline', value: '\n\n' },
+    { phrase: 'naciśnij enter', action: 'key', value: 'enter' },
+    { phrase: 'naciśnij tab', action: 'key', value: 'tab' },
+    { phrase: 'usuń to', action: 'deleteThat' },
+    { phrase: 'następne słowo wielkimi literami', action: 'allCaps' },
+    { phrase: 'następne słowo wielką literą', action: 'capitalize' },
+    { phrase: 'następne słowo dosłownie', action: 'literal' }
+  ]
+};
@@ -0,0 +1,244 @@
+const builtinLanguages = require('./languages');
+
+// Characters typed for the `key` action
+const KEYS = {
+  enter: '\n',
+  tab: '\t'
+};
+
+// Actions that type their `value`
+const VALUE_ACTIONS = ['punctuation', 'newline', 'text', 'key'];
+
+const SENTENCE_BOUNDARY = /[.!?\n]/;
+const TRAILING_PUNCTUATION = /[.,;:!?]+$/;
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+/**
+ * Turns spoken commands in a transcript ("comma", "new line", "delete that")
+ * into punctuation, key presses and edits before the text is typed.
+ *
+ * Whisper tends to punctuate the command words themselves ("Hello, comma, world."),
+ * so matching ignores punctuation attached to words. Commands that are also
+ * ordinary words ("period", "punkt") are only recognised after the optional
+ * `voiceCommands.prefix`, which any other command may be preceded by too.
+ */
+class VoiceCommandProcessor {
+  constructor(config, logger) {
+    this.config = config.voiceCommands || {};
+    this.logger = logger;
+    this.enabled = this.config.enabled ?? true;
+    this.defaultLanguage = this.config.defaultLanguage || 'en';
+    this.prefix = this.config.prefix ? this.normalize(this.config.prefix).split(/\s+/) : [];
+    this.languages = this.buildLanguageTables(this.config.custom || {});
+  }
+
+  buildLanguageTables(custom) {
+    const languages = {};
+
+    for (const language of builtinLanguages) {
+      languages[language.code] = {
+        aliases: language.aliases,
+        commands: language.commands
+      };
+    }
+
+    // User commands are checked before the built-in ones so they can redefine phrases
+    for (const [code, commands] of Object.entries(custom)) {
+      commands.forEach(command => this.validateCommand(command, code));
+      const language = languages[code] || { aliases: [], commands: [] };
+      languages[code] = {
+        aliases: language.aliases,
+        commands: [...commands, ...language.commands]
+      };
+    }
+
+    for (const language of Object.values(languages)) {
+      language.commands = language.commands
+        .map(command => ({ ...command, words: this.normalize(command.phrase).split(' ') }))
+        // Longest phrases first so "new paragraph" wins over a custom "new"
+        .sort((a, b) => b.words.length - a.words.length);
+    }
+
+    return languages;
+  }
+
+  /**
+   * Reject user commands that would type "undefined" or nothing at all
+   * @param {Object} command - Custom command from config
+   * @param {string} code - Language it was configured for
+   */
+  validateCommand(command, code) {
+    const name = `Custom voice command "${command.phrase}" (${code})`;
+
+    if (VALUE_ACTIONS.includes(command.action) && typeof command.value !== 'string') {
+      throw new Error(`${name}: action "${command.action}" requires a value`);
+    }
+    if (command.action === 'key' && !Object.hasOwn(KEYS, command.value)) {
+      throw new Error(`${name}: unsupported key "${command.value}", expected one of ${Object.keys(KEYS).join(', ')}`);
+    }
+  }
+
+  /**
+   * Resolve a language code or Whisper language name to a command table code
+   * @param {string} language - e.g. 'en', 'english', 'unknown'
+   * @returns {string} Language code with a command table
+   */
+  resolveLanguage(language) {
+    const requested = (language || '').toLowerCase();
+
+    for (const [code, table] of Object.entries(this.languages)) {
+      if (code === requested || table.aliases.includes(requested)) {
+        return code;
+      }
+    }
+
+    return this.languages[this.defaultLanguage] ? this.defaultLanguage : 'en';
+  }
+
+  normalize(word) {
+    return word.toLowerCase().replace(EDGE_PUNCTUATION, '').trim();
+  }
+
+  /**
+   * Apply voice commands to a transcript
+   * @param {string} text - Transcribed text
+   * @param {string} language - Language reported by the transcription service
+   * @returns {Object} { text, undoPrevious, commands, language }
+   */
+  process(text, language) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+
+    if (!this.enabled || !trimmed) {
+      return { text: trimmed, undoPrevious: 0, commands: [], language: null };
+    }
+
+    const code = this.resolveLanguage(language);
+    const { commands } = this.languages[code];
+    const tokens = trimmed.split(/\s+/);
+    const state = { result: '', modifier: null, undoPrevious: 0, applied: [] };
+
+    let i = 0;
+    while (i < tokens.length) {
+      if (state.modifier === 'literal') {
+        state.modifier = null;
+        this.appendWord(state, tokens[i]);
+        i++;
+        continue;
+      }
+
+      const match = this.matchCommand(commands, tokens, i);
+
+      if (match) {
+        this.applyCommand(state, match.command);
+        state.applied.push(match.command.phrase);
+        i += match.length;
+      } else {
+        this.appendWord(state, tokens[i]);
+        i++;
+      }
+    }
+
+    if (state.applied.length > 0) {
+      this.logger.debug('Applied voice commands:', { language: code, commands: state.applied });
+    }
+
+    return {
+      text: state.result,
+      undoPrevious: state.undoPrevious,
+      commands: state.applied,
+      language: code
+    };
+  }
+
+  /**
+   * @returns {{command: Object, length: number}|null} Command at index and the number of tokens it spans, prefix included
+   */
+  matchCommand(commands, tokens, index) {
+    if (this.prefix.length > 0 && this.matchWords(this.prefix, tokens, index)) {
+      const start = index + this.prefix.length;
+      const command = commands.find(candidate => this.matchWords(candidate.words, tokens, start));
+      if (command) {
+        return { command, length: this.prefix.length + command.words.length };
+      }
+    }
+
+    const command = commands.find(candidate => !candidate.needsPrefix && this.matchWords(candidate.words, tokens, index));
+    return command ? { command, length: command.words.length } : null;
+  }
+
+  matchWords(words, tokens, index) {
+    return index + words.length <= tokens.length &&
+      words.every((word, offset) => this.normalize(tokens[index + offset]) === word);
+  }
+
+  applyCommand(state, command) {
+    switch (command.action) {
+      case 'punctuation':
+        // Replace punctuation Whisper put before the spoken command
+        state.result = state.result.replace(TRAILING_PUNCTUATION, '') + command.value;
+        break;
+      case 'newline':
+        state.result = state.result.replace(/[ \t]+$/, '') + command.value;
+        break;
+      case 'key':
+        state.result = state.result.replace(/[ \t]+$/, '') + (KEYS[command.value] || '');
+        break;
+      case 'text':
+        this.appendWord(state, command.value);
+        break;
+      case 'deleteThat':
+        this.deleteLastSentence(state);
+        break;
+      case 'allCaps':
+      case 'capitalize':
+      case 'literal':
+        state.modifier = command.action;
+        break;
+      default:
+        this.logger.warn(`Unknown voice command action: ${command.action}`);
+    }
+  }
+
+  appendWord(state, word) {
+    let value = word;
+
+    if (state.modifier === 'allCaps') {
+      value = value.toUpperCase();
+    } else if (state.modifier === 'capitalize') {
+      value = value.charAt(0).toUpperCase() + value.slice(1);
+    }
+    state.modifier = null;
+
+    const separator = state.result === '' || /\s$/.test(state.result) ? '' : ' ';
+    state.result += separator + value;
+  }
+
+  /**
+   * Remove the sentence being dictated. With nothing left in this transcript,
+   * the previously typed output is undone instead.
+   */
+  deleteLastSentence(state) {
+    if (state.result.trim() === '') {
+      state.result = '';
+      state.undoPrevious++;
+      return;
+    }
+
+    const body = state.result.replace(/[\s.!?]+$/, '');
+    let boundary = -1;
+    for (let i = body.length - 1; i >= 0; i--) {
+      if (SENTENCE_BOUNDARY.test(body[i])) {
+        boundary = i;
+        break;
+      }
+    }
+
+    state.result = body.slice(0, boundary + 1);
+  }
+
+  getLanguages() {
+    return Object.keys(this.languages);
+  }
+}
+
+module.exports = VoiceCommandProcessor;
@@ -1,23 +1,81 @@
+const FFT = require('./fft');
+
+// Default bands for calculateBandEnergies, in Hz
+const SPEECH_BANDS = [[0, 300], [300, 1000], [1000, 3000], [3000, 8000]];
+
 class AudioAnalysis {
   /**
-   * Calculate spectral centroid for better speech detection
+   * Spectral centroid: the power-weighted mean frequency of a Hann-windowed frame
    * @param {Float32Array} frame - Audio frame
    * @param {number} sampleRate - Sample rate in Hz
-   * @returns {number} Spectral centroid frequency
+   * @returns {number} Spectral centroid frequency in Hz, 0 for silence
    */
   static calculateSpectralCentroid(frame, sampleRate) {
-    // FFT-based spectral centroid for better speech detection
-    // Simplified implementation - in production, use FFT library
+    const { power, size } = FFT.powerSpectrum(frame);
     let weightedSum = 0;
-    let magnitudeSum = 0;
-    
-    for (let i = 0; i < frame.length; i++) {
-      const magnitude = Math.abs(frame[i]);
-      weightedSum += magnitude * i;
-      magnitudeSum += magnitude;
+    let powerSum = 0;
+
+    for (let k = 1; k < power.length; k++) {
+      weightedSum += power[k] * k * sampleRate / size;
+      powerSum += power[k];
     }
-    
-    return magnitudeSum > 0 ? (weightedSum / magnitudeSum) * (sampleRate / 2) / frame.length : 0;
+
+    return powerSum > 0 ? weightedSum / powerSum : 0;
+  }
+
+  /**
+   * Spectral flatness (Wiener entropy): geometric over arithmetic mean of the
+   * power spectrum. Near 1 for white noise, near 0 for tones and voiced speech.
+   * @param {Float32Array} frame - Audio frame
+   * @returns {number} Flatness (0-1), 0 for silence
+   */
+  static calculateSpectralFlatness(frame) {
+    const { power } = FFT.powerSpectrum(frame);
+    let logSum = 0;
+    let sum = 0;
+    const bins = power.length - 1; // DC excluded
+
+    for (let k = 1; k < power.length; k++) {
+      logSum += Math.log(power[k] + 1e-20);
+      sum += power[k];
+    }
+
+    if (sum <= 1e-20 * bins) {
+      return 0;
+    }
+    return Math.min(1, Math.exp(logSum / bins) / (sum / bins));
+  }
+
+  /**
+   * Share of frame power in each frequency band
+   * @param {Float32Array} frame - Audio frame
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Array<Array<number>>} bands - [low, high) ranges in Hz
+   * @returns {Array<{low: number, high: number, energy: number, ratio: number}>} Energy is mean power per sample
+   */
+  static calculateBandEnergies(frame, sampleRate, bands = SPEECH_BANDS) {
+    const { power, size } = FFT.powerSpectrum(frame);
+    const binHz = sampleRate / size;
+    let total = 0;
+
+    const energies = bands.map(([low, high]) => {
+      let energy = 0;
+      for (let k = Math.ceil(low / binHz); k < power.length && k * binHz < high; k++) {
+        // Bins other than DC and Nyquist stand for both positive and negative frequencies
+        energy += power[k] * (k === 0 || k === size / 2 ? 1 : 2);
+      }
+      total += energy;
+      return { low, high, energy };
+    });
+
+    // Parseval: the bins sum to size times the windowed signal energy; dividing
+    // by the window's own energy gives the mean power of the unwindowed frame
+    const windowEnergy = FFT.window(frame.length).reduce((sum, w) => sum + w * w, 0);
+    return energies.map(band => ({
+      ...band,
+      energy: windowEnergy > 0 ? band.energy / (size * windowEnergy) : 0,
+      ratio: total > 0 ? band.energy / total : 0
+    }));
   }
 
   /**
@@ -118,25 +176,122 @@ class AudioAnalysis {
   }
 
   /**
-   * Simple autocorrelation for pitch detection
+   * Find where speech starts and ends, ignoring blips shorter than minSpeechMs
+   * @param {Float32Array} audio - Audio signal
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options
+   * @param {number} options.threshold - Frame RMS energy counted as speech
+   * @param {number} options.frameMs - Analysis frame length
+   * @param {number} options.minSpeechMs - Shortest run of speech frames that counts
+   * @returns {{start: number, end: number}|null} Sample range of the speech, or null if there is none
+   */
+  static findSpeechBounds(audio, sampleRate, { threshold = 0.01, frameMs = 20, minSpeechMs = 100 } = {}) {
+    const frameSize = Math.round(sampleRate * frameMs / 1000);
+    const hopSize = Math.max(1, Math.round(frameSize / 2));
+    if (audio.length < frameSize) {
+      return null;
+    }
+
+    const contour = this.calculateEnergyContour(audio, frameSize, hopSize);
+    const minFrames = Math.max(1, Math.ceil((minSpeechMs * sampleRate / 1000 - frameSize) / hopSize) + 1);
+    let first = -1;
+    let last = -1;
+    let runStart = -1;
+
+    for (let i = 0; i <= contour.length; i++) {
+      const active = i < contour.length && contour[i] >= threshold;
+      if (active && runStart === -1) {
+        runStart = i;
+      } else if (!active && runStart !== -1) {
+        if (i - runStart >= minFrames) {
+          first = first === -1 ? runStart : first;
+          last = i - 1;
+        }
+        runStart = -1;
+      }
+    }
+
+    if (first === -1) {
+      return null;
+    }
+    return { start: first * hopSize, end: Math.min(audio.length, last * hopSize + frameSize) };
+  }
+
+  /**
+   * Autocorrelation via FFT, O(n log n) instead of O(n * maxLag)
    * @param {Float32Array} frame - Audio frame
    * @param {number} maxLag - Maximum lag to test
-   * @returns {Float32Array} Autocorrelation values
+   * @returns {Float32Array} Autocorrelation values, each averaged over the overlapping samples
    */
   static autocorrelation(frame, maxLag) {
     const result = new Float32Array(maxLag);
-    
-    for (let lag = 0; lag < maxLag; lag++) {
-      let sum = 0;
-      for (let i = 0; i < frame.length - lag; i++) {
-        sum += frame[i] * frame[i + lag];
-      }
-      result[lag] = sum / (frame.length - lag);
+    if (frame.length === 0) {
+      return result;
     }
-    
+
+    // Zero-pad to at least twice the frame so the correlation doesn't wrap around
+    const { re, im, size } = FFT.real(frame, { size: FFT.nextPowerOfTwo(frame.length * 2), window: 'rectangular' });
+    for (let k = 0; k < size; k++) {
+      re[k] = re[k] * re[k] + im[k] * im[k];
+      im[k] = 0;
+    }
+    FFT.transform(re, im, true);
+
+    for (let lag = 0; lag < Math.min(maxLag, frame.length); lag++) {
+      result[lag] = re[lag] / (frame.length - lag);
+    }
+
     return result;
   }
 
+  /**
+   * Estimate the fundamental frequency from the normalised autocorrelation peak
+   * @param {Float32Array} frame - Audio frame; should span at least two periods of minHz
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options
+   * @param {number} options.minHz - Lowest pitch considered
+   * @param {number} options.maxHz - Highest pitch considered
+   * @returns {{frequency: number, confidence: number}} frequency is 0 when no pitch is found
+   */
+  static estimatePitch(frame, sampleRate, { minHz = 60, maxHz = 400 } = {}) {
+    const minLag = Math.max(1, Math.floor(sampleRate / maxHz));
+    const maxLag = Math.min(frame.length - 1, Math.ceil(sampleRate / minHz));
+    if (maxLag <= minLag) {
+      return { frequency: 0, confidence: 0 };
+    }
+
+    const autocorr = this.autocorrelation(frame, maxLag + 2);
+    if (autocorr[0] <= 0) {
+      return { frequency: 0, confidence: 0 };
+    }
+
+    // The first lag past the initial decline that comes close to the best
+    // peak avoids picking a multiple of the period
+    let best = -1;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (best === -1 || autocorr[lag] > autocorr[best]) {
+        best = lag;
+      }
+    }
+    for (let lag = minLag; lag < best; lag++) {
+      if (autocorr[lag] >= 0.9 * autocorr[best] &&
+          autocorr[lag] >= autocorr[lag - 1] && autocorr[lag] >= autocorr[lag + 1]) {
+        best = lag;
+        break;
+      }
+    }
+
+    const confidence = Math.max(0, Math.min(1, autocorr[best] / autocorr[0]));
+
+    // Parabolic interpolation around the peak for sub-sample accuracy
+    const previous = autocorr[best - 1];
+    const next = autocorr[best + 1];
+    const curvature = previous - 2 * autocorr[best] + next;
+    const shift = curvature < 0 ? 0.5 * (previous - next) / curvature : 0;
+
+    return { frequency: sampleRate / (best + shift), confidence };
+  }
+
   /**
    * Enhanced VAD features combining multiple metrics
    * @param {Float32Array} frame - Audio frame
@@ -157,6 +312,7 @@ class AudioAnalysis {
       energy,
       zcr,
       spectralCentroid,
+      spectralFlatness: this.calculateSpectralFlatness(frame),
       frameClass,
       periodicity: maxAutocorr,
       isSpeechLikely: energy > 0.01 && (frameClass === 'voiced' || frameClass === 'unvoiced')
@@ -56,6 +56,70 @@ class AudioFormatConverter {
     return Buffer.from(arrayBuffer);
   }
 
+  /**
+   * Parse a WAV file (16-bit integer or 32-bit float PCM)
+   * @param {Buffer} buffer - WAV file contents
+   * @returns {{sampleRate: number, channels: number, samples: Float32Array}} Interleaved samples in range [-1.0, 1.0]
+   */
+  static parseWav(buffer) {
+    if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('Not a RIFF/WAVE file');
+    }
+
+    let format = null;
+    let data = null;
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+      const chunkId = buffer.toString('ascii', offset, offset + 4);
+      let chunkSize = buffer.readUInt32LE(offset + 4);
+      const body = offset + 8;
+
+      if (chunkId === 'fmt ') {
+        format = {
+          audioFormat: buffer.readUInt16LE(body),
+          channels: buffer.readUInt16LE(body + 2),
+          sampleRate: buffer.readUInt32LE(body + 4),
+          bitsPerSample: buffer.readUInt16LE(body + 14)
+        };
+        // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID
+        if (format.audioFormat === 0xFFFE && chunkSize >= 40) {
+          format.audioFormat = buffer.readUInt16LE(body + 24);
+        }
+      } else if (chunkId === 'data') {
+        // Streamed recordings may leave the size at 0 or 0xFFFFFFFF
+        if (chunkSize === 0 || body + chunkSize > buffer.length) {
+          chunkSize = buffer.length - body;
+        }
+        data = buffer.subarray(body, body + chunkSize);
+        break;
+      }
+
+      offset = body + chunkSize + (chunkSize % 2); // chunks are word aligned
+    }
+
+    if (!format || !data) {
+      throw new Error('WAV file is missing its fmt or data chunk');
+    }
+
+    let samples;
+    if (format.audioFormat === 1 && format.bitsPerSample === 16) {
+      samples = new Float32Array(Math.floor(data.length / 2));
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = data.readInt16LE(i * 2) / 32768.0;
+      }
+    } else if (format.audioFormat === 3 && format.bitsPerSample === 32) {
+      samples = new Float32Array(Math.floor(data.length / 4));
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = data.readFloatLE(i * 4);
+      }
+    } else {
+      throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit)`);
+    }
+
+    return { sampleRate: format.sampleRate, channels: format.channels, samples };
+  }
+
   /**
    * Convert Int16Array PCM data to Float32Array
    * @param {Int16Array|Buffer} int16Data - 16-bit PCM audio data
@@ -129,6 +193,15 @@ class AudioFormatConverter {
     return outputSamples;
   }
 
+  /**
+   * Default |sample| level at or above which audio counts as clipped
+   * (`audio.clipThreshold`), shared by the level meter and the quality report
+   * @returns {number}
+   */
+  static get CLIP_THRESHOLD() {
+    return 0.99;
+  }
+
   /**
    * Calculate RMS (Root Mean Square) energy of audio samples
    * @param {Float32Array} samples - Audio samples
@@ -142,6 +215,15 @@ class AudioFormatConverter {
     return Math.sqrt(sum / samples.length);
   }
 
+  /**
+   * Convert a linear amplitude to dBFS, rounded to 0.1 dB
+   * @param {number} value - Amplitude (RMS or peak) in range [0.0, 1.0]
+   * @returns {number} Level in dBFS, floored at -100
+   */
+  static amplitudeToDb(value) {
+    return Math.round(20 * Math.log10(Math.max(value, 1e-5)) * 10) / 10;
+  }
+
   /**
    * Apply a simple high-pass filter to remove DC offset
    * @param {Float32Array} samples - Input audio samples
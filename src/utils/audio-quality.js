@@ -0,0 +1,125 @@
+const AudioFormatConverter = require('./audio-format');
+const AudioAnalysis = require('./audio-analysis');
+
+const FRAME_MS = 30;
+
+// Levels past which transcription accuracy tends to suffer
+const LIMITS = {
+  maxClippingRatio: 0.001,
+  minPeakDb: -30,
+  minSnrDb: 10,
+  maxDcOffset: 0.05,
+  minSpeechMs: 300, // in total; a ratio would flag every short auto-stopped session
+  maxSilenceMs: 5000 // long pauses between speech invite hallucinated text from Whisper
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const percentile = (sorted, fraction) =>
+  sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+class AudioQuality {
+  /**
+   * Measure a recording and flag problems likely to hurt transcription
+   * @param {Float32Array} audio - Recorded samples
+   * @param {number} sampleRate - Sample rate in Hz
+   * @param {Object} options
+   * @param {number} options.speechThreshold - Frame RMS energy counted as speech
+   * @param {number} options.clipThreshold - |sample| at or above this counts as clipped
+   * @returns {Object} Report with peak, rms, clippingRatio, dcOffset, snrDb, speechRatio, longestSilenceMs and issues
+   */
+  static analyze(audio, sampleRate, { speechThreshold = 0.01, clipThreshold = AudioFormatConverter.CLIP_THRESHOLD } = {}) {
+    let peak = 0;
+    let sum = 0;
+    let clipped = 0;
+    for (let i = 0; i < audio.length; i++) {
+      const magnitude = Math.abs(audio[i]);
+      peak = Math.max(peak, magnitude);
+      sum += audio[i];
+      if (magnitude >= clipThreshold) {
+        clipped++;
+      }
+    }
+    const rms = audio.length > 0 ? AudioFormatConverter.calculateRMS(audio) : 0;
+
+    const frameSize = Math.round(sampleRate * FRAME_MS / 1000);
+    const energies = audio.length >= frameSize
+      ? AudioAnalysis.calculateEnergyContour(audio, frameSize, frameSize)
+      : new Float32Array(0);
+
+    // Only gaps between speech count as silence: leading and trailing silence
+    // is trimmed before transcription, and auto-stop always ends on a long tail
+    let speechFrames = 0;
+    let silentRun = 0;
+    let longestSilentRun = 0;
+    for (const energy of energies) {
+      if (energy >= speechThreshold) {
+        if (speechFrames > 0) {
+          longestSilentRun = Math.max(longestSilentRun, silentRun);
+        }
+        speechFrames++;
+        silentRun = 0;
+      } else {
+        silentRun++;
+      }
+    }
+
+    // The quietest frames (pauses between words) give the noise floor and the
+    // typical speech frame the speech level, however much silence surrounds it
+    let snrDb = null;
+    if (speechFrames > 0) {
+      const sorted = Array.from(energies).sort((a, b) => a - b);
+      const speech = sorted.filter(energy => energy >= speechThreshold);
+      snrDb = round(AudioFormatConverter.amplitudeToDb(percentile(speech, 0.5))
+        - AudioFormatConverter.amplitudeToDb(percentile(sorted, 0.1)), 1);
+    }
+
+    const report = {
+      durationMs: Math.round(audio.length / sampleRate * 1000),
+      peak: round(peak, 4),
+      peakDb: AudioFormatConverter.amplitudeToDb(peak),
+      rms: round(rms, 4),
+      rmsDb: AudioFormatConverter.amplitudeToDb(rms),
+      clippingRatio: audio.length > 0 ? round(clipped / audio.length, 5) : 0,
+      dcOffset: audio.length > 0 ? round(sum / audio.length, 4) : 0,
+      snrDb,
+      speechRatio: energies.length > 0 ? round(speechFrames / energies.length, 3) : 0,
+      // Without speech, the whole recording is silence
+      longestSilenceMs: speechFrames > 0 ? longestSilentRun * FRAME_MS : Math.round(audio.length / sampleRate * 1000)
+    };
+
+    return { ...report, issues: AudioQuality.findIssues(report) };
+  }
+
+  /**
+   * @param {Object} report - Measurements from analyze()
+   * @returns {Array<{code: string, message: string}>} Problems, empty when the recording looks fine
+   */
+  static findIssues(report) {
+    const issues = [];
+    const add = (code, message) => issues.push({ code, message });
+
+    if (report.clippingRatio > LIMITS.maxClippingRatio) {
+      add('CLIPPING', `${round(report.clippingRatio * 100, 2)}% of samples are clipped; lower the input volume`);
+    }
+    if (report.peakDb < LIMITS.minPeakDb) {
+      add('LOW_LEVEL', `Input level is very low (peak ${report.peakDb} dBFS); raise the input volume`);
+    }
+    if (Math.abs(report.dcOffset) > LIMITS.maxDcOffset) {
+      add('DC_OFFSET', `DC offset of ${report.dcOffset}; the microphone or its driver may be faulty`);
+    }
+    const speechMs = Math.round(report.speechRatio * report.durationMs);
+    if (speechMs < LIMITS.minSpeechMs) {
+      add('LITTLE_SPEECH', `Only ${speechMs}ms of the recording is speech`);
+    } else if (report.snrDb !== null && report.snrDb < LIMITS.minSnrDb) {
+      add('LOW_SNR', `Estimated signal-to-noise ratio is ${report.snrDb} dB; reduce background noise or move closer to the microphone`);
+    }
+    if (report.snrDb !== null && report.longestSilenceMs > LIMITS.maxSilenceMs) {
+      add('LONG_SILENCE', `Silence of ${report.longestSilenceMs}ms in the recording`);
+    }
+
+    return issues;
+  }
+}
+
+module.exports = AudioQuality;
@@ -0,0 +1,54 @@
+class AudioRingBuffer {
+  /**
+   * Fixed-size ring buffer holding the most recent audio samples
+   * @param {number} capacity - Maximum number of samples kept
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(0, Math.floor(capacity));
+    this.buffer = new Float32Array(this.capacity);
+    this.writeIndex = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Append samples, overwriting the oldest ones once full
+   * @param {Float32Array} samples - Audio samples
+   */
+  write(samples) {
+    if (this.capacity === 0) {
+      return;
+    }
+
+    // Only the tail of an oversized chunk can survive
+    const source = samples.length > this.capacity ? samples.subarray(samples.length - this.capacity) : samples;
+    const firstPart = Math.min(source.length, this.capacity - this.writeIndex);
+
+    this.buffer.set(source.subarray(0, firstPart), this.writeIndex);
+    this.buffer.set(source.subarray(firstPart), 0);
+
+    this.writeIndex = (this.writeIndex + source.length) % this.capacity;
+    this.length = Math.min(this.capacity, this.length + source.length);
+  }
+
+  /**
+   * Copy out the buffered samples, oldest first
+   * @returns {Float32Array} Buffered audio
+   */
+  read() {
+    const result = new Float32Array(this.length);
+    const start = (this.writeIndex - this.length + this.capacity) % (this.capacity || 1);
+    const firstPart = Math.min(this.length, this.capacity - start);
+
+    result.set(this.buffer.subarray(start, start + firstPart), 0);
+    result.set(this.buffer.subarray(0, this.length - firstPart), firstPart);
+
+    return result;
+  }
+
+  clear() {
+    this.writeIndex = 0;
+    this.length = 0;
+  }
+}
+
+module.exports = AudioRingBuffer;
@@ -0,0 +1,77 @@
+class ChunkedAudioBuffer {
+  /**
+   * Growable audio buffer backed by preallocated Float32Array chunks.
+   * Appends copy into the current chunk, so long recordings never hold
+   * millions of boxed numbers or need to reallocate what is already stored.
+   * @param {Object} options
+   * @param {number} options.chunkSize - Samples per chunk
+   * @param {number} options.maxSamples - Samples beyond this ceiling are dropped
+   */
+  constructor({ chunkSize = 16000, maxSamples = Infinity } = {}) {
+    this.chunkSize = chunkSize;
+    this.maxSamples = maxSamples;
+    this.chunks = [];
+    this.length = 0;
+    this.droppedSamples = 0;
+  }
+
+  /**
+   * Append samples
+   * @param {Float32Array} samples - Audio samples
+   * @returns {number} Number of samples stored; fewer than given once the ceiling is reached
+   */
+  append(samples) {
+    const accepted = Math.max(0, Math.min(samples.length, this.maxSamples - this.length));
+    let offset = 0;
+
+    while (offset < accepted) {
+      const chunkOffset = this.length % this.chunkSize;
+      if (chunkOffset === 0) {
+        this.chunks.push(new Float32Array(this.chunkSize));
+      }
+
+      const count = Math.min(accepted - offset, this.chunkSize - chunkOffset);
+      this.chunks[this.chunks.length - 1].set(samples.subarray(offset, offset + count), chunkOffset);
+      offset += count;
+      this.length += count;
+    }
+
+    this.droppedSamples += samples.length - accepted;
+    return accepted;
+  }
+
+  get isFull() {
+    return this.length >= this.maxSamples;
+  }
+
+  /**
+   * Concatenate the stored chunks into a single array
+   * @returns {Float32Array} All stored samples
+   */
+  toFloat32Array() {
+    const result = new Float32Array(this.length);
+
+    for (let i = 0; i < this.chunks.length; i++) {
+      const start = i * this.chunkSize;
+      const count = Math.min(this.chunkSize, this.length - start);
+      result.set(this.chunks[i].subarray(0, count), start);
+    }
+
+    return result;
+  }
+
+  /**
+   * @returns {number} Bytes allocated for sample storage
+   */
+  getMemoryUsage() {
+    return this.chunks.length * this.chunkSize * Float32Array.BYTES_PER_ELEMENT;
+  }
+
+  clear() {
+    this.chunks = [];
+    this.length = 0;
+    this.droppedSamples = 0;
+  }
+}
+
+module.exports = ChunkedAudioBuffer;
@@ -0,0 +1,164 @@
+// Twiddle factors and bit-reversal tables, built once per transform size
+const tables = new Map();
+const windows = new Map();
+
+class FFT {
+  /**
+   * @param {number} n - Minimum size
+   * @returns {number} Smallest power of two >= n
+   */
+  static nextPowerOfTwo(n) {
+    let size = 1;
+    while (size < n) {
+      size <<= 1;
+    }
+    return size;
+  }
+
+  static getTables(size) {
+    let table = tables.get(size);
+    if (table) {
+      return table;
+    }
+
+    const bits = Math.log2(size);
+    const reverse = new Uint32Array(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let bit = 0; bit < bits; bit++) {
+        reversed = (reversed << 1) | ((i >> bit) & 1);
+      }
+      reverse[i] = reversed;
+    }
+
+    const cos = new Float64Array(size / 2);
+    const sin = new Float64Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      cos[i] = Math.cos(2 * Math.PI * i / size);
+      sin[i] = -Math.sin(2 * Math.PI * i / size);
+    }
+
+    table = { reverse, cos, sin };
+    tables.set(size, table);
+    return table;
+  }
+
+  /**
+   * In-place iterative radix-2 FFT
+   * @param {Float64Array} re - Real parts; length must be a power of two
+   * @param {Float64Array} im - Imaginary parts
+   * @param {boolean} inverse - Compute the inverse transform (scaled by 1/n)
+   */
+  static transform(re, im, inverse = false) {
+    const size = re.length;
+    if (size & (size - 1)) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+    const { reverse, cos, sin } = FFT.getTables(size);
+    const direction = inverse ? -1 : 1;
+
+    for (let i = 0; i < size; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        let swap = re[i];
+        re[i] = re[j];
+        re[j] = swap;
+        swap = im[i];
+        im[i] = im[j];
+        im[j] = swap;
+      }
+    }
+
+    for (let half = 1; half < size; half <<= 1) {
+      const step = size / (half * 2);
+      for (let start = 0; start < size; start += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = direction * sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+
+    if (inverse) {
+      for (let i = 0; i < size; i++) {
+        re[i] /= size;
+        im[i] /= size;
+      }
+    }
+  }
+
+  /**
+   * Window coefficients, cached per type and length; do not modify the result
+   * @param {number} length - Window length
+   * @param {string} type - 'hann', 'hamming' or 'rectangular'
+   * @returns {Float64Array}
+   */
+  static window(length, type = 'hann') {
+    if (!['hann', 'hamming', 'rectangular'].includes(type)) {
+      throw new Error(`Unknown window type: ${type}`);
+    }
+
+    const key = `${type}:${length}`;
+    let coefficients = windows.get(key);
+    if (coefficients) {
+      return coefficients;
+    }
+
+    coefficients = new Float64Array(length).fill(1);
+    if (type !== 'rectangular' && length > 1) {
+      const a0 = type === 'hann' ? 0.5 : 0.54;
+      for (let i = 0; i < length; i++) {
+        coefficients[i] = a0 - (1 - a0) * Math.cos(2 * Math.PI * i / (length - 1));
+      }
+    }
+    windows.set(key, coefficients);
+    return coefficients;
+  }
+
+  /**
+   * Transform a real signal, zero-padded to a power of two
+   * @param {Float32Array} samples - Real input
+   * @param {Object} options
+   * @param {number} options.size - Transform size; defaults to the next power of two
+   * @param {string} options.window - Window applied before the transform
+   * @returns {{re: Float64Array, im: Float64Array, size: number}}
+   */
+  static real(samples, { size = FFT.nextPowerOfTwo(samples.length), window = 'hann' } = {}) {
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    const coefficients = FFT.window(samples.length, window);
+    const length = Math.min(samples.length, size);
+
+    for (let i = 0; i < length; i++) {
+      re[i] = samples[i] * coefficients[i];
+    }
+
+    FFT.transform(re, im);
+    return { re, im, size };
+  }
+
+  /**
+   * Power of each frequency bin from DC to Nyquist
+   * @param {Float32Array} samples - Real input
+   * @param {Object} options - See FFT.real()
+   * @returns {{power: Float64Array, size: number}} size/2 + 1 bins; bin k is at k * sampleRate / size Hz
+   */
+  static powerSpectrum(samples, options = {}) {
+    const { re, im, size } = FFT.real(samples, options);
+    const power = new Float64Array(size / 2 + 1);
+    for (let k = 0; k < power.length; k++) {
+      power[k] = re[k] * re[k] + im[k] * im[k];
+    }
+    return { power, size };
+  }
+}
+
+module.exports = FFT;
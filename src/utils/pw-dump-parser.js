@@ -0,0 +1,152 @@
+// Node classes pw-record can capture from
+const SOURCE_CLASSES = ['Audio/Source', 'Audio/Source/Virtual', 'Audio/Duplex'];
+
+// Rates reported for sources that advertise a range instead of a list
+const COMMON_SAMPLE_RATES = [8000, 11025, 16000, 22050, 32000, 44100, 48000, 88200, 96000, 176400, 192000];
+
+class PwDumpParser {
+  /**
+   * Parse `pw-dump` output into capture devices
+   * @param {string|Array} output - pw-dump JSON text or the parsed object array
+   * @param {Object} options
+   * @param {boolean} options.includeMonitors - Keep sources that capture an output
+   * @returns {{devices: Array<Object>, defaultSource: string|null}}
+   */
+  static parse(output, { includeMonitors = false } = {}) {
+    const objects = typeof output === 'string' ? JSON.parse(output || '[]') : output;
+    if (!Array.isArray(objects)) {
+      throw new Error('pw-dump output must be a JSON array');
+    }
+
+    const defaultSource = PwDumpParser.parseDefaultSource(objects);
+    const devices = objects
+      .filter(object => object.type === 'PipeWire:Interface:Node')
+      .map(node => PwDumpParser.parseNode(node, defaultSource))
+      .filter(device => device && (includeMonitors || !device.isMonitor));
+
+    return { devices, defaultSource };
+  }
+
+  /**
+   * @param {Object} node - pw-dump Node object
+   * @param {string|null} defaultSource - node.name of the default source
+   * @returns {Object|null} Device, or null for anything that is not a source
+   */
+  static parseNode(node, defaultSource) {
+    const info = node.info || {};
+    const props = info.props || node.props || {};
+
+    if (!SOURCE_CLASSES.includes(props['media.class']) || !props['node.name']) {
+      return null;
+    }
+
+    const name = props['node.name'];
+    const description = props['node.description'] || props['node.nick'] || null;
+    const formats = [...(info.params?.EnumFormat || []), ...(info.params?.Format || [])]
+      .filter(format => (!format.mediaType || format.mediaType === 'audio') &&
+        (!format.mediaSubtype || format.mediaSubtype === 'raw'));
+
+    return {
+      id: name,
+      name: description || name,
+      description,
+      channels: PwDumpParser.parseChannels(formats, props),
+      sampleRates: PwDumpParser.parseSampleRates(formats, props),
+      isDefault: name === defaultSource,
+      isMonitor: name.endsWith('.monitor') || props['device.class'] === 'monitor',
+      state: info.state || 'unknown'
+    };
+  }
+
+  static parseChannels(formats, props) {
+    for (const format of formats) {
+      const channels = PwDumpParser.choiceValues(format.channels);
+      if (channels.length > 0) {
+        return Math.max(...channels);
+      }
+    }
+
+    if (props['audio.channels']) {
+      return Number(props['audio.channels']);
+    }
+    if (props['audio.position']) {
+      return String(props['audio.position']).split(',').length;
+    }
+    return null;
+  }
+
+  static parseSampleRates(formats, props) {
+    const rates = new Set();
+
+    for (const format of formats) {
+      const rate = format.rate;
+      if (rate && typeof rate === 'object' && rate.min !== undefined && rate.max !== undefined && !rate.alternatives) {
+        COMMON_SAMPLE_RATES
+          .filter(candidate => candidate >= rate.min && candidate <= rate.max)
+          .forEach(candidate => rates.add(candidate));
+        if (rate.default) {
+          rates.add(rate.default);
+        }
+      } else {
+        PwDumpParser.choiceValues(rate).forEach(value => rates.add(value));
+      }
+    }
+
+    if (rates.size === 0 && props['audio.rate']) {
+      rates.add(Number(props['audio.rate']));
+    }
+
+    return [...rates].sort((a, b) => a - b);
+  }
+
+  /**
+   * Flatten a SPA choice (plain value, {default, alternatives} or {default, min, max})
+   * @returns {Array<number>} Listed values; ranges yield only their default
+   */
+  static choiceValues(choice) {
+    if (typeof choice === 'number') {
+      return [choice];
+    }
+    if (!choice || typeof choice !== 'object') {
+      return [];
+    }
+    if (Array.isArray(choice.alternatives)) {
+      return [choice.default, ...choice.alternatives].filter(value => typeof value === 'number');
+    }
+    return typeof choice.default === 'number' ? [choice.default] : [];
+  }
+
+  /**
+   * Read the default source from the "default" metadata object
+   * @param {Array} objects - Parsed pw-dump output
+   * @returns {string|null} node.name of the default source
+   */
+  static parseDefaultSource(objects) {
+    const metadata = objects.find(object =>
+      object.type === 'PipeWire:Interface:Metadata' &&
+      (object.props || object.info?.props || {})['metadata.name'] === 'default'
+    );
+
+    const entries = metadata?.metadata || [];
+    // The effective default wins over the user's configured one
+    const entry = entries.find(item => item.key === 'default.audio.source') ||
+      entries.find(item => item.key === 'default.configured.audio.source');
+    if (!entry) {
+      return null;
+    }
+
+    let value = entry.value;
+    if (typeof value === 'string') {
+      // Older releases dump Spa:String:JSON values unparsed
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+
+    return value?.name || null;
+  }
+}
+
+module.exports = PwDumpParser;
@@ -0,0 +1,75 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+
+class ServiceUtils {
+  /**
+   * Error with a `code` that the HTTP routes map to a status
+   * @param {string} code - e.g. 'INVALID_DEVICE'
+   * @param {string} message
+   * @returns {Error}
+   */
+  static createError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Run a command and collect its stdout
+   * @param {string} command - Command to run
+   * @param {string[]} args - Command arguments
+   * @param {Object} options
+   * @param {string|Buffer} options.input - Written to stdin, which is then closed
+   * @param {number} options.timeout - ms before the command is killed
+   * @param {boolean} options.raw - Resolve with a Buffer, for binary output such as images
+   * @returns {Promise<string|Buffer>} Command stdout; rejects with stderr on a non-zero exit
+   */
+  static execCommand(command, args, { input, timeout, raw = false } = {}) {
+    return new Promise((resolve, reject) => {
+      const proc = spawn(command, args, timeout ? { timeout } : {});
+      const chunks = [];
+      let error = '';
+
+      proc.stdout.on('data', (data) => {
+        chunks.push(data);
+      });
+
+      proc.stderr.on('data', (data) => {
+        error += data.toString();
+      });
+
+      proc.on('exit', (code) => {
+        if (code === 0) {
+          const output = Buffer.concat(chunks);
+          resolve(raw ? output : output.toString());
+        } else {
+          reject(new Error(error || `Command ${command} failed with code ${code}`));
+        }
+      });
+
+      proc.on('error', (err) => {
+        reject(new Error(`Failed to execute ${command}: ${err.message}`));
+      });
+
+      if (input !== undefined) {
+        // Failures surface through the exit/error handlers above
+        proc.stdin.on('error', () => {});
+        proc.stdin.end(input);
+      }
+    });
+  }
+
+  /**
+   * Save data as formatted JSON. It is written to a temporary file first and
+   * renamed over the target, so a crash never leaves a truncated file.
+   * @param {string} filePath - Destination
+   * @param {*} data - JSON-serialisable value
+   */
+  static async writeJsonFile(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2) + '\n');
+    await fs.promises.rename(tempPath, filePath);
+  }
+}
+
+module.exports = ServiceUtils;
@@ -0,0 +1,55 @@
+const TRANSFORMS = {
+  appendSpace: (text) => text + ' ',
+  appendNewline: (text) => text + '\n',
+  stripTrailingNewlines: (text) => text.replace(/[\r\n]+$/, ''),
+  stripTrailingPeriod: (text) => text.replace(/(?<!\.)\.$/, ''),
+  lowercase: (text) => text.toLowerCase()
+};
+
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+class TextTransforms {
+  /**
+   * Names of the available transforms
+   * @returns {string[]} Transform names
+   */
+  static get names() {
+    return Object.keys(TRANSFORMS);
+  }
+
+  /**
+   * Count user-perceived characters, which is how many BackSpace presses delete the text
+   * @param {string} text - Input text
+   * @returns {number} Number of grapheme clusters
+   */
+  static countGraphemes(text) {
+    return this.splitGraphemes(text).length;
+  }
+
+  /**
+   * Split text into grapheme clusters
+   * @param {string} text - Input text
+   * @returns {string[]} Grapheme clusters
+   */
+  static splitGraphemes(text) {
+    return Array.from(segmenter.segment(text), ({ segment }) => segment);
+  }
+
+  /**
+   * Apply named transforms to text in order
+   * @param {string} text - Input text
+   * @param {string[]} transforms - Transform names
+   * @returns {string} Transformed text
+   */
+  static apply(text, transforms = []) {
+    return transforms.reduce((result, name) => {
+      const transform = TRANSFORMS[name];
+      if (!transform) {
+        throw new Error(`Unknown text transform: ${name}`);
+      }
+      return transform(result);
+    }, text);
+  }
+}
+
+module.exports = TextTransforms;
@@ -0,0 +1,170 @@
+const EventEmitter = require('events');
+const AudioAnalysis = require('./audio-analysis');
+
+/**
+ * Frame-by-frame voice activity detector. Unlike AudioAnalysis.classifyFrame(),
+ * it compares each frame against a noise floor tracked from the input, so a
+ * fan or a noisy room raises the bar instead of reading as speech, and it
+ * smooths decisions over time: speech must last `onsetMs` to start and stay
+ * quiet for `hangoverMs` to end, so the state doesn't flicker mid-word.
+ *
+ * Emits `speechStart` and `speechEnd` with offsets in samples from the first
+ * frame processed.
+ */
+class VoiceActivityDetector extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate - Sample rate in Hz
+   * @param {number} options.snrDb - How far above the noise floor a frame must be to count as speech
+   * @param {number} options.minEnergy - Frames quieter than this are never speech, however quiet the room
+   * @param {number} options.onsetMs - Speech needed before speechStart
+   * @param {number} options.hangoverMs - Silence needed before speechEnd
+   * @param {number} options.warmupMs - Initial audio used only to learn the noise floor
+   * @param {number} options.noiseAttack - Per-frame rate at which the floor rises towards louder noise
+   * @param {number} options.noiseRelease - Per-frame rate at which the floor falls towards quieter frames
+   * @param {number|null} options.initialNoiseFloor - Floor to start from without a warm-up; by default the first frame's level
+   */
+  constructor({
+    sampleRate = 16000,
+    snrDb = 9,
+    minEnergy = 0.002,
+    onsetMs = 60,
+    hangoverMs = 300,
+    warmupMs = 200,
+    noiseAttack = 0.02,
+    noiseRelease = 0.2,
+    initialNoiseFloor = null
+  } = {}) {
+    super();
+    this.sampleRate = sampleRate;
+    this.snr = Math.pow(10, snrDb / 20);
+    this.minEnergy = minEnergy;
+    this.onsetMs = onsetMs;
+    this.hangoverMs = hangoverMs;
+    this.warmupMs = warmupMs;
+    this.noiseAttack = noiseAttack;
+    this.noiseRelease = noiseRelease;
+    this.initialNoiseFloor = initialNoiseFloor;
+
+    this.reset();
+  }
+
+  reset() {
+    this.noiseFloor = this.initialNoiseFloor;
+    this.warmupEnergy = 0;
+    this.isSpeech = false;
+    this.position = 0;
+    this.activeSamples = 0; // consecutive active audio while waiting for onset
+    this.inactiveSamples = 0; // consecutive inactive audio while in speech
+    this.candidateStart = 0;
+    this.speechStart = 0;
+    this.lastActiveEnd = 0;
+  }
+
+  /**
+   * Feed the next frame. Frames may be any length, but decisions are made
+   * per frame, so 10–30 ms frames give the best timing.
+   * @param {Float32Array} frame - Audio samples
+   * @returns {{isSpeech: boolean, active: boolean, energy: number, noiseFloor: number, threshold: number}}
+   */
+  process(frame) {
+    const start = this.position;
+    this.position += frame.length;
+
+    const energy = AudioAnalysis.calculateFrameEnergy(frame);
+    if (this.position <= this.toSamples(this.warmupMs)) {
+      return this.warmUp(frame, energy);
+    }
+
+    const threshold = Math.max(this.minEnergy, this.noiseFloor * this.snr);
+    const active = energy >= threshold;
+
+    this.updateNoiseFloor(energy, active);
+
+    if (active) {
+      this.lastActiveEnd = this.position;
+      this.inactiveSamples = 0;
+      if (this.activeSamples === 0) {
+        this.candidateStart = start;
+      }
+      this.activeSamples += frame.length;
+    } else {
+      this.activeSamples = 0;
+      this.inactiveSamples += frame.length;
+    }
+
+    if (!this.isSpeech && this.activeSamples >= this.toSamples(this.onsetMs)) {
+      this.isSpeech = true;
+      this.speechStart = this.candidateStart;
+      this.emit('speechStart', { offset: this.speechStart, noiseFloor: this.noiseFloor });
+    } else if (this.isSpeech && this.inactiveSamples >= this.toSamples(this.hangoverMs)) {
+      this.endSpeech();
+    }
+
+    return { isSpeech: this.isSpeech, active, energy, noiseFloor: this.noiseFloor, threshold };
+  }
+
+  /**
+   * Average the first frames into the initial noise floor; speaking right
+   * away only makes it start high, and the fast release corrects that
+   */
+  warmUp(frame, energy) {
+    this.warmupEnergy += energy * energy * frame.length;
+    this.noiseFloor = Math.max(Math.sqrt(this.warmupEnergy / this.position), 1e-5);
+    const threshold = Math.max(this.minEnergy, this.noiseFloor * this.snr);
+    return { isSpeech: false, active: false, energy, noiseFloor: this.noiseFloor, threshold };
+  }
+
+  /**
+   * End speech in progress, e.g. when the input stops
+   */
+  flush() {
+    if (this.isSpeech) {
+      this.endSpeech();
+    }
+  }
+
+  endSpeech() {
+    this.isSpeech = false;
+    this.activeSamples = 0;
+    this.emit('speechEnd', {
+      offset: this.lastActiveEnd,
+      start: this.speechStart,
+      durationSamples: this.lastActiveEnd - this.speechStart
+    });
+  }
+
+  /**
+   * Follow quieter input quickly and louder input slowly. Speech frames
+   * still nudge the floor up, only much more slowly, so a noise source that
+   * starts mid-utterance is eventually learned instead of holding the
+   * detector in speech forever.
+   */
+  updateNoiseFloor(energy, active) {
+    if (this.noiseFloor === null) {
+      // No warm-up: start from the first frame
+      this.noiseFloor = Math.max(energy, 1e-5);
+    } else if (energy < this.noiseFloor) {
+      this.noiseFloor += this.noiseRelease * (energy - this.noiseFloor);
+    } else {
+      const rate = active ? this.noiseAttack / 20 : this.noiseAttack;
+      this.noiseFloor += rate * (energy - this.noiseFloor);
+    }
+    // A digitally silent input would otherwise drive the floor to zero
+    this.noiseFloor = Math.max(this.noiseFloor, 1e-5);
+  }
+
+  toSamples(ms) {
+    return ms * this.sampleRate / 1000;
+  }
+
+  getState() {
+    return {
+      isSpeech: this.isSpeech,
+      noiseFloor: this.noiseFloor,
+      position: this.position
+    };
+  }
+}
+
+module.exports = VoiceActivityDetector;
@@ -1,5 +1,17 @@
 const AudioAnalysis = require('../src/utils/audio-analysis');
 
+const SAMPLE_RATE = 16000;
+const sine = (frequency, length = 480, amplitude = 0.5) =>
+  new Float32Array(length).map((_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+// Deterministic white noise in [-1, 1)
+const whiteNoise = (length, seed = 1) => {
+  let state = seed;
+  return new Float32Array(length).map(() => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  });
+};
+
 describe('AudioAnalysis', () => {
   describe('calculateZeroCrossingRate', () => {
     test('should return 0 for constant signal', () => {
@@ -56,6 +68,58 @@ describe('AudioAnalysis', () => {
       const centroid = AudioAnalysis.calculateSpectralCentroid(frame, 16000);
       expect(centroid).toBeGreaterThan(0);
     });
+
+    test.each([250, 1000, 3000, 6000])('should place a %i Hz sine at its frequency', (frequency) => {
+      expect(AudioAnalysis.calculateSpectralCentroid(sine(frequency), SAMPLE_RATE)).toBeCloseTo(frequency, -1);
+    });
+
+    test('should sit in the middle of the band for white noise', () => {
+      const centroid = AudioAnalysis.calculateSpectralCentroid(whiteNoise(4096), SAMPLE_RATE);
+      expect(centroid).toBeGreaterThan(3500);
+      expect(centroid).toBeLessThan(4500);
+    });
+
+    test('should not depend on the amplitude', () => {
+      expect(AudioAnalysis.calculateSpectralCentroid(sine(1000, 480, 0.01), SAMPLE_RATE))
+        .toBeCloseTo(AudioAnalysis.calculateSpectralCentroid(sine(1000, 480, 0.9), SAMPLE_RATE), 3);
+    });
+  });
+
+  describe('calculateSpectralFlatness', () => {
+    test('should be near 0 for a sine', () => {
+      expect(AudioAnalysis.calculateSpectralFlatness(sine(1000))).toBeLessThan(0.01);
+    });
+
+    test('should be high for white noise', () => {
+      // A single periodogram of white noise averages around 0.56
+      expect(AudioAnalysis.calculateSpectralFlatness(whiteNoise(480))).toBeGreaterThan(0.4);
+    });
+
+    test('should return 0 for silence', () => {
+      expect(AudioAnalysis.calculateSpectralFlatness(new Float32Array(480))).toBe(0);
+    });
+  });
+
+  describe('calculateBandEnergies', () => {
+    test('should put a sine in its band with its mean power', () => {
+      const bands = AudioAnalysis.calculateBandEnergies(sine(1500), SAMPLE_RATE);
+
+      expect(bands.map(band => [band.low, band.high])).toEqual([[0, 300], [300, 1000], [1000, 3000], [3000, 8000]]);
+      expect(bands[2].ratio).toBeGreaterThan(0.99);
+      expect(bands[2].energy).toBeCloseTo(0.125, 2); // 0.5^2 / 2
+    });
+
+    test('should spread white noise in proportion to bandwidth', () => {
+      const bands = AudioAnalysis.calculateBandEnergies(whiteNoise(4096), SAMPLE_RATE, [[0, 4000], [4000, 8000]]);
+
+      expect(bands[0].ratio).toBeCloseTo(0.5, 1);
+      expect(bands[0].energy + bands[1].energy).toBeCloseTo(1 / 3, 1); // variance of uniform [-1, 1)
+    });
+
+    test('should report zero ratios for silence', () => {
+      const bands = AudioAnalysis.calculateBandEnergies(new Float32Array(480), SAMPLE_RATE);
+      bands.forEach(band => expect(band).toMatchObject({ energy: 0, ratio: 0 }));
+    });
   });
 
   describe('classifyFrame', () => {
@@ -106,6 +170,96 @@ describe('AudioAnalysis', () => {
     });
   });
 
+  describe('findSpeechBounds', () => {
+    const tone = (length, amplitude) => new Float32Array(length).map((_, i) => amplitude * Math.sin(i / 3));
+
+    test('should return the sample range containing speech', () => {
+      const audio = new Float32Array(16000);
+      audio.set(tone(4800, 0.2), 4800);
+
+      const bounds = AudioAnalysis.findSpeechBounds(audio, 16000, { threshold: 0.01, frameMs: 20, minSpeechMs: 100 });
+
+      expect(bounds.start).toBeGreaterThanOrEqual(4800 - 320);
+      expect(bounds.start).toBeLessThanOrEqual(4800);
+      expect(bounds.end).toBeGreaterThanOrEqual(9600);
+      expect(bounds.end).toBeLessThanOrEqual(9600 + 320);
+    });
+
+    test('should return null when nothing reaches the threshold', () => {
+      const audio = tone(16000, 0.005);
+      expect(AudioAnalysis.findSpeechBounds(audio, 16000, { threshold: 0.01 })).toBeNull();
+    });
+
+    test('should return null for audio shorter than a frame', () => {
+      expect(AudioAnalysis.findSpeechBounds(new Float32Array(10), 16000)).toBeNull();
+    });
+  });
+
+  describe('autocorrelation', () => {
+    test('should match the direct sum', () => {
+      const frame = whiteNoise(480);
+      const result = AudioAnalysis.autocorrelation(frame, 240);
+
+      for (const lag of [0, 1, 17, 120, 239]) {
+        let sum = 0;
+        for (let i = 0; i < frame.length - lag; i++) {
+          sum += frame[i] * frame[i + lag];
+        }
+        expect(result[lag]).toBeCloseTo(sum / (frame.length - lag), 6);
+      }
+    });
+
+    test('should peak at the period of a sine', () => {
+      const result = AudioAnalysis.autocorrelation(sine(200), 120);
+      const candidates = result.slice(40);
+      const peakLag = 40 + candidates.indexOf(Math.max(...candidates));
+      expect(peakLag).toBe(80); // 16000 / 200
+    });
+  });
+
+  describe('estimatePitch', () => {
+    test.each([80, 120, 200, 350])('should find the pitch of a %i Hz sine', (frequency) => {
+      const { frequency: estimate, confidence } = AudioAnalysis.estimatePitch(sine(frequency, 640), SAMPLE_RATE);
+
+      expect(Math.abs(estimate - frequency) / frequency).toBeLessThan(0.02);
+      expect(confidence).toBeGreaterThan(0.9);
+    });
+
+    test('should find the fundamental of a harmonic tone, not a harmonic', () => {
+      const frame = new Float32Array(480).map((_, i) =>
+        [1, 2, 3, 4].reduce((sum, harmonic) => sum + Math.sin(2 * Math.PI * 120 * harmonic * i / SAMPLE_RATE) / harmonic, 0));
+
+      expect(AudioAnalysis.estimatePitch(frame, SAMPLE_RATE).frequency).toBeCloseTo(120, -1);
+    });
+
+    test('should report low confidence for noise', () => {
+      expect(AudioAnalysis.estimatePitch(whiteNoise(480), SAMPLE_RATE).confidence).toBeLessThan(0.4);
+    });
+
+    test('should return no pitch for silence', () => {
+      expect(AudioAnalysis.estimatePitch(new Float32Array(480), SAMPLE_RATE)).toEqual({ frequency: 0, confidence: 0 });
+    });
+  });
+
+  describe('performance', () => {
+    test('should analyse a 30 ms frame well within its duration', () => {
+      const frames = Array.from({ length: 10 }, (_, i) => whiteNoise(480, i + 1));
+      const iterations = 300;
+
+      const start = process.hrtime.bigint();
+      for (let i = 0; i < iterations; i++) {
+        const frame = frames[i % frames.length];
+        AudioAnalysis.extractVADFeatures(frame, SAMPLE_RATE);
+        AudioAnalysis.calculateBandEnergies(frame, SAMPLE_RATE);
+        AudioAnalysis.estimatePitch(frame, SAMPLE_RATE);
+      }
+      const msPerFrame = Number(process.hrtime.bigint() - start) / 1e6 / iterations;
+
+      // Budget: 2 ms of the frame's 30 ms, with headroom for slow CI machines
+      expect(msPerFrame).toBeLessThan(2);
+    });
+  });
+
   describe('extractVADFeatures', () => {
     test('should extract all features correctly', () => {
       const frame = new Float32Array(480);
@@ -119,6 +273,7 @@ describe('AudioAnalysis', () => {
       expect(features).toHaveProperty('energy');
       expect(features).toHaveProperty('zcr');
       expect(features).toHaveProperty('spectralCentroid');
+      expect(features).toHaveProperty('spectralFlatness');
       expect(features).toHaveProperty('frameClass');
       expect(features).toHaveProperty('periodicity');
       expect(features).toHaveProperty('isSpeechLikely');
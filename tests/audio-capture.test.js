@@ -1,5 +1,10 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
 const AudioCaptureService = require('../src/services/audio-capture');
 
+const readPwDump = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/pw-dump', `${name}.json`), 'utf8');
+
 // Mock logger
 const mockLogger = {
   info: jest.fn(),
@@ -13,7 +18,8 @@ const mockConfig = {
   audio: {
     sampleRate: 16000,
     channels: 1,
-    device: 'default'
+    device: 'default',
+    preRollMs: 0
   }
 };
 
@@ -27,139 +33,41 @@ describe('AudioCaptureService', () => {
   });
 
   describe('Device Parsing', () => {
-    test('should parse PipeWire audio sources correctly', async () => {
-      const mockPipeWireOutput = `id 0, type PipeWire:Interface:Core/4
-		object.serial = "0"
-		core.name = "pipewire-0"
-	id 43, type PipeWire:Interface:Node/3
-		object.serial = "60"
-		object.path = "alsa:acp:Microphone:4:capture"
-		factory.id = "19"
-		client.id = "47"
-		device.id = "50"
-		priority.session = "2009"
-		priority.driver = "2009"
-		node.description = "Yeti Stereo Microphone Analog Stereo"
-		node.name = "alsa_input.usb-Blue_Microphones_Yeti_Stereo_Microphone_797_2019_11_26_88648-00.analog-stereo"
-		node.nick = "Yeti Stereo Microphone"
-		media.class = "Audio/Source"
-	id 44, type PipeWire:Interface:Node/3
-		object.serial = "61"
-		object.path = "alsa:acp:Camera:0:capture"
-		factory.id = "19"
-		client.id = "47"
-		device.id = "49"
-		priority.session = "2009"
-		priority.driver = "2009"
-		node.description = "USB 2.0 Camera Analog Stereo"
-		node.name = "alsa_input.usb-Sonix_Technology_Co.__Ltd._USB_2.0_Camera_SN0001-02.analog-stereo"
-		node.nick = "USB 2.0 Camera"
-		media.class = "Audio/Source"
-	id 45, type PipeWire:Interface:Node/3
-		object.serial = "62"
-		object.path = "alsa:acp:Microphone:4:playback"
-		factory.id = "19"
-		client.id = "47"
-		device.id = "50"
-		priority.session = "1009"
-		priority.driver = "1009"
-		node.description = "Yeti Stereo Microphone Analog Stereo"
-		node.name = "alsa_output.usb-Blue_Microphones_Yeti_Stereo_Microphone_797_2019_11_26_88648-00.analog-stereo"
-		node.nick = "Yeti Stereo Microphone"
-		media.class = "Audio/Sink"
-	id 60, type PipeWire:Interface:Node/3
-		object.serial = "69"
-		object.path = "alsa:acp:ALC897:0:capture"
-		factory.id = "19"
-		client.id = "47"
-		device.id = "52"
-		priority.session = "2009"
-		priority.driver = "2009"
-		node.description = "Wbudowany dźwięk Analog Stereo"
-		node.name = "alsa_input.pci-0000_00_1f.3.analog-stereo"
-		node.nick = "ALC897 Analog"
-		media.class = "Audio/Source"`;
-
-      // Mock execCommand to return our test data
-      audioCapture.execCommand = jest.fn().mockResolvedValue(mockPipeWireOutput);
+    test('should list PipeWire sources from pw-dump', async () => {
+      audioCapture.execCommand = jest.fn().mockResolvedValue(readPwDump('pipewire-1.0.5'));
 
       const devices = await audioCapture.listDevices();
 
-      expect(devices).toHaveLength(3);
-      
+      expect(audioCapture.execCommand).toHaveBeenCalledWith('pw-dump', []);
+      expect(devices.map(device => device.id)).toEqual([
+        'alsa_input.usb-Blue_Microphones_Yeti_Stereo_Microphone_797_2019_11_26_88648-00.analog-stereo',
+        'alsa_input.pci-0000_00_1f.3.analog-stereo'
+      ]);
       expect(devices[0]).toEqual({
         id: 'alsa_input.usb-Blue_Microphones_Yeti_Stereo_Microphone_797_2019_11_26_88648-00.analog-stereo',
         name: 'Yeti Stereo Microphone Analog Stereo',
-        state: 'available'
-      });
-
-      expect(devices[1]).toEqual({
-        id: 'alsa_input.usb-Sonix_Technology_Co.__Ltd._USB_2.0_Camera_SN0001-02.analog-stereo',
-        name: 'USB 2.0 Camera Analog Stereo',
-        state: 'available'
-      });
-
-      expect(devices[2]).toEqual({
-        id: 'alsa_input.pci-0000_00_1f.3.analog-stereo',
-        name: 'Wbudowany dźwięk Analog Stereo',
-        state: 'available'
+        description: 'Yeti Stereo Microphone Analog Stereo',
+        channels: 2,
+        sampleRates: [44100, 48000],
+        isDefault: true,
+        isMonitor: false,
+        state: 'idle'
       });
     });
 
-    test('should skip Audio/Sink devices (outputs)', async () => {
-      const mockPipeWireOutput = `id 45, type PipeWire:Interface:Node/3
-		object.serial = "62"
-		node.description = "Speaker Output"
-		node.name = "alsa_output.speaker"
-		media.class = "Audio/Sink"
-	id 46, type PipeWire:Interface:Node/3
-		object.serial = "63"
-		node.description = "Microphone Input"
-		node.name = "alsa_input.microphone"
-		media.class = "Audio/Source"`;
-
-      audioCapture.execCommand = jest.fn().mockResolvedValue(mockPipeWireOutput);
-
-      const devices = await audioCapture.listDevices();
-
-      expect(devices).toHaveLength(1);
-      expect(devices[0].name).toBe('Microphone Input');
-    });
-
-    test('should skip monitor sources', async () => {
-      const mockPipeWireOutput = `id 47, type PipeWire:Interface:Node/3
-		object.serial = "64"
-		node.description = "Monitor of Speaker"
-		node.name = "alsa_output.speaker.monitor"
-		media.class = "Audio/Source"
-	id 48, type PipeWire:Interface:Node/3
-		object.serial = "65"
-		node.description = "Real Microphone"
-		node.name = "alsa_input.microphone"
-		media.class = "Audio/Source"`;
-
-      audioCapture.execCommand = jest.fn().mockResolvedValue(mockPipeWireOutput);
+    test('should include monitor sources on request', async () => {
+      audioCapture.execCommand = jest.fn().mockResolvedValue(readPwDump('pipewire-1.0.5'));
 
-      const devices = await audioCapture.listDevices();
+      const devices = await audioCapture.listDevices({ includeMonitors: true });
 
-      expect(devices).toHaveLength(1);
-      expect(devices[0].name).toBe('Real Microphone');
-      expect(devices[0].id).not.toContain('.monitor');
+      expect(devices).toHaveLength(3);
+      expect(devices[2]).toMatchObject({ id: 'alsa_output.pci-0000_01_00.1.hdmi-stereo.monitor', isMonitor: true });
     });
 
-    test('should use node.nick as fallback for description', async () => {
-      const mockPipeWireOutput = `id 49, type PipeWire:Interface:Node/3
-		object.serial = "66"
-		node.name = "alsa_input.test"
-		node.nick = "Test Microphone"
-		media.class = "Audio/Source"`;
-
-      audioCapture.execCommand = jest.fn().mockResolvedValue(mockPipeWireOutput);
-
-      const devices = await audioCapture.listDevices();
+    test('should read the PipeWire default source from pw-dump metadata', async () => {
+      audioCapture.execCommand = jest.fn().mockResolvedValue(readPwDump('pipewire-1.2.7'));
 
-      expect(devices).toHaveLength(1);
-      expect(devices[0].name).toBe('Test Microphone');
+      await expect(audioCapture.getDefaultDevice()).resolves.toBe('rnnoise_source');
     });
 
     test('should handle PulseAudio device listing', async () => {
@@ -177,24 +85,75 @@ describe('AudioCaptureService', () => {
       expect(devices[0].id).toBe('alsa_input.usb-Blue_Microphones_Yeti-00.analog-stereo');
       expect(devices[1].id).toBe('alsa_input.pci-0000_00_1f.3.analog-stereo');
       
+      expect(devices[0]).toMatchObject({ channels: 2, sampleRates: [44100], isMonitor: false, state: 'suspended' });
+      
       // Should not include monitor source
       expect(devices.find(d => d.id.includes('.monitor'))).toBeUndefined();
     });
 
-    test('should handle command execution errors gracefully', async () => {
-      audioCapture.execCommand = jest.fn().mockRejectedValue(new Error('Command failed'));
+    test('should list ALSA capture PCMs from arecord -L', async () => {
+      audioCapture.audioSystem = 'alsa';
+      audioCapture.execCommand = jest.fn().mockResolvedValue([
+        'null',
+        '    Discard all samples (playback) or generate zero samples (capture)',
+        'default',
+        '    Default Audio Device',
+        'sysdefault:CARD=PCH',
+        '    HDA Intel PCH, ALC897 Analog',
+        '    Default Audio Device',
+        'plughw:CARD=Microphone,DEV=0',
+        '    Yeti Stereo Microphone, USB Audio',
+        '    Hardware device with all software conversions',
+        ''
+      ].join('\n'));
 
       const devices = await audioCapture.listDevices();
 
-      expect(devices).toEqual([]);
-      expect(mockLogger.error).toHaveBeenCalledWith('Failed to list audio devices:', expect.any(Error));
+      expect(audioCapture.execCommand).toHaveBeenCalledWith('arecord', ['-L']);
+      expect(devices.map(device => device.id)).toEqual([
+        'default',
+        'sysdefault:CARD=PCH',
+        'plughw:CARD=Microphone,DEV=0'
+      ]);
+      expect(devices[0].isDefault).toBe(true);
+      expect(devices[2]).toEqual({
+        id: 'plughw:CARD=Microphone,DEV=0',
+        name: 'Yeti Stereo Microphone, USB Audio',
+        description: 'Yeti Stereo Microphone, USB Audio, Hardware device with all software conversions',
+        channels: null,
+        sampleRates: [],
+        isDefault: false,
+        isMonitor: false,
+        state: 'available'
+      });
+    });
+
+    test('should reject when the device query fails', async () => {
+      audioCapture.execCommand = jest.fn().mockRejectedValue(new Error('Command failed'));
+
+      await expect(audioCapture.listDevices()).rejects.toThrow('Command failed');
+    });
+
+    test('should keep the monitored devices when the device query fails', async () => {
+      const removedHandler = jest.fn();
+      audioCapture.getDefaultDevice = jest.fn().mockResolvedValue(null);
+      audioCapture.execCommand = jest.fn().mockResolvedValue(readPwDump('pipewire-1.0.5'));
+      audioCapture.on('deviceRemoved', removedHandler);
+      await audioCapture.deviceMonitor.refresh({ silent: true });
+      const devices = audioCapture.deviceMonitor.getDevices();
+
+      audioCapture.execCommand.mockRejectedValue(new Error('pw-dump failed'));
+      await audioCapture.deviceMonitor.refresh();
+
+      expect(devices.length).toBeGreaterThan(0);
+      expect(audioCapture.deviceMonitor.getDevices()).toEqual(devices);
+      expect(removedHandler).not.toHaveBeenCalled();
     });
 
-    test('should handle invalid PipeWire output gracefully', async () => {
+    test('should handle empty and incomplete PipeWire output gracefully', async () => {
       const testCases = [
         '', // empty output
-        'invalid output\nno pipewire data', // malformed
-        'id 50, type PipeWire:Interface:Node/3\n\t\t\tmedia.class = "Audio/Source"' // incomplete
+        '[{"id": 50, "type": "PipeWire:Interface:Node", "info": {"props": {"media.class": "Audio/Source"}}}]' // incomplete
       ];
 
       for (const output of testCases) {
@@ -204,6 +163,12 @@ describe('AudioCaptureService', () => {
       }
     });
 
+    test('should reject malformed PipeWire output', async () => {
+      audioCapture.execCommand = jest.fn().mockResolvedValue('invalid output\nno pipewire data');
+
+      await expect(audioCapture.listDevices()).rejects.toThrow(SyntaxError);
+    });
+
   });
 
   describe('Audio Format Processing', () => {
@@ -223,11 +188,12 @@ describe('AudioCaptureService', () => {
       audioCapture.processAudioData(testData);
       
       // Verify conversion accuracy
-      expect(audioCapture.sessionBuffer.length).toBe(4);
-      expect(audioCapture.sessionBuffer[0]).toBeCloseTo(0, 5);
-      expect(audioCapture.sessionBuffer[1]).toBeCloseTo(1.0, 3);
-      expect(audioCapture.sessionBuffer[2]).toBeCloseTo(-1.0, 3);
-      expect(audioCapture.sessionBuffer[3]).toBeCloseTo(0.5, 3);
+      const sessionAudio = audioCapture.sessionBuffer.toFloat32Array();
+      expect(sessionAudio.length).toBe(4);
+      expect(sessionAudio[0]).toBeCloseTo(0, 5);
+      expect(sessionAudio[1]).toBeCloseTo(1.0, 3);
+      expect(sessionAudio[2]).toBeCloseTo(-1.0, 3);
+      expect(sessionAudio[3]).toBeCloseTo(0.5, 3);
       
       // Cleanup
       audioCapture.stopRecording();
@@ -251,6 +217,56 @@ describe('AudioCaptureService', () => {
     });
   });
 
+  describe('Backend Detection', () => {
+    const respondTo = (available) => jest.fn((command) => (
+      available.includes(command) ? Promise.resolve('') : Promise.reject(new Error(`${command} failed`))
+    ));
+
+    test('should prefer PipeWire, then PulseAudio, then ALSA', async () => {
+      audioCapture.execCommand = respondTo(['pw-cli', 'pactl', 'arecord']);
+      await audioCapture.detectAudioSystem();
+      expect(audioCapture.audioSystem).toBe('pipewire');
+
+      audioCapture.execCommand = respondTo(['pactl', 'arecord']);
+      await audioCapture.detectAudioSystem();
+      expect(audioCapture.audioSystem).toBe('pulseaudio');
+
+      audioCapture.execCommand = respondTo(['arecord']);
+      await audioCapture.detectAudioSystem();
+      expect(audioCapture.audioSystem).toBe('alsa');
+      expect(audioCapture.execCommand).toHaveBeenCalledWith('arecord', ['-l']);
+    });
+
+    test('should probe servers rather than installed binaries', async () => {
+      audioCapture.execCommand = respondTo([]);
+
+      await expect(audioCapture.detectAudioSystem()).rejects.toThrow(
+        'No compatible audio system found (PipeWire, PulseAudio or ALSA required)'
+      );
+      expect(audioCapture.execCommand).toHaveBeenCalledWith('pw-cli', ['info', '0']);
+      expect(audioCapture.execCommand).toHaveBeenCalledWith('pactl', ['info']);
+    });
+
+    test('should use the configured backend without auto-detection', async () => {
+      const alsaCapture = new AudioCaptureService({ audio: { ...mockConfig.audio, backend: 'alsa' } }, mockLogger);
+      alsaCapture.execCommand = respondTo(['pw-cli', 'arecord']);
+
+      await alsaCapture.detectAudioSystem();
+
+      expect(alsaCapture.audioSystem).toBe('alsa');
+      expect(alsaCapture.execCommand).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail when the configured backend is unavailable', async () => {
+      const pulseCapture = new AudioCaptureService({ audio: { ...mockConfig.audio, backend: 'pulseaudio' } }, mockLogger);
+      pulseCapture.execCommand = respondTo(['pw-cli']);
+
+      await expect(pulseCapture.detectAudioSystem()).rejects.toThrow(
+        'Audio backend pulseaudio is not available: pactl failed'
+      );
+    });
+  });
+
   describe('Device Selection', () => {
     test('should build correct PipeWire command arguments', () => {
       audioCapture.audioSystem = 'pipewire';
@@ -283,6 +299,23 @@ describe('AudioCaptureService', () => {
       ]);
     });
 
+    test('should build correct ALSA command arguments', () => {
+      audioCapture.audioSystem = 'alsa';
+      
+      const args = audioCapture.buildCaptureArgs();
+      
+      expect(args.command).toBe('arecord');
+      expect(args.args).toEqual([
+        '-t', 'raw',
+        '-f', 'S16_LE',
+        '-r', '16000',
+        '-c', '1',
+        '-D', 'default',
+        '-q',
+        '-'
+      ]);
+    });
+
     test('should handle custom device selection', () => {
       const customConfig = {
         audio: {
@@ -311,6 +344,9 @@ describe('AudioCaptureService', () => {
         audioSystem: 'pipewire',
         sessionSamples: 0,
         sessionDuration: 0,
+        sessionMemoryBytes: 0,
+        preRollSamples: 0,
+        preRollMs: 0,
         restartCount: 0,
         processId: null
       });
@@ -321,7 +357,7 @@ describe('AudioCaptureService', () => {
       audioCapture.startRecording();
       
       // Simulate 1 second of audio (16000 samples @ 16kHz)
-      audioCapture.sessionBuffer = new Array(16000).fill(0);
+      audioCapture.sessionBuffer.append(new Float32Array(16000));
       
       const status = audioCapture.getStatus();
       
@@ -333,6 +369,622 @@ describe('AudioCaptureService', () => {
     });
   });
 
+  describe('Session Storage', () => {
+    test('should store large chunks without spreading them onto the stack', () => {
+      audioCapture.isCapturing = true;
+      audioCapture.startRecording();
+
+      // 10 seconds in one chunk; a spread push of this size can overflow the call stack
+      audioCapture.processAudioData(Buffer.alloc(160000 * 2));
+
+      expect(audioCapture.getRecordingStatus().samples).toBe(160000);
+      expect(audioCapture.stopRecording()).toHaveLength(160000);
+    });
+
+    test('should cap session memory at maxRecordingDuration', () => {
+      const cappedCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, maxRecordingDuration: 1000 }
+      }, mockLogger);
+      const stoppedHandler = jest.fn();
+      cappedCapture.on('recordingStopped', stoppedHandler);
+      cappedCapture.isCapturing = true;
+      cappedCapture.startRecording();
+
+      cappedCapture.processAudioData(Buffer.alloc(24000 * 2));
+
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Recording session reached its memory ceiling, further audio is dropped',
+        expect.objectContaining({ samples: 16000 })
+      );
+      expect(stoppedHandler.mock.calls[0][0].audio).toHaveLength(16000);
+    });
+
+    test('should release session memory after stopping', () => {
+      audioCapture.isCapturing = true;
+      audioCapture.startRecording();
+      audioCapture.processAudioData(Buffer.alloc(32000 * 2));
+
+      expect(audioCapture.getStatus().sessionMemoryBytes).toBe(2 * 16000 * 4);
+
+      audioCapture.stopRecording();
+
+      expect(audioCapture.getStatus().sessionMemoryBytes).toBe(0);
+    });
+  });
+
+  describe('Device Switching', () => {
+    const devices = [
+      { id: 'alsa_input.usb-mic', name: 'USB Microphone', state: 'available' },
+      { id: 'alsa_input.pci-analog', name: 'Built-in Audio', state: 'available' }
+    ];
+
+    beforeEach(() => {
+      // setDevice writes to the config, so keep the shared mock untouched
+      audioCapture = new AudioCaptureService({ audio: { ...mockConfig.audio } }, mockLogger);
+      audioCapture.audioSystem = 'pipewire';
+      jest.spyOn(audioCapture, 'listDevices').mockResolvedValue(devices);
+      jest.spyOn(audioCapture, 'startCapture').mockImplementation(() => {
+        audioCapture.captureProcess = { pid: 2, kill: jest.fn() };
+      });
+    });
+
+    test('should reject unknown devices', async () => {
+      await expect(audioCapture.setDevice('alsa_input.missing')).rejects.toMatchObject({
+        code: 'DEVICE_NOT_FOUND'
+      });
+      expect(audioCapture.config.audio.device).toBe('default');
+    });
+
+    test('should reject invalid device ids', async () => {
+      await expect(audioCapture.setDevice('')).rejects.toMatchObject({ code: 'INVALID_DEVICE' });
+      await expect(audioCapture.setDevice(42)).rejects.toMatchObject({ code: 'INVALID_DEVICE' });
+    });
+
+    test('should update the device without spawning when capture is stopped', async () => {
+      const device = await audioCapture.setDevice('alsa_input.usb-mic');
+
+      expect(device).toEqual(devices[0]);
+      expect(audioCapture.config.audio.device).toBe('alsa_input.usb-mic');
+      expect(audioCapture.startCapture).not.toHaveBeenCalled();
+      expect(audioCapture.buildCaptureArgs().args).toContain('alsa_input.usb-mic');
+    });
+
+    test('should restart capture on the new device and keep the recording session', async () => {
+      const previousProcess = { pid: 1, kill: jest.fn() };
+      const changedHandler = jest.fn();
+      audioCapture.on('deviceChanged', changedHandler);
+      audioCapture.isCapturing = true;
+      audioCapture.captureProcess = previousProcess;
+      audioCapture.startRecording();
+      audioCapture.processAudioData(Buffer.alloc(1600 * 2));
+
+      await audioCapture.setDevice('alsa_input.pci-analog');
+      audioCapture.processAudioData(Buffer.alloc(1600 * 2));
+
+      expect(previousProcess.kill).toHaveBeenCalledWith('SIGTERM');
+      expect(audioCapture.captureProcess.pid).toBe(2);
+      expect(audioCapture.isRecording).toBe(true);
+      expect(audioCapture.getRecordingStatus().samples).toBe(3200);
+      expect(changedHandler).toHaveBeenCalledWith({ previous: 'default', device: devices[1] });
+    });
+
+    test('should not mix audio from the previous device into the session', async () => {
+      const fakeProcess = (pid) => Object.assign(new EventEmitter(), {
+        pid,
+        stdout: new EventEmitter(),
+        stderr: new EventEmitter(),
+        kill: jest.fn()
+      });
+      const pcm = (length, value) => Buffer.from(new Int16Array(length).fill(value).buffer);
+      const oldProcess = fakeProcess(1);
+      const newProcess = fakeProcess(2);
+      audioCapture.startCapture.mockRestore();
+      jest.spyOn(audioCapture, 'createCaptureProcess')
+        .mockReturnValueOnce(oldProcess)
+        .mockReturnValueOnce(newProcess);
+      audioCapture.isCapturing = true;
+      audioCapture.startCapture();
+      audioCapture.startRecording();
+      oldProcess.stdout.emit('data', pcm(1600, 1000));
+
+      await audioCapture.setDevice('alsa_input.pci-analog');
+      oldProcess.stdout.emit('data', pcm(1600, 1000));
+      newProcess.stdout.emit('data', pcm(1600, 2000));
+
+      expect(oldProcess.kill).toHaveBeenCalledWith('SIGTERM');
+      const audio = audioCapture.stopRecording();
+      expect(audio).toHaveLength(3200);
+      expect(audio[0]).toBeCloseTo(1000 / 32768);
+      expect(audio[1600]).toBeCloseTo(2000 / 32768);
+    });
+
+    test('should resolve the default device name', async () => {
+      jest.spyOn(audioCapture, 'getDefaultDevice').mockResolvedValue('alsa_input.usb-mic');
+      audioCapture.config.audio.device = 'alsa_input.usb-mic';
+
+      const device = await audioCapture.setDevice('default');
+
+      expect(device).toEqual({ id: 'default', name: 'alsa_input.usb-mic', state: 'available' });
+      expect(audioCapture.listDevices).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Device Following', () => {
+    const headset = { id: 'alsa_input.usb-headset', name: 'USB Headset', state: 'available' };
+    const builtIn = { id: 'alsa_input.pci-analog', name: 'Built-in Audio', state: 'available' };
+
+    const createCapture = (audio) => {
+      const capture = new AudioCaptureService({ audio: { ...mockConfig.audio, ...audio } }, mockLogger);
+      capture.audioSystem = 'pipewire';
+      capture.isCapturing = true;
+      capture.captureProcess = { pid: 1, kill: jest.fn() };
+      jest.spyOn(capture, 'startCapture').mockImplementation(() => {
+        capture.captureProcess = { pid: 2, kill: jest.fn() };
+      });
+      return capture;
+    };
+
+    test('should re-emit device monitor events', () => {
+      const capture = createCapture({});
+      const handler = jest.fn();
+      capture.on('deviceAdded', handler);
+
+      capture.deviceMonitor.emit('deviceAdded', headset);
+
+      expect(handler).toHaveBeenCalledWith(headset);
+    });
+
+    test('should reconnect when the default source changes', () => {
+      const capture = createCapture({});
+
+      capture.deviceMonitor.emit('defaultSourceChanged', { previous: headset.id, current: builtIn.id });
+
+      expect(capture.startCapture).toHaveBeenCalledTimes(1);
+      expect(capture.activeDevice).toBe('default');
+    });
+
+    test('should ignore default source changes when a device is pinned', () => {
+      const capture = createCapture({ device: headset.id });
+      capture.deviceMonitor.devices = new Map([[headset.id, headset]]);
+
+      capture.deviceMonitor.emit('defaultSourceChanged', { previous: headset.id, current: builtIn.id });
+
+      expect(capture.startCapture).not.toHaveBeenCalled();
+    });
+
+    test('should fall back through preferred devices and return when replugged', () => {
+      const capture = createCapture({ device: headset.id, preferredDevices: [builtIn.id] });
+      const changedHandler = jest.fn();
+      capture.on('deviceChanged', changedHandler);
+
+      capture.deviceMonitor.devices = new Map([[builtIn.id, builtIn]]);
+      capture.deviceMonitor.emit('deviceRemoved', headset);
+
+      expect(capture.activeDevice).toBe(builtIn.id);
+      expect(capture.buildCaptureArgs().args).toContain(builtIn.id);
+      expect(changedHandler).toHaveBeenCalledWith({ previous: headset.id, device: builtIn, automatic: true });
+
+      capture.deviceMonitor.devices = new Map([[builtIn.id, builtIn], [headset.id, headset]]);
+      capture.deviceMonitor.emit('deviceAdded', headset);
+
+      expect(capture.activeDevice).toBe(headset.id);
+      expect(capture.config.audio.device).toBe(headset.id);
+      expect(capture.startCapture).toHaveBeenCalledTimes(2);
+    });
+
+    test('should use the default source when no preferred device is present', () => {
+      const capture = createCapture({ device: headset.id });
+
+      capture.deviceMonitor.devices = new Map([[builtIn.id, builtIn]]);
+      capture.deviceMonitor.emit('deviceRemoved', headset);
+
+      expect(capture.activeDevice).toBe('default');
+      expect(capture.buildCaptureArgs().args).toContain('@DEFAULT_SOURCE@');
+    });
+
+    test('should keep the recording session while following devices', () => {
+      const capture = createCapture({ device: headset.id, preferredDevices: [builtIn.id] });
+      capture.startRecording();
+      capture.processAudioData(Buffer.alloc(1600 * 2));
+
+      capture.deviceMonitor.devices = new Map([[builtIn.id, builtIn]]);
+      capture.deviceMonitor.emit('deviceRemoved', headset);
+      capture.processAudioData(Buffer.alloc(1600 * 2));
+
+      expect(capture.isRecording).toBe(true);
+      expect(capture.getRecordingStatus().samples).toBe(3200);
+    });
+  });
+
+  describe('Recording Limits', () => {
+    let limitedCapture;
+
+    beforeEach(() => {
+      limitedCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, maxRecordingDuration: 3000, recordingWarnings: [1000, 2000] }
+      }, mockLogger);
+      limitedCapture.isCapturing = true;
+    });
+
+    const feedSeconds = (capture, seconds) => {
+      for (let i = 0; i < seconds * 2; i++) {
+        capture.processAudioData(Buffer.alloc(8000 * 2));
+      }
+    };
+
+    test('should emit recordingWarning at each threshold once', () => {
+      const warnings = [];
+      limitedCapture.on('recordingWarning', warning => warnings.push(warning));
+      limitedCapture.startRecording();
+
+      feedSeconds(limitedCapture, 1);
+      expect(warnings).toEqual([{ thresholdMs: 2000, elapsedMs: 1000, remainingMs: 2000 }]);
+
+      feedSeconds(limitedCapture, 1);
+      expect(warnings).toHaveLength(2);
+      expect(warnings[1]).toEqual({ thresholdMs: 1000, elapsedMs: 2000, remainingMs: 1000 });
+    });
+
+    test('should stop automatically with reason maxDuration', () => {
+      const stoppedHandler = jest.fn();
+      limitedCapture.on('recordingStopped', stoppedHandler);
+      limitedCapture.startRecording();
+
+      feedSeconds(limitedCapture, 4);
+
+      expect(limitedCapture.isRecording).toBe(false);
+      expect(stoppedHandler).toHaveBeenCalledTimes(1);
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({
+        reason: 'maxDuration',
+        duration: 3
+      }));
+    });
+
+    test('should report manual stops', () => {
+      const stoppedHandler = jest.fn();
+      limitedCapture.on('recordingStopped', stoppedHandler);
+      limitedCapture.startRecording();
+      limitedCapture.stopRecording();
+
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({ reason: 'manual' }));
+    });
+
+    test('should report remaining time', () => {
+      expect(limitedCapture.getRecordingStatus()).toMatchObject({ maxDurationMs: 3000, remainingMs: null });
+
+      limitedCapture.startRecording();
+      feedSeconds(limitedCapture, 0.5);
+
+      expect(limitedCapture.getRecordingStatus()).toMatchObject({ maxDurationMs: 3000, remainingMs: 2500 });
+    });
+
+    test('should not count pre-roll against the limit', () => {
+      const preRollCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, preRollMs: 500, maxRecordingDuration: 3000, recordingWarnings: [] }
+      }, mockLogger);
+      preRollCapture.isCapturing = true;
+      preRollCapture.processAudioData(Buffer.alloc(8000 * 2));
+      preRollCapture.startRecording();
+
+      feedSeconds(preRollCapture, 2.5);
+
+      expect(preRollCapture.isRecording).toBe(true);
+      expect(preRollCapture.getRecordingStatus().remainingMs).toBe(500);
+    });
+
+    test('should re-arm warnings for the next session', () => {
+      const warningHandler = jest.fn();
+      limitedCapture.on('recordingWarning', warningHandler);
+
+      limitedCapture.startRecording();
+      feedSeconds(limitedCapture, 1);
+      limitedCapture.stopRecording();
+
+      limitedCapture.startRecording();
+      feedSeconds(limitedCapture, 1);
+
+      expect(warningHandler).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Silence Auto-Stop', () => {
+    const toPcm = (samples) => {
+      const int16 = new Int16Array(samples.length);
+      samples.forEach((sample, i) => { int16[i] = Math.round(sample * 32767); });
+      return Buffer.from(int16.buffer);
+    };
+    const speech = (length) => toPcm(new Float32Array(length).map((_, i) => 0.2 * Math.sin(i / 3)));
+    const silence = (length) => Buffer.alloc(length * 2);
+
+    let autoStopCapture;
+    let stoppedHandler;
+
+    beforeEach(() => {
+      autoStopCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, vadThreshold: 0.01, silenceTimeout: 1000 }
+      }, mockLogger);
+      autoStopCapture.isCapturing = true;
+      stoppedHandler = jest.fn();
+      autoStopCapture.on('recordingStopped', stoppedHandler);
+    });
+
+    test('should stop after speech followed by silenceTimeout of silence', () => {
+      autoStopCapture.startRecording({ autoStop: true });
+
+      autoStopCapture.processAudioData(speech(8000));
+      autoStopCapture.processAudioData(silence(8000));
+      expect(autoStopCapture.isRecording).toBe(true);
+      expect(autoStopCapture.getRecordingStatus()).toMatchObject({ autoStop: true, speechDetected: true, silenceMs: 480 });
+
+      autoStopCapture.processAudioData(silence(9000));
+
+      expect(autoStopCapture.isRecording).toBe(false);
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({ reason: 'silence' }));
+    });
+
+    test('should classify frames across chunk boundaries', () => {
+      autoStopCapture.startRecording({ autoStop: true });
+      autoStopCapture.processAudioData(speech(4800));
+
+      for (let i = 0; i < 100 && autoStopCapture.isRecording; i++) {
+        autoStopCapture.processAudioData(silence(333));
+      }
+
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({ reason: 'silence' }));
+      // 1000ms of silence after 300ms of speech, to within one 30ms frame
+      expect(stoppedHandler.mock.calls[0][0].audio.length).toBeGreaterThanOrEqual(4800 + 16000);
+      expect(stoppedHandler.mock.calls[0][0].audio.length).toBeLessThanOrEqual(4800 + 16000 + 480 + 333);
+    });
+
+    test('should not stop before any speech', () => {
+      autoStopCapture.startRecording({ autoStop: true });
+
+      autoStopCapture.processAudioData(silence(48000));
+
+      expect(autoStopCapture.isRecording).toBe(true);
+      expect(autoStopCapture.getRecordingStatus().speechDetected).toBe(false);
+    });
+
+    test('should restart the silence count when speech resumes', () => {
+      autoStopCapture.startRecording({ autoStop: true });
+
+      autoStopCapture.processAudioData(speech(4800));
+      autoStopCapture.processAudioData(silence(12000));
+      autoStopCapture.processAudioData(speech(4800));
+      autoStopCapture.processAudioData(silence(12000));
+
+      expect(autoStopCapture.isRecording).toBe(true);
+    });
+
+    test('should not treat clicks shorter than the speech onset as speech', () => {
+      autoStopCapture.startRecording({ autoStop: true });
+
+      autoStopCapture.processAudioData(speech(480));
+      autoStopCapture.processAudioData(silence(32000));
+
+      expect(autoStopCapture.isRecording).toBe(true);
+      expect(autoStopCapture.getRecordingStatus().speechDetected).toBe(false);
+    });
+
+    test('should learn steady noise above vadThreshold as background and stop', () => {
+      const hum = (length) => toPcm(new Float32Array(length).map((_, i) => 0.05 * Math.sin(i / 5)));
+      autoStopCapture.startRecording({ autoStop: true });
+
+      autoStopCapture.processAudioData(speech(4800));
+      for (let i = 0; i < 30 && autoStopCapture.isRecording; i++) {
+        autoStopCapture.processAudioData(hum(16000));
+      }
+
+      expect(autoStopCapture.isRecording).toBe(false);
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({ reason: 'silence' }));
+    });
+
+    test('should only auto-stop sessions that ask for it', () => {
+      autoStopCapture.startRecording();
+
+      autoStopCapture.processAudioData(speech(4800));
+      autoStopCapture.processAudioData(silence(32000));
+
+      expect(autoStopCapture.isRecording).toBe(true);
+      expect(autoStopCapture.getRecordingStatus().autoStop).toBe(false);
+    });
+
+    test('should reset detection state for each session', () => {
+      autoStopCapture.startRecording({ autoStop: true });
+      autoStopCapture.processAudioData(speech(4800));
+      autoStopCapture.stopRecording();
+
+      autoStopCapture.startRecording({ autoStop: true });
+      autoStopCapture.processAudioData(silence(32000));
+
+      expect(autoStopCapture.isRecording).toBe(true);
+    });
+  });
+
+  describe('Pause and Resume', () => {
+    beforeEach(() => {
+      audioCapture.isCapturing = true;
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should drop audio while paused and keep the session', () => {
+      const pausedHandler = jest.fn();
+      const resumedHandler = jest.fn();
+      audioCapture.on('recordingPaused', pausedHandler);
+      audioCapture.on('recordingResumed', resumedHandler);
+
+      audioCapture.startRecording();
+      audioCapture.processAudioData(Buffer.alloc(1600 * 2));
+      audioCapture.pauseRecording();
+      audioCapture.processAudioData(Buffer.alloc(16000 * 2));
+      audioCapture.resumeRecording();
+      audioCapture.processAudioData(Buffer.alloc(1600 * 2));
+
+      expect(audioCapture.getRecordingStatus().samples).toBe(3200);
+      expect(pausedHandler).toHaveBeenCalledWith({ activeMs: 100 });
+      expect(resumedHandler).toHaveBeenCalledTimes(1);
+      expect(audioCapture.stopRecording()).toHaveLength(3200);
+    });
+
+    test('should report active and paused durations separately', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(10000);
+      audioCapture.startRecording();
+      audioCapture.processAudioData(Buffer.alloc(16000 * 2));
+
+      audioCapture.pauseRecording();
+      now.mockReturnValue(14000);
+
+      expect(audioCapture.getRecordingStatus()).toMatchObject({
+        isRecording: true,
+        isPaused: true,
+        activeMs: 1000,
+        pausedMs: 4000
+      });
+
+      audioCapture.resumeRecording();
+      now.mockReturnValue(20000);
+
+      expect(audioCapture.getRecordingStatus()).toMatchObject({ isPaused: false, activeMs: 1000, pausedMs: 4000 });
+    });
+
+    test('should not count paused time toward maxRecordingDuration', () => {
+      const limitedCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, maxRecordingDuration: 2000, recordingWarnings: [] }
+      }, mockLogger);
+      limitedCapture.isCapturing = true;
+      limitedCapture.startRecording();
+
+      limitedCapture.processAudioData(Buffer.alloc(16000 * 2));
+      limitedCapture.pauseRecording();
+      limitedCapture.processAudioData(Buffer.alloc(48000 * 2));
+      limitedCapture.resumeRecording();
+
+      expect(limitedCapture.isRecording).toBe(true);
+      expect(limitedCapture.getRecordingStatus().remainingMs).toBe(1000);
+    });
+
+    test('should not record audio from the pause', () => {
+      const stoppedHandler = jest.fn();
+      const preRollCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, preRollMs: 500 }
+      }, mockLogger);
+      preRollCapture.on('recordingStopped', stoppedHandler);
+      preRollCapture.isCapturing = true;
+      preRollCapture.startRecording();
+      preRollCapture.processAudioData(Buffer.alloc(1600 * 2));
+      preRollCapture.pauseRecording();
+      // Loud audio while paused, e.g. talking to someone else
+      preRollCapture.processAudioData(Buffer.alloc(16000 * 2, 0x40));
+      preRollCapture.resumeRecording();
+      preRollCapture.processAudioData(Buffer.alloc(1600 * 2));
+
+      const audio = preRollCapture.stopRecording();
+
+      expect(audio).toHaveLength(3200);
+      expect(audio.every(sample => sample === 0)).toBe(true);
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({ preRollSamples: 0 }));
+    });
+
+    test('should report paused time when stopping a paused session', () => {
+      const stoppedHandler = jest.fn();
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      audioCapture.on('recordingStopped', stoppedHandler);
+      audioCapture.startRecording();
+      audioCapture.pauseRecording();
+      now.mockReturnValue(2500);
+
+      audioCapture.stopRecording();
+
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({ pausedMs: 2500 }));
+      expect(audioCapture.getRecordingStatus()).toMatchObject({ isPaused: false, pausedMs: 0 });
+    });
+
+    test('should reject invalid transitions with error codes', () => {
+      expect(() => audioCapture.pauseRecording()).toThrow(expect.objectContaining({ code: 'NOT_RECORDING' }));
+
+      audioCapture.startRecording();
+      expect(() => audioCapture.resumeRecording()).toThrow(expect.objectContaining({ code: 'NOT_PAUSED' }));
+
+      audioCapture.pauseRecording();
+      expect(() => audioCapture.pauseRecording()).toThrow(expect.objectContaining({ code: 'ALREADY_PAUSED' }));
+    });
+  });
+
+  describe('Pre-Roll', () => {
+    let preRollCapture;
+
+    beforeEach(() => {
+      preRollCapture = new AudioCaptureService({
+        audio: { ...mockConfig.audio, preRollMs: 100 } // 1600 samples
+      }, mockLogger);
+      preRollCapture.isCapturing = true;
+    });
+
+    const pcmChunk = (samples, value) => {
+      const data = Buffer.alloc(samples * 2);
+      for (let i = 0; i < samples; i++) {
+        data.writeInt16LE(value, i * 2);
+      }
+      return data;
+    };
+
+    test('should prepend audio captured before the session started', () => {
+      preRollCapture.processAudioData(pcmChunk(1000, 8192));
+      preRollCapture.startRecording();
+      preRollCapture.processAudioData(pcmChunk(500, 16384));
+
+      const recordedAudio = preRollCapture.stopRecording();
+
+      expect(recordedAudio.length).toBe(1500);
+      expect(recordedAudio[0]).toBeCloseTo(0.25, 3);
+      expect(recordedAudio[999]).toBeCloseTo(0.25, 3);
+      expect(recordedAudio[1000]).toBeCloseTo(0.5, 3);
+    });
+
+    test('should keep only the configured pre-roll length', () => {
+      preRollCapture.processAudioData(pcmChunk(1000, 0));
+      preRollCapture.processAudioData(pcmChunk(1000, 8192));
+      preRollCapture.startRecording();
+
+      const sessionAudio = preRollCapture.sessionBuffer.toFloat32Array();
+      expect(sessionAudio.length).toBe(1600);
+      expect(sessionAudio[0]).toBeCloseTo(0, 3);
+      expect(sessionAudio[1599]).toBeCloseTo(0.25, 3);
+
+      preRollCapture.stopRecording();
+    });
+
+    test('should report how much pre-roll was used', () => {
+      preRollCapture.processAudioData(pcmChunk(800, 0));
+      preRollCapture.startRecording();
+
+      expect(preRollCapture.getRecordingStatus()).toMatchObject({ preRollSamples: 800, preRollMs: 50 });
+      expect(preRollCapture.getStatus()).toMatchObject({ preRollSamples: 800, preRollMs: 50 });
+
+      let stoppedEvent;
+      preRollCapture.on('recordingStopped', (event) => {
+        stoppedEvent = event;
+      });
+      preRollCapture.stopRecording();
+
+      expect(stoppedEvent.preRollSamples).toBe(800);
+    });
+
+    test('should not reuse audio from the previous session as pre-roll', () => {
+      preRollCapture.processAudioData(pcmChunk(800, 0));
+      preRollCapture.startRecording();
+      preRollCapture.stopRecording();
+      preRollCapture.startRecording();
+
+      expect(preRollCapture.getRecordingStatus().preRollSamples).toBe(0);
+
+      preRollCapture.stopRecording();
+    });
+  });
+
   describe('Recording Session Management', () => {
     test('should start and stop recording sessions correctly', () => {
       // Should not be recording initially
@@ -355,7 +1007,7 @@ describe('AudioCaptureService', () => {
       audioCapture.startRecording();
       
       // Simulate some audio samples
-      audioCapture.sessionBuffer = [1, 2, 3, 4];
+      audioCapture.sessionBuffer.append(new Float32Array([1, 2, 3, 4]));
       
       const status = audioCapture.getRecordingStatus();
       
@@ -366,4 +1018,54 @@ describe('AudioCaptureService', () => {
       audioCapture.stopRecording();
     });
   });
-});
\ No newline at end of file
+
+  describe('Quality Reports', () => {
+    beforeEach(() => {
+      mockLogger.warn.mockClear();
+    });
+
+    // 250 ms words with 100 ms gaps
+    const speech = new Float32Array(16000).map((_, i) => (i % 5600 < 4000 ? 0.2 * Math.sin(i / 3) : 0));
+
+    test('should attach a quality report to recordingStopped', () => {
+      const stoppedHandler = jest.fn();
+      audioCapture.on('recordingStopped', stoppedHandler);
+      audioCapture.isCapturing = true;
+      audioCapture.startRecording();
+      audioCapture.sessionBuffer.append(speech);
+
+      audioCapture.stopRecording();
+
+      expect(stoppedHandler).toHaveBeenCalledWith(expect.objectContaining({
+        quality: expect.objectContaining({ peakDb: -14, snrDb: expect.any(Number), issues: [] })
+      }));
+      expect(mockLogger.warn).not.toHaveBeenCalled();
+    });
+
+    test('should warn about poor quality', () => {
+      audioCapture.isCapturing = true;
+      audioCapture.startRecording();
+      audioCapture.sessionBuffer.append(new Float32Array(16000).fill(1));
+
+      audioCapture.stopRecording();
+
+      expect(mockLogger.warn).toHaveBeenCalledWith('Recording quality may reduce transcription accuracy', {
+        issues: expect.arrayContaining([expect.stringContaining('clipped')])
+      });
+    });
+
+    test('should keep reports for the most recent sessions in the status', () => {
+      audioCapture.isCapturing = true;
+      for (let i = 0; i < 12; i++) {
+        audioCapture.startRecording();
+        audioCapture.sessionBuffer.append(speech);
+        audioCapture.stopRecording({ reason: i === 11 ? 'silence' : 'manual' });
+      }
+
+      const { recentQuality } = audioCapture.getRecordingStatus();
+
+      expect(recentQuality).toHaveLength(10);
+      expect(recentQuality[9]).toMatchObject({ reason: 'silence', timestamp: expect.any(String), durationMs: 1000 });
+    });
+  });
+});
@@ -0,0 +1,332 @@
+const AudioPreprocessor = require('../src/services/audio-preprocessor');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const sine = (length, amplitude, frequency = 440) =>
+  new Float32Array(length).map((_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / 16000));
+
+const createPreprocessor = (preprocessing = {}, trimSilence = { enabled: false }) =>
+  new AudioPreprocessor({ audio: { sampleRate: 16000, preprocessing, trimSilence } }, mockLogger);
+
+// 0.5 s of silence, 1 s of tone, 0.5 s of silence
+const padded = (amplitude = 0.2) => {
+  const audio = new Float32Array(32000);
+  audio.set(sine(16000, amplitude), 8000);
+  return audio;
+};
+
+// Deterministic white noise in [-amplitude, amplitude)
+const noise = (length, amplitude) => {
+  let state = 1;
+  return new Float32Array(length).map(() => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return amplitude * (state / 1073741824 - 1);
+  });
+};
+
+const onlyStage = (name, settings = {}) => createPreprocessor({ order: [name], [name]: settings });
+
+describe('AudioPreprocessor', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('Pipeline', () => {
+    test('should run all stages in the default order', () => {
+      const { report } = createPreprocessor().process(sine(16000, 0.01));
+
+      expect(report.stages.map(stage => stage.name)).toEqual(['dcRemoval', 'highPass', 'noiseGate', 'agc', 'normalize']);
+      report.stages.forEach(stage => expect(stage.durationMs).toEqual(expect.any(Number)));
+      expect(report.totalMs).toEqual(expect.any(Number));
+    });
+
+    test('should follow the configured order and skip disabled stages', () => {
+      const preprocessor = createPreprocessor({
+        order: ['normalize', 'highPass', 'agc'],
+        agc: { enabled: false }
+      });
+
+      const { report } = preprocessor.process(sine(1600, 0.1));
+
+      expect(report.stages.map(stage => stage.name)).toEqual(['normalize', 'highPass']);
+    });
+
+    test('should pass audio through untouched when disabled', () => {
+      const input = sine(1600, 0.1);
+      const { audio, report } = createPreprocessor({ enabled: false }).process(input);
+
+      expect(audio).toBe(input);
+      expect(report.stages).toEqual([]);
+      expect(report.after).toEqual(report.before);
+    });
+
+    test('should report levels before and after processing', () => {
+      const { report } = onlyStage('normalize', { targetPeak: 0.5 }).process(sine(16000, 0.1));
+
+      expect(report.before.peak).toBeCloseTo(0.1, 3);
+      expect(report.before.rmsDb).toBeCloseTo(-23, 0);
+      expect(report.after.peak).toBeCloseTo(0.5, 3);
+      expect(report.after.peakDb).toBeCloseTo(-6, 0);
+    });
+
+    test('should handle empty recordings', () => {
+      const { audio, report } = createPreprocessor().process(new Float32Array(0));
+
+      expect(audio).toHaveLength(0);
+      expect(report.stages).toEqual([]);
+      expect(report.before.rms).toBe(0);
+    });
+
+    test('should trim silence after the other stages', () => {
+      const { report } = createPreprocessor({}, {}).process(padded());
+
+      expect(report.stages.map(stage => stage.name)).toEqual(['dcRemoval', 'highPass', 'noiseGate', 'agc', 'normalize', 'trimSilence']);
+    });
+
+    test('should apply the input gain before the stages', () => {
+      const preprocessor = createPreprocessor({ enabled: false });
+      preprocessor.setInputGain(6);
+
+      const { audio, report } = preprocessor.process(sine(16000, 0.1));
+
+      expect(report.stages).toEqual([expect.objectContaining({ name: 'inputGain', gainDb: 6 })]);
+      expect(report.after.rmsDb - report.before.rmsDb).toBeCloseTo(6, 1);
+      expect(audio).toHaveLength(16000);
+    });
+
+    test('should not lift quiet room tone to full scale', () => {
+      const { report } = createPreprocessor().process(noise(48000, 0.0005));
+
+      const boostDb = report.stages
+        .filter(stage => stage.name === 'agc' || stage.name === 'normalize')
+        .reduce((sum, stage) => sum + stage.gainDb, 0);
+      expect(boostDb).toBeLessThanOrEqual(20);
+      expect(report.after.peakDb).toBeLessThan(-40);
+    });
+
+    test('should reject unknown stages', () => {
+      expect(() => createPreprocessor({ order: ['dcRemoval', 'reverb'] })).toThrow('Unknown preprocessing stage(s): reverb');
+    });
+  });
+
+  describe('Stages', () => {
+    test('dcRemoval should remove a constant offset', () => {
+      const input = sine(16000, 0.1).map(sample => sample + 0.2);
+      const { audio, report } = onlyStage('dcRemoval').process(input);
+
+      expect(report.stages[0].offset).toBeCloseTo(0.2, 3);
+      expect(audio.reduce((sum, sample) => sum + sample, 0) / audio.length).toBeCloseTo(0, 5);
+    });
+
+    test('highPass should attenuate low-frequency rumble', () => {
+      const rumble = sine(16000, 0.5, 20);
+      const { audio } = onlyStage('highPass', { cutoffHz: 200 }).process(rumble);
+
+      expect(Math.max(...audio.subarray(1600).map(Math.abs))).toBeLessThan(0.1);
+    });
+
+    test('noiseGate should attenuate background noise and keep speech', () => {
+      const input = new Float32Array(16000);
+      input.set(sine(8000, 0.2), 0);
+      input.set(sine(8000, 0.001), 8000);
+
+      const { audio, report } = onlyStage('noiseGate', { thresholdDb: -40, attenuationDb: 40, holdMs: 100 }).process(input);
+
+      expect(Math.max(...audio.subarray(0, 8000).map(Math.abs))).toBeCloseTo(0.2, 2);
+      expect(Math.max(...audio.subarray(12000).map(Math.abs))).toBeLessThan(0.0001);
+      expect(report.stages[0].gatedMs).toBe(400);
+    });
+
+    test('noiseGate should hold open after speech ends', () => {
+      const input = new Float32Array(16000);
+      input.set(sine(8000, 0.2), 0);
+      input.set(sine(8000, 0.001), 8000);
+
+      const { audio } = onlyStage('noiseGate', { thresholdDb: -40, holdMs: 100 }).process(input);
+
+      // 100 ms of hold after the last loud frame
+      expect(Math.max(...audio.subarray(8000, 9600).map(Math.abs))).toBeCloseTo(0.001, 4);
+    });
+
+    test('agc should bring quiet speech to the target level', () => {
+      const { audio, report } = onlyStage('agc', { targetDb: -20, maxGainDb: 30 }).process(sine(16000, 0.01));
+
+      expect(report.stages[0].gainDb).toBeCloseTo(23, 0);
+      expect(report.after.rmsDb).toBeCloseTo(-20, 0);
+      expect(audio).toHaveLength(16000);
+    });
+
+    test('agc should measure the level over speech frames only', () => {
+      const input = new Float32Array(32000);
+      input.set(sine(16000, 0.01), 0);
+
+      const { report } = onlyStage('agc', { targetDb: -20, maxGainDb: 30 }).process(input);
+
+      expect(report.stages[0].gainDb).toBeCloseTo(23, 0);
+    });
+
+    test('agc should cap the gain at maxGainDb', () => {
+      const { report } = onlyStage('agc', { targetDb: -20, maxGainDb: 6 }).process(sine(16000, 0.005));
+
+      expect(report.stages[0].gainDb).toBe(6);
+    });
+
+    test('normalize should cap the boost at maxGainDb', () => {
+      const { report } = onlyStage('normalize', { maxGainDb: 10 }).process(sine(16000, 0.01));
+
+      expect(report.stages[0].gainDb).toBe(10);
+      expect(report.after.peakDb).toBeCloseTo(-30, 0);
+    });
+
+    test('normalize should share the boost limit with agc', () => {
+      const { report } = createPreprocessor({
+        order: ['agc', 'normalize'],
+        agc: { maxGainDb: 20, speechFloorDb: -70 },
+        normalize: { maxGainDb: 20 }
+      }).process(sine(16000, 0.001));
+
+      expect(report.stages.map(stage => stage.gainDb)).toEqual([20, 0]);
+    });
+
+    test('normalize should still attenuate peaks above the target', () => {
+      const { report } = onlyStage('normalize', { targetPeak: 0.5, maxGainDb: 0 }).process(sine(16000, 0.9));
+
+      expect(report.after.peak).toBeCloseTo(0.5, 3);
+    });
+
+    test('agc should leave silence alone', () => {
+      const input = new Float32Array(1600);
+      const { audio, report } = onlyStage('agc').process(input);
+
+      expect(audio).toBe(input);
+      expect(report.stages[0].gainDb).toBe(0);
+    });
+  });
+
+  describe('Silence Trimming', () => {
+    const trimOnly = (trimSilence = {}) => createPreprocessor({ enabled: false }, trimSilence);
+
+    test('should trim leading and trailing silence with padding', () => {
+      const { audio, speechDetected, report } = trimOnly({ paddingMs: 100 }).process(padded());
+
+      // Bounds are found to within one 10 ms hop
+      expect(speechDetected).toBe(true);
+      expect(audio.length).toBeGreaterThanOrEqual(16000 + 2 * 1600);
+      expect(audio.length).toBeLessThanOrEqual(16000 + 2 * 1600 + 2 * 160);
+      expect(report.stages[0]).toMatchObject({ name: 'trimSilence', speechDetected: true });
+      expect(report.stages[0].leadingMs).toBeGreaterThanOrEqual(390);
+      expect(report.stages[0].trailingMs).toBeGreaterThanOrEqual(390);
+    });
+
+    test('should not pad past the ends of the recording', () => {
+      const { audio, report } = trimOnly({ paddingMs: 1000 }).process(padded());
+
+      expect(audio).toHaveLength(32000);
+      expect(report.stages[0]).toMatchObject({ leadingMs: 0, trailingMs: 0 });
+    });
+
+    test('should keep pauses between words', () => {
+      const input = new Float32Array(48000);
+      input.set(sine(8000, 0.2), 8000);
+      input.set(sine(8000, 0.2), 32000);
+
+      const { audio } = trimOnly({ paddingMs: 0 }).process(input);
+
+      expect(audio.length).toBeGreaterThanOrEqual(32000);
+      expect(audio.length).toBeLessThanOrEqual(32000 + 2 * 160);
+    });
+
+    test('should ignore clicks shorter than minSpeechMs', () => {
+      const input = padded();
+      input.set(sine(160, 0.5), 1000);
+
+      const { report } = trimOnly({ paddingMs: 0, minSpeechMs: 100 }).process(input);
+
+      expect(report.stages[0].leadingMs).toBeGreaterThanOrEqual(490);
+    });
+
+    test('should emit noSpeech and report no speech for silent recordings', () => {
+      const noSpeechHandler = jest.fn();
+      const preprocessor = trimOnly();
+      preprocessor.on('noSpeech', noSpeechHandler);
+
+      const { audio, speechDetected } = preprocessor.process(sine(32000, 0.001));
+
+      expect(speechDetected).toBe(false);
+      expect(audio).toHaveLength(0);
+      expect(noSpeechHandler).toHaveBeenCalledWith({ durationMs: 2000, peakDb: -60, rmsDb: expect.any(Number) });
+    });
+
+    test('should treat recordings shorter than a frame as silent', () => {
+      const noSpeechHandler = jest.fn();
+      const preprocessor = trimOnly();
+      preprocessor.on('noSpeech', noSpeechHandler);
+
+      expect(preprocessor.process(new Float32Array(100)).speechDetected).toBe(false);
+      expect(noSpeechHandler).toHaveBeenCalled();
+    });
+
+    test.each([-70, -59, -51, -45])('should find no speech in %i dBFS room tone with the default stages', (rmsDb) => {
+      const noSpeechHandler = jest.fn();
+      // Uniform noise has an RMS of amplitude / sqrt(3)
+      const roomTone = noise(48000, Math.pow(10, rmsDb / 20) * Math.sqrt(3));
+      const preprocessor = createPreprocessor({}, {});
+      preprocessor.on('noSpeech', noSpeechHandler);
+
+      const { audio, speechDetected } = preprocessor.process(roomTone);
+
+      expect(speechDetected).toBe(false);
+      expect(audio).toHaveLength(0);
+      expect(noSpeechHandler).toHaveBeenCalledTimes(1);
+    });
+
+    test('should cut the processed audio at the speech found in the input', () => {
+      const input = noise(32000, 0.001);
+      input.set(sine(16000, 0.05), 8000);
+
+      const { audio, speechDetected, report } = createPreprocessor({}, { paddingMs: 0 }).process(input);
+
+      expect(speechDetected).toBe(true);
+      expect(audio.length).toBeGreaterThanOrEqual(16000);
+      expect(audio.length).toBeLessThanOrEqual(16000 + 2 * 160);
+      // Trimmed audio is the processed audio, raised by agc and normalize
+      expect(report.after.peak).toBeGreaterThan(report.before.peak * 5);
+    });
+
+    test('should find no speech in room tone with a DC offset', () => {
+      const roomTone = noise(48000, 0.001).map(sample => sample + 0.02);
+
+      const { speechDetected } = createPreprocessor({}, {}).process(roomTone);
+
+      expect(speechDetected).toBe(false);
+    });
+
+    test('should find quiet speech raised by the input gain', () => {
+      // About -43 dBFS speech, which the device profile lifts by 20 dB
+      const input = noise(48000, 0.0002);
+      input.set(sine(16000, 0.01), 16000);
+      const preprocessor = createPreprocessor({}, { paddingMs: 0 });
+      preprocessor.setInputGain(20);
+
+      const { audio, speechDetected } = preprocessor.process(input);
+
+      expect(speechDetected).toBe(true);
+      expect(audio.length).toBeGreaterThanOrEqual(16000);
+      expect(audio.length).toBeLessThanOrEqual(16000 + 2 * 160);
+    });
+
+    test('should leave audio untouched when disabled', () => {
+      const input = new Float32Array(16000);
+      const { audio, speechDetected } = trimOnly({ enabled: false }).process(input);
+
+      expect(audio).toBe(input);
+      expect(speechDetected).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const AudioQuality = require('../src/utils/audio-quality');
+
+const SAMPLE_RATE = 16000;
+const ms = (duration) => duration * 16;
+// Deterministic white noise in [-amplitude, amplitude)
+const noise = (length, amplitude) => {
+  let state = 1;
+  return new Float32Array(length).map(() => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return amplitude * (state / 1073741824 - 1);
+  });
+};
+// 250 ms words separated by 100 ms pauses, over a hiss floor
+const dictation = (duration, { amplitude = 0.2, hiss = 0.001 } = {}) =>
+  noise(ms(duration), hiss).map((sample, i) => sample + (i % ms(350) < ms(250) ? amplitude * Math.sin(i / 3) : 0));
+
+const codes = (report) => report.issues.map(issue => issue.code);
+
+describe('AudioQuality', () => {
+  describe('analyze', () => {
+    test('should measure levels, speech and noise', () => {
+      const report = AudioQuality.analyze(dictation(2000), SAMPLE_RATE);
+
+      expect(report.durationMs).toBe(2000);
+      expect(report.peak).toBeCloseTo(0.2, 2);
+      expect(report.peakDb).toBeCloseTo(-14, 0);
+      expect(report.rmsDb).toBeLessThan(report.peakDb);
+      expect(report.clippingRatio).toBe(0);
+      expect(Math.abs(report.dcOffset)).toBeLessThan(0.01);
+      expect(report.speechRatio).toBeGreaterThan(0.65);
+      expect(report.speechRatio).toBeLessThan(0.85);
+      expect(report.longestSilenceMs).toBeGreaterThanOrEqual(60);
+      expect(report.longestSilenceMs).toBeLessThanOrEqual(120);
+      // -17 dB speech over about -65 dB hiss
+      expect(report.snrDb).toBeGreaterThan(40);
+      expect(report.issues).toEqual([]);
+    });
+
+    test('should measure the clipping ratio', () => {
+      const audio = dictation(1000);
+      audio.fill(1, 0, 160);
+      audio.fill(-1, 8000, 8160);
+
+      const report = AudioQuality.analyze(audio, SAMPLE_RATE);
+
+      expect(report.clippingRatio).toBeCloseTo(0.02, 5);
+      expect(codes(report)).toEqual(['CLIPPING']);
+    });
+
+    test('should count clipping at the level the level meter uses', () => {
+      const audio = dictation(1000);
+      audio.fill(0.995, 0, 320);
+
+      expect(AudioQuality.analyze(audio, SAMPLE_RATE).clippingRatio).toBeCloseTo(0.02, 5);
+      expect(AudioQuality.analyze(audio, SAMPLE_RATE, { clipThreshold: 0.999 }).clippingRatio).toBe(0);
+    });
+
+    test('should measure the DC offset', () => {
+      const report = AudioQuality.analyze(dictation(1000).map(sample => sample + 0.1), SAMPLE_RATE);
+
+      expect(report.dcOffset).toBeCloseTo(0.1, 2);
+      expect(codes(report)).toContain('DC_OFFSET');
+    });
+
+    test('should handle an empty recording', () => {
+      const report = AudioQuality.analyze(new Float32Array(0), SAMPLE_RATE);
+
+      expect(report).toMatchObject({
+        durationMs: 0,
+        peak: 0,
+        rms: 0,
+        clippingRatio: 0,
+        dcOffset: 0,
+        snrDb: null,
+        speechRatio: 0,
+        longestSilenceMs: 0
+      });
+    });
+
+    test('should use the given speech threshold', () => {
+      const quiet = dictation(1000, { amplitude: 0.01 });
+
+      expect(AudioQuality.analyze(quiet, SAMPLE_RATE).speechRatio).toBe(0);
+      expect(AudioQuality.analyze(quiet, SAMPLE_RATE, { speechThreshold: 0.003 }).speechRatio).toBeGreaterThan(0.65);
+    });
+  });
+
+  describe('issues', () => {
+    test('should flag a very low input level', () => {
+      const report = AudioQuality.analyze(dictation(1000, { amplitude: 0.02 }), SAMPLE_RATE, { speechThreshold: 0.005 });
+
+      expect(codes(report)).toEqual(['LOW_LEVEL']);
+    });
+
+    test('should flag a recording with little speech', () => {
+      const report = AudioQuality.analyze(noise(ms(2000), 0.001), SAMPLE_RATE);
+
+      expect(report.snrDb).toBeNull();
+      expect(codes(report)).toEqual(['LOW_LEVEL', 'LITTLE_SPEECH']);
+    });
+
+    test('should flag a low signal-to-noise ratio', () => {
+      const report = AudioQuality.analyze(dictation(2000, { amplitude: 0.1, hiss: 0.08 }), SAMPLE_RATE);
+
+      expect(report.snrDb).toBeLessThan(10);
+      expect(codes(report)).toEqual(['LOW_SNR']);
+    });
+
+    test('should flag long silences', () => {
+      const audio = new Float32Array(ms(8000));
+      audio.set(dictation(1000), 0);
+      audio.set(dictation(1000), ms(7000));
+
+      const report = AudioQuality.analyze(audio, SAMPLE_RATE);
+
+      expect(report.longestSilenceMs).toBeGreaterThan(5900);
+      expect(codes(report)).toContain('LONG_SILENCE');
+    });
+
+    test('should not count leading or trailing silence', () => {
+      // An auto-stopped session: speech, then silenceTimeout of silence
+      const audio = new Float32Array(ms(13000));
+      audio.set(dictation(1000), ms(1000));
+
+      const report = AudioQuality.analyze(audio, SAMPLE_RATE);
+
+      expect(report.longestSilenceMs).toBeLessThanOrEqual(120);
+      expect(report.speechRatio).toBeLessThan(0.1);
+      expect(report.issues).toEqual([]);
+    });
+
+    test('should describe each issue', () => {
+      const report = AudioQuality.analyze(new Float32Array(ms(1000)).fill(1), SAMPLE_RATE);
+
+      expect(report.issues).toContainEqual({
+        code: 'CLIPPING',
+        message: '100% of samples are clipped; lower the input volume'
+      });
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const AudioRingBuffer = require('../src/utils/audio-ring-buffer');
+
+describe('AudioRingBuffer', () => {
+  test('should return samples in write order before wrapping', () => {
+    const ring = new AudioRingBuffer(5);
+    ring.write(new Float32Array([1, 2, 3]));
+
+    expect(Array.from(ring.read())).toEqual([1, 2, 3]);
+    expect(ring.length).toBe(3);
+  });
+
+  test('should overwrite the oldest samples once full', () => {
+    const ring = new AudioRingBuffer(5);
+    ring.write(new Float32Array([1, 2, 3]));
+    ring.write(new Float32Array([4, 5, 6, 7]));
+
+    expect(Array.from(ring.read())).toEqual([3, 4, 5, 6, 7]);
+  });
+
+  test('should keep the tail of chunks larger than the capacity', () => {
+    const ring = new AudioRingBuffer(4);
+    ring.write(new Float32Array([1]));
+    ring.write(new Float32Array([2, 3, 4, 5, 6, 7]));
+
+    expect(Array.from(ring.read())).toEqual([4, 5, 6, 7]);
+  });
+
+  test('should be empty after clear', () => {
+    const ring = new AudioRingBuffer(4);
+    ring.write(new Float32Array([1, 2]));
+    ring.clear();
+
+    expect(ring.read()).toHaveLength(0);
+  });
+
+  test('should accept a zero capacity', () => {
+    const ring = new AudioRingBuffer(0);
+    ring.write(new Float32Array([1, 2]));
+
+    expect(ring.read()).toHaveLength(0);
+  });
+
+  test('should round fractional capacities down', () => {
+    expect(new AudioRingBuffer(1600.7).capacity).toBe(1600);
+  });
+});
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const CalibrationService = require('../src/services/calibration');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const mockConfig = {
+  audio: {
+    sampleRate: 16000,
+    calibration: { roomToneMs: 1000, speechMs: 1000, targetDb: -20 }
+  }
+};
+
+const ms = (duration) => duration * 16;
+
+// Deterministic hiss so the measured floor is the same on every run
+const noise = (duration, amplitude = 0.005) => {
+  let seed = 1;
+  return new Float32Array(ms(duration)).map(() => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return amplitude * (seed / 1073741824 - 1);
+  });
+};
+const speech = (duration, amplitude = 0.1) => {
+  const hiss = noise(duration);
+  return hiss.map((sample, i) => sample + amplitude * Math.sin(i / 3));
+};
+
+describe('CalibrationService', () => {
+  let tempDir;
+  let filePath;
+  let audioCapture;
+  let calibration;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibration-test-'));
+    filePath = path.join(tempDir, 'audio-profiles.json');
+    audioCapture = new EventEmitter();
+    audioCapture.isCapturing = true;
+    audioCapture.isRecording = false;
+    audioCapture.activeDevice = 'default';
+    audioCapture.getDefaultDevice = jest.fn().mockResolvedValue('alsa_input.usb-mic');
+    calibration = new CalibrationService(mockConfig, mockLogger, audioCapture, filePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  // Calibration subscribes to audio only once it has resolved the device
+  const feedWhenListening = async (...chunks) => {
+    for (const chunk of chunks) {
+      while (audioCapture.listenerCount('audio') === 0) {
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      audioCapture.emit('audio', chunk);
+    }
+  };
+
+  const runCalibration = async (roomTone, spoken, options = {}) => {
+    const pending = calibration.calibrate(options);
+    await feedWhenListening(roomTone);
+    await feedWhenListening(spoken);
+    return pending;
+  };
+
+  describe('Analysis', () => {
+    test('should measure noise floor, speech level and SNR', () => {
+      const profile = calibration.analyze(noise(1000), speech(1000));
+
+      expect(profile.noiseFloorDb).toBeGreaterThan(-56);
+      expect(profile.noiseFloorDb).toBeLessThan(-50);
+      // 0.1 sine is -23 dB RMS
+      expect(profile.speechLevelDb).toBeCloseTo(-23, 0);
+      expect(profile.snrDb).toBeCloseTo(profile.speechLevelDb - profile.noiseFloorDb, 1);
+      expect(profile.warnings).toEqual([]);
+    });
+
+    test('should suggest a threshold between noise and speech', () => {
+      const profile = calibration.analyze(noise(1000), speech(1000));
+
+      expect(profile.vadThreshold).toBeGreaterThan(profile.noiseFloor * Math.SQRT2);
+      expect(profile.vadThreshold).toBeLessThan(profile.speechLevel);
+    });
+
+    test('should suggest gain towards the target level', () => {
+      const profile = calibration.analyze(noise(1000), speech(1000, 0.01));
+
+      // 0.01 sine is -43 dB RMS, a little more with the hiss
+      expect(profile.speechLevelDb).toBeGreaterThan(-44);
+      expect(profile.speechLevelDb).toBeLessThan(-42);
+      expect(profile.gainDb).toBeCloseTo(-20 - profile.speechLevelDb, 1);
+    });
+
+    test('should ignore brief bumps in the room tone', () => {
+      const roomTone = noise(2000);
+      roomTone.fill(0.3, ms(400), ms(460));
+
+      const profile = calibration.analyze(roomTone, speech(1000));
+
+      expect(profile.noiseFloorDb).toBeLessThan(-50);
+    });
+
+    test('should warn about a low signal-to-noise ratio', () => {
+      const profile = calibration.analyze(noise(1000, 0.03), speech(1000, 0.06));
+
+      expect(profile.snrDb).toBeLessThan(10);
+      expect(profile.warnings).toEqual([expect.stringContaining('Low signal-to-noise ratio')]);
+    });
+
+    test('should reject a spoken sample without speech', () => {
+      expect(() => calibration.analyze(noise(1000), noise(1000)))
+        .toThrow(expect.objectContaining({ code: 'NO_SPEECH' }));
+    });
+  });
+
+  describe('Calibration', () => {
+    test('should record both phases and save the profile under the resolved device', async () => {
+      const phases = [];
+      calibration.on('calibrationPhase', (event) => phases.push(event.phase));
+
+      const profile = await runCalibration(noise(1000), speech(1000));
+
+      expect(phases).toEqual(['roomTone', 'speech']);
+      expect(profile.device).toBe('alsa_input.usb-mic');
+      expect(audioCapture.listenerCount('audio')).toBe(0);
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved.profiles['alsa_input.usb-mic']).toEqual(profile);
+      expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+
+    test('should apply the new profile', async () => {
+      const applied = jest.fn();
+      calibration.on('profileApplied', applied);
+
+      const profile = await runCalibration(noise(1000), speech(1000));
+
+      expect(applied).toHaveBeenCalledWith({ device: 'alsa_input.usb-mic', profile });
+      expect(calibration.getStatus().activeProfile).toEqual(profile);
+    });
+
+    test('should not save when save is false', async () => {
+      await runCalibration(noise(1000), speech(1000), { save: false });
+
+      expect(fs.existsSync(filePath)).toBe(false);
+      expect(calibration.getProfiles()).toEqual({});
+    });
+
+    test('should use an explicitly selected device as is', async () => {
+      audioCapture.activeDevice = 'alsa_input.headset';
+
+      const profile = await runCalibration(noise(1000), speech(1000));
+
+      expect(profile.device).toBe('alsa_input.headset');
+      expect(audioCapture.getDefaultDevice).not.toHaveBeenCalled();
+    });
+
+    test('should require running capture', async () => {
+      audioCapture.isCapturing = false;
+
+      await expect(calibration.calibrate()).rejects.toMatchObject({ code: 'CAPTURE_NOT_RUNNING' });
+    });
+
+    test('should refuse while recording', async () => {
+      audioCapture.isRecording = true;
+
+      await expect(calibration.calibrate()).rejects.toMatchObject({ code: 'RECORDING_IN_PROGRESS' });
+    });
+
+    test('should refuse a second calibration while one is running', async () => {
+      const first = calibration.calibrate();
+
+      await expect(calibration.calibrate()).rejects.toMatchObject({ code: 'CALIBRATION_IN_PROGRESS' });
+
+      await feedWhenListening(noise(1000));
+      await feedWhenListening(speech(1000));
+      await first;
+      expect(calibration.isCalibrating).toBe(false);
+    });
+
+    test('should reject out-of-range durations', async () => {
+      await expect(calibration.calibrate({ roomToneMs: 100 })).rejects.toMatchObject({ code: 'INVALID_DURATION' });
+      await expect(calibration.calibrate({ speechMs: 'long' })).rejects.toMatchObject({ code: 'INVALID_DURATION' });
+    });
+
+    test('should time out when capture stops delivering audio', async () => {
+      jest.useFakeTimers();
+      try {
+        const pending = calibration.calibrate();
+        const assertion = expect(pending).rejects.toMatchObject({ code: 'CALIBRATION_TIMEOUT' });
+
+        await jest.advanceTimersByTimeAsync(6000);
+
+        await assertion;
+        expect(audioCapture.listenerCount('audio')).toBe(0);
+        expect(calibration.isCalibrating).toBe(false);
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('Profiles', () => {
+    const storedProfile = { device: 'alsa_input.usb-mic', vadThreshold: 0.02, gainDb: 6 };
+
+    beforeEach(() => {
+      fs.writeFileSync(filePath, JSON.stringify({ profiles: { 'alsa_input.usb-mic': storedProfile } }));
+      calibration.load();
+    });
+
+    test('should load stored profiles', () => {
+      expect(calibration.getProfiles()).toEqual({ 'alsa_input.usb-mic': storedProfile });
+    });
+
+    test('should reject malformed files', () => {
+      fs.writeFileSync(filePath, '{ not json');
+
+      expect(() => calibration.load()).toThrow('Failed to parse audio profiles file');
+    });
+
+    test('should apply the matching profile when capture starts', async () => {
+      const applied = new Promise(resolve => calibration.once('profileApplied', resolve));
+
+      audioCapture.emit('started');
+
+      await expect(applied).resolves.toEqual({ device: 'alsa_input.usb-mic', profile: storedProfile });
+    });
+
+    test('should apply null for a device without a profile', async () => {
+      const applied = new Promise(resolve => calibration.once('profileApplied', resolve));
+
+      audioCapture.activeDevice = 'alsa_input.headset';
+      audioCapture.emit('deviceChanged', { previous: 'default', device: { id: 'alsa_input.headset' } });
+
+      await expect(applied).resolves.toEqual({ device: 'alsa_input.headset', profile: null });
+    });
+
+    test('should follow default source changes only while capturing the default', async () => {
+      const applied = jest.fn();
+      calibration.on('profileApplied', applied);
+
+      audioCapture.activeDevice = 'alsa_input.headset';
+      audioCapture.emit('defaultSourceChanged', { name: 'alsa_input.usb-mic' });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(applied).not.toHaveBeenCalled();
+
+      audioCapture.activeDevice = 'default';
+      audioCapture.emit('defaultSourceChanged', { name: 'alsa_input.usb-mic' });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(applied).toHaveBeenCalledWith({ device: 'alsa_input.usb-mic', profile: storedProfile });
+    });
+
+    test('should delete a profile and revert the active device', async () => {
+      await calibration.applyActiveProfile();
+      const applied = jest.fn();
+      calibration.on('profileApplied', applied);
+
+      await expect(calibration.deleteProfile('alsa_input.usb-mic')).resolves.toBe(true);
+
+      expect(applied).toHaveBeenCalledWith({ device: 'alsa_input.usb-mic', profile: null });
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ profiles: {} });
+      await expect(calibration.deleteProfile('alsa_input.usb-mic')).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,60 @@
+const ChunkedAudioBuffer = require('../src/utils/chunked-audio-buffer');
+
+describe('ChunkedAudioBuffer', () => {
+  test('should concatenate appended samples in order across chunks', () => {
+    const buffer = new ChunkedAudioBuffer({ chunkSize: 4 });
+    buffer.append(new Float32Array([1, 2, 3]));
+    buffer.append(new Float32Array([4, 5, 6, 7, 8, 9]));
+
+    expect(buffer.length).toBe(9);
+    expect(buffer.chunks).toHaveLength(3);
+    expect(Array.from(buffer.toFloat32Array())).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('should allocate whole chunks', () => {
+    const buffer = new ChunkedAudioBuffer({ chunkSize: 1000 });
+    buffer.append(new Float32Array(1001));
+
+    expect(buffer.getMemoryUsage()).toBe(2 * 1000 * 4);
+  });
+
+  test('should drop samples beyond the ceiling', () => {
+    const buffer = new ChunkedAudioBuffer({ chunkSize: 4, maxSamples: 6 });
+
+    expect(buffer.append(new Float32Array([1, 2, 3, 4]))).toBe(4);
+    expect(buffer.append(new Float32Array([5, 6, 7, 8]))).toBe(2);
+    expect(buffer.append(new Float32Array([9]))).toBe(0);
+
+    expect(buffer.isFull).toBe(true);
+    expect(buffer.droppedSamples).toBe(3);
+    expect(Array.from(buffer.toFloat32Array())).toEqual([1, 2, 3, 4, 5, 6]);
+  });
+
+  test('should handle empty appends', () => {
+    const buffer = new ChunkedAudioBuffer({ chunkSize: 4 });
+    buffer.append(new Float32Array(0));
+
+    expect(buffer.length).toBe(0);
+    expect(buffer.toFloat32Array()).toHaveLength(0);
+  });
+
+  test('should accept chunks far larger than the chunk size', () => {
+    const buffer = new ChunkedAudioBuffer({ chunkSize: 16000 });
+    const samples = new Float32Array(500000).map((_, i) => i % 7);
+
+    buffer.append(samples);
+
+    expect(buffer.toFloat32Array()).toEqual(samples);
+  });
+
+  test('should reset on clear', () => {
+    const buffer = new ChunkedAudioBuffer({ chunkSize: 4, maxSamples: 4 });
+    buffer.append(new Float32Array(6));
+    buffer.clear();
+
+    expect(buffer.length).toBe(0);
+    expect(buffer.droppedSamples).toBe(0);
+    expect(buffer.getMemoryUsage()).toBe(0);
+    expect(buffer.isFull).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+const DeviceMonitor = require('../src/services/device-monitor');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const usbMic = { id: 'alsa_input.usb-headset', name: 'USB Headset', state: 'available' };
+const builtIn = { id: 'alsa_input.pci-analog', name: 'Built-in Audio', state: 'available' };
+
+describe('DeviceMonitor', () => {
+  let monitor;
+  let listDevices;
+  let getDefaultDevice;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    listDevices = jest.fn().mockResolvedValue([usbMic, builtIn]);
+    getDefaultDevice = jest.fn().mockResolvedValue(usbMic.id);
+    monitor = new DeviceMonitor(mockLogger, { listDevices, getDefaultDevice, debounceMs: 0 });
+  });
+
+  describe('Monitor Output', () => {
+    beforeEach(() => {
+      monitor.scheduleRefresh = jest.fn();
+    });
+
+    test('should refresh on pactl source and server events', () => {
+      monitor.handleLine("Event 'new' on source #55");
+      monitor.handleLine("Event 'remove' on source #55");
+      monitor.handleLine("Event 'change' on server #0");
+
+      expect(monitor.scheduleRefresh).toHaveBeenCalledTimes(3);
+    });
+
+    test('should ignore unrelated pactl events', () => {
+      monitor.handleLine("Event 'change' on source #55");
+      monitor.handleLine("Event 'new' on sink-input #80");
+      monitor.handleLine("Event 'change' on client #12");
+
+      expect(monitor.scheduleRefresh).not.toHaveBeenCalled();
+    });
+
+    test('should refresh on added pw-mon nodes and metadata changes', () => {
+      ['added:', '\tid: 55', '\tpermissions: r-xm-', '\ttype: PipeWire:Interface:Node/3'].forEach(line => monitor.handleLine(line));
+      ['changed:', '\tid: 32', '\ttype: PipeWire:Interface:Metadata (version 3)'].forEach(line => monitor.handleLine(line));
+
+      expect(monitor.scheduleRefresh).toHaveBeenCalledTimes(2);
+    });
+
+    test('should refresh on any pw-mon removal', () => {
+      ['removed:', '\tid: 55'].forEach(line => monitor.handleLine(line));
+
+      expect(monitor.scheduleRefresh).toHaveBeenCalledTimes(1);
+    });
+
+    test('should ignore pw-mon node state changes and new links', () => {
+      ['changed:', '\tid: 55', '\ttype: PipeWire:Interface:Node/3', '\tstate: "running"'].forEach(line => monitor.handleLine(line));
+      ['added:', '\tid: 90', '\ttype: PipeWire:Interface:Link/3'].forEach(line => monitor.handleLine(line));
+
+      expect(monitor.scheduleRefresh).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Refresh', () => {
+    test('should take the initial snapshot without emitting events', async () => {
+      const handler = jest.fn();
+      monitor.on('deviceAdded', handler);
+      monitor.on('defaultSourceChanged', handler);
+
+      await monitor.refresh({ silent: true });
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(monitor.getDevices()).toEqual([usbMic, builtIn]);
+      expect(monitor.defaultSource).toBe(usbMic.id);
+    });
+
+    test('should emit removals, additions and default source changes', async () => {
+      await monitor.refresh({ silent: true });
+      const events = [];
+      ['deviceAdded', 'deviceRemoved', 'defaultSourceChanged'].forEach(event => {
+        monitor.on(event, payload => events.push([event, payload]));
+      });
+
+      const webcam = { id: 'alsa_input.usb-webcam', name: 'Webcam', state: 'available' };
+      listDevices.mockResolvedValue([builtIn, webcam]);
+      getDefaultDevice.mockResolvedValue(builtIn.id);
+      await monitor.refresh();
+
+      expect(events).toEqual([
+        ['deviceRemoved', usbMic],
+        ['deviceAdded', webcam],
+        ['defaultSourceChanged', { previous: usbMic.id, current: builtIn.id }]
+      ]);
+    });
+
+    test('should coalesce refreshes requested while one is running', async () => {
+      await Promise.all([monitor.refresh(), monitor.refresh(), monitor.refresh()]);
+
+      expect(listDevices).toHaveBeenCalledTimes(2);
+    });
+
+    test('should keep the previous snapshot when listing fails', async () => {
+      await monitor.refresh({ silent: true });
+      listDevices.mockRejectedValue(new Error('pw-cli failed'));
+
+      await monitor.refresh();
+
+      expect(monitor.getDevices()).toEqual([usbMic, builtIn]);
+      expect(mockLogger.error).toHaveBeenCalledWith('Failed to refresh audio devices:', expect.any(Error));
+    });
+  });
+
+  describe('Commands', () => {
+    test('should use pw-mon on PipeWire and pactl subscribe on PulseAudio', () => {
+      monitor.audioSystem = 'pipewire';
+      expect(monitor.buildMonitorArgs()).toEqual({ command: 'pw-mon', args: [] });
+
+      monitor.audioSystem = 'pulseaudio';
+      expect(monitor.buildMonitorArgs()).toEqual({ command: 'pactl', args: ['subscribe'] });
+    });
+  });
+});
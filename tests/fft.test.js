@@ -0,0 +1,79 @@
+const FFT = require('../src/utils/fft');
+
+describe('FFT', () => {
+  describe('nextPowerOfTwo', () => {
+    test('should round up to a power of two', () => {
+      expect(FFT.nextPowerOfTwo(1)).toBe(1);
+      expect(FFT.nextPowerOfTwo(480)).toBe(512);
+      expect(FFT.nextPowerOfTwo(512)).toBe(512);
+    });
+  });
+
+  describe('transform', () => {
+    test('should match a direct DFT', () => {
+      const size = 16;
+      const input = Array.from({ length: size }, (_, i) => Math.sin(i) + 0.5 * Math.cos(3 * i));
+      const re = Float64Array.from(input);
+      const im = new Float64Array(size);
+
+      FFT.transform(re, im);
+
+      for (let k = 0; k < size; k++) {
+        let expectedRe = 0;
+        let expectedIm = 0;
+        for (let n = 0; n < size; n++) {
+          expectedRe += input[n] * Math.cos(2 * Math.PI * k * n / size);
+          expectedIm -= input[n] * Math.sin(2 * Math.PI * k * n / size);
+        }
+        expect(re[k]).toBeCloseTo(expectedRe, 9);
+        expect(im[k]).toBeCloseTo(expectedIm, 9);
+      }
+    });
+
+    test('should round-trip through the inverse transform', () => {
+      const input = Float64Array.from({ length: 64 }, (_, i) => Math.sin(i / 5));
+      const re = Float64Array.from(input);
+      const im = new Float64Array(64);
+
+      FFT.transform(re, im);
+      FFT.transform(re, im, true);
+
+      input.forEach((value, i) => expect(re[i]).toBeCloseTo(value, 12));
+    });
+
+    test('should reject sizes that are not a power of two', () => {
+      expect(() => FFT.transform(new Float64Array(480), new Float64Array(480))).toThrow('FFT size must be a power of two, got 480');
+    });
+  });
+
+  describe('window', () => {
+    test('should build a Hann window that is zero at the edges', () => {
+      const window = FFT.window(5);
+      expect(Array.from(window)).toEqual([0, 0.5, 1, 0.5, 0].map(value => expect.closeTo(value, 12)));
+    });
+
+    test('should support Hamming and rectangular windows', () => {
+      expect(FFT.window(5, 'hamming')[0]).toBeCloseTo(0.08, 12);
+      expect(Array.from(FFT.window(3, 'rectangular'))).toEqual([1, 1, 1]);
+      expect(() => FFT.window(5, 'kaiser')).toThrow('Unknown window type: kaiser');
+    });
+  });
+
+  describe('powerSpectrum', () => {
+    test('should put a sine in the bin of its frequency', () => {
+      // 1000 Hz lands exactly on bin 32 of a 512-point transform at 16 kHz
+      const samples = new Float32Array(512).map((_, i) => Math.sin(2 * Math.PI * 1000 * i / 16000));
+      const { power, size } = FFT.powerSpectrum(samples);
+
+      expect(size).toBe(512);
+      expect(power).toHaveLength(257);
+      const peak = power.indexOf(Math.max(...power));
+      expect(peak).toBe(32);
+    });
+
+    test('should zero-pad frames to the next power of two', () => {
+      const { size } = FFT.powerSpectrum(new Float32Array(480));
+      expect(size).toBe(512);
+    });
+  });
+});
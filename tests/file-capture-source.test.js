@@ -0,0 +1,218 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const FileCaptureSource = require('../src/services/file-capture-source');
+const AudioCaptureService = require('../src/services/audio-capture');
+const AudioFormatConverter = require('../src/utils/audio-format');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const audioConfig = (file) => ({ sampleRate: 16000, channels: 1, file });
+
+// Collect everything the source writes to stdout until it finishes
+const collect = (source) => new Promise((resolve, reject) => {
+  const chunks = [];
+  source.stdout.on('data', chunk => chunks.push(chunk));
+  source.on('finished', () => resolve(Buffer.concat(chunks)));
+  source.on('error', reject);
+});
+
+describe('FileCaptureSource', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-capture-test-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, contents) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  describe('Files', () => {
+    test('should replay a WAV file converted to the capture format', async () => {
+      // 100 ms of 48 kHz stereo with the left channel at 0.5 and the right at 0
+      const stereo = new Float32Array(4800 * 2).map((_, i) => (i % 2 === 0 ? 0.5 : 0));
+      const filePath = writeFile('speech.wav', AudioFormatConverter.float32ToWav(stereo, 48000, 2));
+
+      const source = new FileCaptureSource(audioConfig({ path: filePath, speed: 0 }), mockLogger).start();
+      const pcm = await collect(source);
+
+      const samples = AudioFormatConverter.int16ToFloat32(pcm);
+      expect(samples).toHaveLength(1600);
+      expect(samples[800]).toBeCloseTo(0.25, 3);
+    });
+
+    test('should pass raw PCM through unchanged', async () => {
+      const raw = Buffer.from(new Int16Array([1, -2, 3, -4, 5]).buffer);
+      const filePath = writeFile('speech.raw', raw);
+
+      const source = new FileCaptureSource(audioConfig({ path: filePath, speed: 0 }), mockLogger).start();
+
+      await expect(collect(source)).resolves.toEqual(raw);
+    });
+
+    test('should loop with silence gaps between passes', async () => {
+      const raw = Buffer.from(new Int16Array(160).fill(1000).buffer);
+      const filePath = writeFile('loop.raw', raw);
+      const source = new FileCaptureSource(
+        audioConfig({ path: filePath, speed: 0, loop: true, silenceGapMs: 5 }),
+        mockLogger
+      ).start();
+
+      const pcm = await new Promise(resolve => {
+        const chunks = [];
+        source.stdout.on('data', chunk => {
+          chunks.push(chunk);
+          const received = Buffer.concat(chunks);
+          if (received.length >= 2 * (160 + 80) * 2) {
+            source.kill();
+            resolve(received);
+          }
+        });
+      });
+
+      const samples = new Int16Array(pcm.buffer, pcm.byteOffset, 480);
+      expect(Array.from(samples.subarray(0, 160)).every(sample => sample === 1000)).toBe(true);
+      expect(Array.from(samples.subarray(160, 240)).every(sample => sample === 0)).toBe(true);
+      expect(Array.from(samples.subarray(240, 400)).every(sample => sample === 1000)).toBe(true);
+    });
+
+    test('should report unreadable files as errors', async () => {
+      const source = new FileCaptureSource(audioConfig({ path: path.join(tempDir, 'missing.wav') }), mockLogger).start();
+
+      await expect(collect(source)).rejects.toThrow('ENOENT');
+    });
+  });
+
+  describe('Pacing', () => {
+    test('should emit audio at the configured speed', () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+      const source = new FileCaptureSource(audioConfig({ speed: 2 }), mockLogger);
+      const chunks = [];
+      source.stdout.on('data', chunk => chunks.push(chunk));
+
+      source.enqueue(Buffer.alloc(32000 * 2));
+      source.endInput();
+      source.pump();
+      expect(chunks).toHaveLength(0);
+
+      now.mockReturnValue(1250);
+      source.pump();
+
+      // 250 ms at double speed is half a second of audio
+      expect(Buffer.concat(chunks).length).toBe(8000 * 2);
+      source.kill();
+    });
+  });
+
+  describe('Stdin', () => {
+    test('should skip a WAV header and keep frames aligned across reads', async () => {
+      const input = new PassThrough();
+      const source = new FileCaptureSource(audioConfig({ speed: 0 }), mockLogger, { input }).start();
+      const result = collect(source);
+
+      const wav = AudioFormatConverter.float32ToWav(new Float32Array(100).fill(0.5), 16000, 1);
+      await new Promise(resolve => setImmediate(resolve));
+      input.write(wav.subarray(0, 47)); // header plus one and a half samples
+      input.end(wav.subarray(47));
+
+      const pcm = await result;
+      expect(pcm.length).toBe(200);
+      expect(AudioFormatConverter.int16ToFloat32(pcm)[99]).toBeCloseTo(0.5, 3);
+    });
+  });
+
+  describe('Process Interface', () => {
+    test('should exit with the signal when killed', async () => {
+      const source = new FileCaptureSource(audioConfig({ speed: 1 }), mockLogger, { input: new PassThrough() });
+      const exited = new Promise(resolve => source.on('exit', (code, signal) => resolve({ code, signal })));
+
+      source.kill('SIGTERM');
+
+      await expect(exited).resolves.toEqual({ code: null, signal: 'SIGTERM' });
+      expect(source.killed).toBe(true);
+    });
+  });
+
+  describe('AudioCaptureService integration', () => {
+    test('should record a session from a replayed file', async () => {
+      const speech = new Float32Array(8000).fill(0.25);
+      const filePath = writeFile('session.wav', AudioFormatConverter.float32ToWav(speech, 16000, 1));
+      const capture = new AudioCaptureService({
+        audio: { ...audioConfig({ path: filePath, speed: 0 }), backend: 'file', preRollMs: 0 }
+      }, mockLogger);
+
+      await capture.start();
+      capture.startRecording();
+      await new Promise(resolve => capture.captureProcess.on('finished', resolve));
+      const audio = capture.stopRecording();
+      await capture.stop();
+
+      expect(capture.audioSystem).toBe('file');
+      expect(audio).toHaveLength(8000);
+      expect(audio[4000]).toBeCloseTo(0.25, 3);
+    });
+
+    test('should fail to start when the replay file is missing', async () => {
+      const capture = new AudioCaptureService({
+        audio: { ...audioConfig({ path: path.join(tempDir, 'missing.wav') }), backend: 'file' }
+      }, mockLogger);
+      capture.on('error', () => {});
+
+      await expect(capture.start()).rejects.toThrow('ENOENT');
+    });
+  });
+});
+
+describe('AudioFormatConverter.parseWav', () => {
+  test('should round-trip 16-bit WAV files', () => {
+    const samples = new Float32Array([0, 0.5, -0.5, 0.25]);
+    const wav = AudioFormatConverter.parseWav(AudioFormatConverter.float32ToWav(samples, 22050, 1));
+
+    expect(wav.sampleRate).toBe(22050);
+    expect(wav.channels).toBe(1);
+    expect(Array.from(wav.samples).map(sample => Number(sample.toFixed(3)))).toEqual([0, 0.5, -0.5, 0.25]);
+  });
+
+  test('should skip unknown chunks and read 32-bit float data', () => {
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.write('WAVE', 8, 'ascii');
+    const list = Buffer.concat([Buffer.from('LIST', 'ascii'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc\0', 'ascii')]);
+    const fmt = Buffer.alloc(24);
+    fmt.write('fmt ', 0, 'ascii');
+    fmt.writeUInt32LE(16, 4);
+    fmt.writeUInt16LE(3, 8); // IEEE float
+    fmt.writeUInt16LE(1, 10);
+    fmt.writeUInt32LE(16000, 12);
+    fmt.writeUInt16LE(32, 22);
+    const data = Buffer.alloc(16);
+    data.write('data', 0, 'ascii');
+    data.writeUInt32LE(8, 4);
+    data.writeFloatLE(0.75, 8);
+    data.writeFloatLE(-0.25, 12);
+
+    const wav = AudioFormatConverter.parseWav(Buffer.concat([header, list, fmt, data]));
+
+    expect(Array.from(wav.samples)).toEqual([0.75, -0.25]);
+  });
+
+  test('should reject files that are not WAV', () => {
+    expect(() => AudioFormatConverter.parseWav(Buffer.from('not a wav file'))).toThrow('Not a RIFF/WAVE file');
+  });
+});
@@ -0,0 +1,207 @@
+const EventEmitter = require('events');
+const HandsFreeDictation = require('../src/services/hands-free-dictation');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const mockConfig = {
+  audio: {
+    sampleRate: 16000,
+    preRollMs: 300,
+    vadThreshold: 0.01,
+    handsFree: { onsetMs: 90, silenceMs: 600, minUtteranceMs: 300, maxUtteranceMs: 5000 }
+  }
+};
+
+const ms = (duration) => duration * 16;
+const speech = (duration) => new Float32Array(ms(duration)).map((_, i) => 0.2 * Math.sin(i / 3));
+const silence = (duration) => new Float32Array(ms(duration));
+
+describe('HandsFreeDictation', () => {
+  let audioCapture;
+  let handsFree;
+  let utterances;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    audioCapture = new EventEmitter();
+    audioCapture.isRecording = false;
+    handsFree = new HandsFreeDictation(mockConfig, mockLogger, audioCapture);
+    utterances = [];
+    handsFree.on('utterance', (utterance) => utterances.push(utterance));
+    handsFree.enable();
+  });
+
+  afterEach(() => {
+    handsFree.disable();
+  });
+
+  const feed = (...chunks) => chunks.forEach(chunk => audioCapture.emit('audio', chunk));
+
+  describe('Utterance Detection', () => {
+    test('should capture an utterance with pre-roll and trailing silence', () => {
+      feed(silence(600), speech(900), silence(600));
+
+      expect(utterances).toHaveLength(1);
+      expect(utterances[0]).toMatchObject({ index: 1, reason: 'silence' });
+      // 300ms pre-roll (including the onset) + the rest of the speech + trailing silence
+      expect(utterances[0].audio.length).toBeGreaterThanOrEqual(ms(300 + 810 + 600));
+      expect(utterances[0].audio.length).toBeLessThanOrEqual(ms(300 + 810 + 630));
+      expect(utterances[0].speechMs).toBeGreaterThanOrEqual(900);
+      expect(utterances[0].speechMs).toBeLessThanOrEqual(930);
+    });
+
+    test('should keep short pauses inside one utterance', () => {
+      feed(speech(600), silence(400), speech(600), silence(700));
+
+      expect(utterances).toHaveLength(1);
+    });
+
+    test('should capture consecutive utterances separately', () => {
+      feed(speech(600), silence(700), speech(600), silence(700));
+
+      expect(utterances.map(utterance => utterance.index)).toEqual([1, 2]);
+    });
+
+    test('should ignore noise below the threshold', () => {
+      feed(new Float32Array(ms(3000)).map((_, i) => 0.005 * Math.sin(i / 3)));
+
+      expect(utterances).toHaveLength(0);
+      expect(handsFree.getStatus().inUtterance).toBe(false);
+    });
+
+    test('should not open an utterance for bursts shorter than the onset', () => {
+      feed(speech(60), silence(600), speech(60), silence(600));
+
+      expect(handsFree.getStatus().inUtterance).toBe(false);
+      expect(utterances).toHaveLength(0);
+    });
+
+    test('should discard utterances shorter than minUtteranceMs', () => {
+      const discarded = jest.fn();
+      handsFree.on('utteranceDiscarded', discarded);
+
+      feed(speech(150), silence(600));
+
+      expect(utterances).toHaveLength(0);
+      expect(discarded).toHaveBeenCalledWith({ speechMs: expect.any(Number) });
+    });
+
+    test('should split utterances longer than maxUtteranceMs', () => {
+      feed(speech(12000), silence(600));
+
+      expect(utterances.map(utterance => utterance.reason)).toEqual(['maxLength', 'maxLength', 'silence']);
+      expect(utterances[0].audio.length).toBeLessThanOrEqual(ms(5000 + 300));
+    });
+
+    test('should handle audio in chunks that do not align with frames', () => {
+      const audio = new Float32Array(ms(2100));
+      audio.set(speech(900), ms(300));
+      for (let offset = 0; offset < audio.length; offset += 333) {
+        feed(audio.subarray(offset, offset + 333));
+      }
+
+      expect(utterances).toHaveLength(1);
+    });
+  });
+
+  describe('Manual Recording', () => {
+    test('should stand aside while a manual recording is in progress', () => {
+      feed(speech(600));
+      expect(handsFree.getStatus().inUtterance).toBe(true);
+
+      audioCapture.isRecording = true;
+      feed(speech(600), silence(600));
+
+      expect(utterances).toHaveLength(0);
+      expect(handsFree.getStatus().inUtterance).toBe(false);
+    });
+  });
+
+  describe('Control', () => {
+    test('should deliver an utterance in progress when disabled', () => {
+      feed(speech(600));
+
+      handsFree.disable();
+
+      expect(utterances).toHaveLength(1);
+      expect(utterances[0].reason).toBe('disabled');
+      expect(audioCapture.listenerCount('audio')).toBe(0);
+    });
+
+    test('should only listen to audio while enabled', () => {
+      handsFree.disable();
+      feed(speech(900), silence(600));
+
+      expect(utterances).toHaveLength(0);
+    });
+
+    test('should apply new settings', () => {
+      handsFree.configure({ threshold: 0.5 });
+      feed(speech(900), silence(600));
+
+      expect(utterances).toHaveLength(0);
+      expect(handsFree.getStatus().settings.threshold).toBe(0.5);
+    });
+
+    test('should default the threshold to vadThreshold', () => {
+      expect(handsFree.getStatus().settings).toEqual({
+        threshold: 0.01,
+        onsetMs: 90,
+        silenceMs: 600,
+        minUtteranceMs: 300,
+        maxUtteranceMs: 5000
+      });
+    });
+
+    test('should apply device thresholds until one is set at runtime', () => {
+      expect(handsFree.applyDeviceThreshold(0.02)).toBe(true);
+      expect(handsFree.getStatus().settings.threshold).toBe(0.02);
+
+      handsFree.configure({ threshold: 0.05 });
+
+      expect(handsFree.applyDeviceThreshold(0.03)).toBe(false);
+      expect(handsFree.getStatus().settings.threshold).toBe(0.05);
+    });
+
+    test('should not treat the configured threshold as a runtime override', () => {
+      handsFree = new HandsFreeDictation({ audio: { ...mockConfig.audio, handsFree: { threshold: 0.2 } } }, mockLogger, audioCapture);
+
+      expect(handsFree.applyDeviceThreshold(0.02)).toBe(true);
+      expect(handsFree.getStatus().settings.threshold).toBe(0.02);
+    });
+
+    test('should keep applying device thresholds after other runtime settings', () => {
+      handsFree.configure({ silenceMs: 1000 });
+
+      expect(handsFree.applyDeviceThreshold(0.02)).toBe(true);
+    });
+
+    test('should not count a rejected threshold as a runtime override', () => {
+      expect(() => handsFree.configure({ threshold: 2 })).toThrow();
+
+      expect(handsFree.applyDeviceThreshold(0.02)).toBe(true);
+    });
+
+    test.each([[0, 0.0001], [1.5, 1]])('should clamp device threshold %d into the accepted range', (threshold, applied) => {
+      expect(handsFree.applyDeviceThreshold(threshold)).toBe(true);
+      expect(handsFree.getStatus().settings.threshold).toBe(applied);
+    });
+
+    test.each([
+      [{ sensitivity: 1 }, 'Unknown hands-free setting: sensitivity'],
+      [{ threshold: 0 }, 'threshold must be a number between 0.0001 and 1'],
+      [{ silenceMs: '800' }, 'silenceMs must be a number between 100 and 10000'],
+      [{ minUtteranceMs: 6000 }, 'minUtteranceMs must be less than maxUtteranceMs']
+    ])('should reject invalid settings %j', (settings, message) => {
+      expect(() => handsFree.configure(settings)).toThrow(message);
+      expect(() => handsFree.configure(settings)).toThrow(expect.objectContaining({ code: 'INVALID_SETTING' }));
+      expect(handsFree.getStatus().settings.threshold).toBe(0.01);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const EventEmitter = require('events');
+const LevelMeter = require('../src/services/level-meter');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const mockConfig = {
+  audio: { sampleRate: 16000, levelMeter: { rate: 20 } }
+};
+
+const sine = (length, amplitude, frequency = 200) =>
+  new Float32Array(length).map((_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / 16000));
+
+describe('LevelMeter', () => {
+  let audioSource;
+  let meter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.useFakeTimers();
+    audioSource = new EventEmitter();
+    meter = new LevelMeter(mockConfig, mockLogger, audioSource);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('Readings', () => {
+    test('should report RMS, peak and speech likelihood', () => {
+      meter.push(sine(800, 0.5));
+
+      const reading = meter.read();
+
+      expect(reading.active).toBe(true);
+      expect(reading.rms).toBeCloseTo(0.5 / Math.SQRT2, 2);
+      expect(reading.rmsDb).toBeCloseTo(-9, 0);
+      expect(reading.peak).toBeCloseTo(0.5, 2);
+      expect(reading.clipping).toBe(false);
+      expect(reading.speechLikely).toBe(true);
+      expect(reading.frameClass).toBe('voiced');
+    });
+
+    test('should flag clipping', () => {
+      meter.push(new Float32Array([0.2, 1.0, -1.0, 0.3]));
+
+      const reading = meter.read();
+
+      expect(reading.clipping).toBe(true);
+      expect(reading.clippedSamples).toBe(2);
+      expect(reading.peakDb).toBe(0);
+    });
+
+    test('should use the configured clip threshold', () => {
+      meter = new LevelMeter({ audio: { ...mockConfig.audio, clipThreshold: 0.5 } }, mockLogger, audioSource);
+      meter.push(new Float32Array([0.2, 0.6, -0.7, 0.3]));
+
+      expect(meter.read().clippedSamples).toBe(2);
+    });
+
+    test('should go inactive once audio stops arriving', () => {
+      meter.push(sine(800, 0.5));
+      meter.read();
+      jest.advanceTimersByTime(600);
+
+      const reading = meter.read();
+
+      expect(reading).toMatchObject({ active: false, rms: 0, peak: 0, clipping: false, speechLikely: false });
+      expect(reading.rmsDb).toBe(-100);
+    });
+
+    test('should hold the last reading when chunks arrive slower than the rate', () => {
+      const readings = [];
+      meter.subscribe((reading) => readings.push(reading));
+
+      // 100 ms chunks against 50 ms readings
+      for (let i = 0; i < 5; i++) {
+        audioSource.emit('audio', sine(1600, 0.3));
+        jest.advanceTimersByTime(100);
+      }
+
+      expect(readings).toHaveLength(10);
+      readings.forEach(reading => {
+        expect(reading.active).toBe(true);
+        expect(reading.rms).toBeCloseTo(0.3 / Math.SQRT2, 2);
+        expect(reading.peak).toBeCloseTo(0.3, 2);
+      });
+    });
+
+    test('should reset peak and clipping counts between chunks', () => {
+      meter.push(new Float32Array([0.2, 1.0, -1.0, 0.3]));
+      meter.read();
+      meter.push(sine(800, 0.1));
+
+      const reading = meter.read();
+
+      expect(reading.peak).toBeCloseTo(0.1, 2);
+      expect(reading.clipping).toBe(false);
+    });
+
+    test('should not treat quiet noise as speech', () => {
+      meter.push(sine(800, 0.001));
+
+      expect(meter.read().speechLikely).toBe(false);
+    });
+  });
+
+  describe('Subscriptions', () => {
+    test('should only listen to audio while subscribed', () => {
+      const listener = jest.fn();
+
+      expect(audioSource.listenerCount('audio')).toBe(0);
+      const unsubscribe = meter.subscribe(listener);
+      expect(audioSource.listenerCount('audio')).toBe(1);
+
+      audioSource.emit('audio', sine(800, 0.5));
+      jest.advanceTimersByTime(50);
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener.mock.calls[0][0].active).toBe(true);
+
+      unsubscribe();
+      jest.advanceTimersByTime(200);
+
+      expect(audioSource.listenerCount('audio')).toBe(0);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(meter.getStatus()).toEqual({ rate: 20, subscribers: 0, running: false });
+    });
+
+    test('should emit at the configured rate', () => {
+      const listener = jest.fn();
+      meter.subscribe(listener);
+
+      jest.advanceTimersByTime(1000);
+
+      expect(listener).toHaveBeenCalledTimes(20);
+    });
+
+    test('should share one timer between subscribers', () => {
+      const first = meter.subscribe(jest.fn());
+      const second = meter.subscribe(jest.fn());
+
+      first();
+      expect(meter.getStatus().running).toBe(true);
+      expect(audioSource.listenerCount('audio')).toBe(1);
+
+      second();
+      second();
+      expect(meter.getStatus().subscribers).toBe(0);
+    });
+  });
+
+  describe('Server-Sent Events', () => {
+    const createClient = () => {
+      const req = new EventEmitter();
+      const res = {
+        writeHead: jest.fn(),
+        write: jest.fn(),
+        writableNeedDrain: false
+      };
+      return { req, res };
+    };
+
+    test('should stream readings as SSE data lines', () => {
+      const { req, res } = createClient();
+      meter.streamTo(req, res);
+
+      audioSource.emit('audio', sine(800, 0.5));
+      jest.advanceTimersByTime(50);
+
+      expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      const event = res.write.mock.calls[1][0];
+      expect(event).toMatch(/^data: \{.*\}\n\n$/);
+      expect(JSON.parse(event.slice(6)).active).toBe(true);
+    });
+
+    test('should drop readings for a client that is not keeping up', () => {
+      const slow = createClient();
+      const fast = createClient();
+      meter.streamTo(slow.req, slow.res);
+      meter.streamTo(fast.req, fast.res);
+
+      slow.res.writableNeedDrain = true;
+      jest.advanceTimersByTime(500);
+
+      expect(slow.res.write).toHaveBeenCalledTimes(1); // retry hint only
+      expect(fast.res.write).toHaveBeenCalledTimes(11);
+
+      slow.res.writableNeedDrain = false;
+      jest.advanceTimersByTime(50);
+
+      expect(slow.res.write).toHaveBeenCalledTimes(2);
+    });
+
+    test('should unsubscribe when the client disconnects', () => {
+      const { req, res } = createClient();
+      meter.streamTo(req, res);
+
+      req.emit('close');
+
+      expect(meter.getStatus().subscribers).toBe(0);
+      expect(audioSource.listenerCount('audio')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const NiriIpc = require('../src/services/output/niri-ipc');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('NiriIpc', () => {
+  let niri;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    niri = new NiriIpc(mockLogger);
+  });
+
+  describe('getFocusedWindow', () => {
+    it('should parse the focused window from niri msg', async () => {
+      niri.execCommand = jest.fn().mockResolvedValue(JSON.stringify({
+        id: 42,
+        title: 'nvim ~/notes.md',
+        app_id: 'kitty',
+        pid: 1234,
+        workspace_id: 3,
+        is_focused: true
+      }));
+
+      const window = await niri.getFocusedWindow();
+
+      expect(niri.execCommand).toHaveBeenCalledWith('niri', ['msg', '--json', 'focused-window']);
+      expect(window).toEqual({
+        id: 42,
+        appId: 'kitty',
+        title: 'nvim ~/notes.md',
+        pid: 1234,
+        workspaceId: 3
+      });
+    });
+
+    it('should return null when no window is focused', async () => {
+      niri.execCommand = jest.fn().mockResolvedValue('null\n');
+
+      await expect(niri.getFocusedWindow()).resolves.toBeNull();
+    });
+
+    it('should return null when niri is unreachable', async () => {
+      niri.execCommand = jest.fn().mockRejectedValue(new Error('Failed to execute niri: spawn niri ENOENT'));
+
+      await expect(niri.getFocusedWindow()).resolves.toBeNull();
+      expect(mockLogger.debug).toHaveBeenCalledWith(
+        'Failed to query focused window from niri:', 'Failed to execute niri: spawn niri ENOENT'
+      );
+    });
+
+    it('should return null on malformed output', async () => {
+      niri.execCommand = jest.fn().mockResolvedValue('Error: not connected');
+
+      await expect(niri.getFocusedWindow()).resolves.toBeNull();
+    });
+  });
+});
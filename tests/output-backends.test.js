@@ -0,0 +1,269 @@
+const WtypeBackend = require('../src/services/output/wtype-backend');
+const YdotoolBackend = require('../src/services/output/ydotool-backend');
+const DotoolBackend = require('../src/services/output/dotool-backend');
+const ClipboardBackend = require('../src/services/output/clipboard-backend');
+const DryRunBackend = require('../src/services/output/dry-run-backend');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('Output backends', () => {
+  let mockConfig;
+
+  beforeEach(() => {
+    mockConfig = {
+      output: {
+        clipboard: {
+          pasteKeys: 'ctrl+v'
+        }
+      }
+    };
+  });
+
+  const withMockedExec = (backend) => {
+    backend.execCommand = jest.fn().mockResolvedValue('');
+    return backend;
+  };
+
+  describe('WtypeBackend', () => {
+    it('should pass text through stdin with the key delay', async () => {
+      const backend = withMockedExec(new WtypeBackend(mockConfig));
+
+      await backend.type('-dash first', { typeDelay: 5 });
+
+      expect(backend.execCommand).toHaveBeenCalledWith('wtype', ['-d', '5', '-'], '-dash first');
+    });
+  });
+
+  describe('deleteBackward', () => {
+    it('should send BackSpace key presses with wtype', async () => {
+      const backend = withMockedExec(new WtypeBackend(mockConfig));
+
+      await backend.deleteBackward(2, { typeDelay: 5 });
+
+      expect(backend.execCommand).toHaveBeenCalledWith('wtype', ['-d', '5', '-k', 'BackSpace', '-k', 'BackSpace']);
+    });
+
+    it('should send backspace commands with dotool', async () => {
+      const backend = withMockedExec(new DotoolBackend(mockConfig));
+
+      await backend.deleteBackward(2);
+
+      expect(backend.execCommand).toHaveBeenCalledWith('dotool', [], 'keydelay 0\nkey backspace\nkey backspace\n');
+    });
+
+    it('should delete pasted text with wtype', async () => {
+      const backend = withMockedExec(new ClipboardBackend(mockConfig));
+
+      await backend.deleteBackward(1);
+
+      expect(backend.execCommand).toHaveBeenCalledWith('wtype', ['-d', '0', '-k', 'BackSpace']);
+    });
+  });
+
+  describe('YdotoolBackend', () => {
+    it('should read text from stdin with the key delay', async () => {
+      const backend = withMockedExec(new YdotoolBackend(mockConfig));
+
+      await backend.type('Hello', { typeDelay: 12 });
+
+      expect(backend.execCommand).toHaveBeenCalledWith('ydotool', ['type', '--key-delay', '12', '--file', '-'], 'Hello');
+    });
+  });
+
+  describe('DotoolBackend', () => {
+    it('should send a typedelay and type command script', async () => {
+      const backend = withMockedExec(new DotoolBackend(mockConfig));
+
+      await backend.type('Hello', { typeDelay: 8 });
+
+      expect(backend.execCommand).toHaveBeenCalledWith('dotool', [], 'typedelay 8\ntype Hello\n');
+    });
+
+    it('should turn newlines into enter key presses', () => {
+      const backend = new DotoolBackend(mockConfig);
+
+      expect(backend.buildScript('One\n\nTwo', 0)).toBe('typedelay 0\ntype One\nkey enter\nkey enter\ntype Two\n');
+    });
+  });
+
+  describe('ClipboardBackend', () => {
+    it('should copy the text and send the paste shortcut', async () => {
+      mockConfig.output.clipboard.preserve = false;
+      const backend = withMockedExec(new ClipboardBackend(mockConfig));
+
+      await backend.type('Hello');
+
+      expect(backend.execCommand).toHaveBeenCalledTimes(2);
+      expect(backend.execCommand).toHaveBeenNthCalledWith(1, 'wl-copy', [], 'Hello');
+      expect(backend.execCommand).toHaveBeenNthCalledWith(2, 'wtype', ['-M', 'ctrl', '-k', 'v', '-m', 'ctrl']);
+    });
+
+    it('should support multi-modifier shortcuts', () => {
+      const backend = new ClipboardBackend(mockConfig);
+
+      expect(backend.buildShortcutArgs('Ctrl+Shift+v')).toEqual([
+        '-M', 'ctrl', '-M', 'shift', '-k', 'v', '-m', 'shift', '-m', 'ctrl'
+      ]);
+    });
+
+    it('should reject empty shortcuts', () => {
+      const backend = new ClipboardBackend(mockConfig);
+
+      expect(() => backend.buildShortcutArgs('')).toThrow('Invalid paste shortcut');
+    });
+
+    it('should not type incrementally', () => {
+      expect(new ClipboardBackend(mockConfig).typesIncrementally).toBe(false);
+    });
+  });
+
+  describe('ClipboardBackend clipboard preservation', () => {
+    let backend;
+
+    beforeEach(() => {
+      mockConfig.output.clipboard.restoreDelay = 250;
+      backend = withMockedExec(new ClipboardBackend(mockConfig, mockLogger));
+      backend.execCommandRaw = jest.fn();
+      backend.sleep = jest.fn().mockResolvedValue();
+    });
+
+    it('should preserve the clipboard by default', () => {
+      expect(backend.preserve).toBe(true);
+      expect(backend.requiredCommands).toContain('wl-paste');
+    });
+
+    it('should save, paste and restore a text selection', async () => {
+      const previous = Buffer.from('copied earlier');
+      backend.execCommand.mockImplementation(async (command, args) => {
+        if (command === 'wl-paste') {
+          return 'text/html\ntext/plain;charset=utf-8\ntext/plain\n';
+        }
+        return '';
+      });
+      backend.execCommandRaw.mockResolvedValue(previous);
+
+      await backend.type('Transcript');
+
+      expect(backend.execCommandRaw).toHaveBeenCalledWith('wl-paste', ['--no-newline', '--type', 'text/plain;charset=utf-8']);
+      expect(backend.execCommand.mock.calls.map(call => call[0])).toEqual(['wl-paste', 'wl-copy', 'wtype', 'wl-copy']);
+      expect(backend.sleep).toHaveBeenCalledWith(250);
+      expect(backend.execCommand).toHaveBeenLastCalledWith('wl-copy', ['--type', 'text/plain;charset=utf-8'], previous);
+      expect(backend.getStatus().lastRestore).toMatchObject({
+        success: true,
+        mimeType: 'text/plain;charset=utf-8',
+        bytes: previous.length
+      });
+    });
+
+    it('should restore binary image selections byte for byte', async () => {
+      const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0xff]);
+      backend.execCommand.mockImplementation(async (command) => {
+        if (command === 'wl-paste') {
+          return 'text/uri-list\nimage/png\n';
+        }
+        return '';
+      });
+      backend.execCommandRaw.mockResolvedValue(png);
+
+      await backend.type('Transcript');
+
+      expect(backend.execCommandRaw).toHaveBeenCalledWith('wl-paste', ['--no-newline', '--type', 'image/png']);
+      expect(backend.execCommand).toHaveBeenLastCalledWith('wl-copy', ['--type', 'image/png'], png);
+    });
+
+    it('should clear the clipboard afterwards when it was empty', async () => {
+      backend.execCommand.mockImplementation(async (command) => {
+        if (command === 'wl-paste') {
+          throw new Error('Nothing is copied');
+        }
+        return '';
+      });
+
+      await backend.type('Transcript');
+
+      expect(backend.execCommandRaw).not.toHaveBeenCalled();
+      expect(backend.execCommand).toHaveBeenLastCalledWith('wl-copy', ['--clear']);
+    });
+
+    it('should not fail the paste when restoring fails', async () => {
+      backend.execCommand.mockImplementation(async (command, args) => {
+        if (command === 'wl-paste') {
+          return 'text/plain\n';
+        }
+        if (command === 'wl-copy' && args[0] === '--type') {
+          throw new Error('compositor closed the connection');
+        }
+        return '';
+      });
+      backend.execCommandRaw.mockResolvedValue(Buffer.from('old'));
+
+      await expect(backend.type('Transcript')).resolves.toBeUndefined();
+      expect(backend.getStatus().lastRestore).toMatchObject({ success: false, error: 'compositor closed the connection' });
+      expect(mockLogger.warn).toHaveBeenCalledWith('Failed to restore clipboard:', 'compositor closed the connection');
+    });
+
+    it('should fall back to the first type when none is recognised', () => {
+      expect(backend.selectMimeType(['application/x-custom', 'application/octet-stream'])).toBe('application/x-custom');
+    });
+  });
+
+  describe('DryRunBackend', () => {
+    it('should record text instead of typing it', async () => {
+      const backend = new DryRunBackend(mockConfig);
+
+      await backend.type('Hello, ');
+      await backend.type('world');
+
+      expect(backend.getRecordedText()).toBe('Hello, world');
+      expect(backend.getStatus().recorded).toHaveLength(2);
+    });
+
+    it('should apply recorded deletions by grapheme cluster', async () => {
+      const backend = new DryRunBackend(mockConfig);
+
+      await backend.type('Hi 👋🏻');
+      await backend.deleteBackward(1);
+
+      expect(backend.getRecordedText()).toBe('Hi ');
+    });
+
+    it('should cap the number of recorded entries', async () => {
+      const backend = new DryRunBackend(mockConfig);
+      backend.maxRecorded = 2;
+
+      await backend.type('a');
+      await backend.type('b');
+      await backend.type('c');
+
+      expect(backend.getRecordedText()).toBe('bc');
+    });
+
+    it('should always be available', async () => {
+      await expect(new DryRunBackend(mockConfig).checkAvailability()).resolves.toEqual({ available: true, missing: [], tools: {} });
+    });
+  });
+
+  describe('checkAvailability', () => {
+    it('should report missing commands', async () => {
+      const backend = new ClipboardBackend(mockConfig);
+      backend.execCommand = jest.fn().mockImplementation(async (command, args) => {
+        if (args[1].includes('wl-copy')) {
+          throw new Error('not found');
+        }
+        return '/usr/bin/wtype';
+      });
+
+      await expect(backend.checkAvailability()).resolves.toEqual({
+        available: false,
+        missing: ['wl-copy'],
+        tools: { 'wl-copy': false, 'wl-paste': true, wtype: true }
+      });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const OutputRules = require('../src/services/output/output-rules');
+const TextTransforms = require('../src/utils/text-transforms');
+
+describe('OutputRules', () => {
+  let mockConfig;
+
+  beforeEach(() => {
+    mockConfig = {
+      output: {
+        rules: [
+          { name: 'password-managers', match: { appId: 'keepassxc|bitwarden' }, refuse: true },
+          {
+            name: 'terminals',
+            match: { appId: '^(kitty|foot)$' },
+            method: 'clipboard',
+            pasteKeys: 'ctrl+shift+v',
+            transforms: ['stripTrailingNewlines']
+          },
+          { name: 'chat', match: { appId: '^Slack$', title: 'general' }, transforms: ['appendSpace'] }
+        ]
+      }
+    };
+  });
+
+  const window = (appId, title = 'Window') => ({ id: 1, appId, title, pid: 100, workspaceId: 1 });
+
+  describe('match', () => {
+    it('should match app_id case-insensitively', () => {
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.match(window('org.keepassxc.KeePassXC')).rule.name).toBe('password-managers');
+    });
+
+    it('should require every pattern in a rule to match', () => {
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.match(window('Slack', '#general'))).toMatchObject({ index: 2 });
+      expect(rules.match(window('Slack', '#random'))).toBeNull();
+    });
+
+    it('should use the first matching rule', () => {
+      mockConfig.output.rules.push({ name: 'kitty-again', match: { appId: 'kitty' } });
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.match(window('kitty')).rule.name).toBe('terminals');
+    });
+
+    it('should treat rules without match as catch-all', () => {
+      mockConfig.output.rules.push({ name: 'default', typeDelay: 5 });
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.match(window('firefox')).rule.name).toBe('default');
+      expect(rules.match(null).rule.name).toBe('default');
+    });
+
+    it('should not match patterned rules when the window is unknown', () => {
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.match(null)).toBeNull();
+    });
+  });
+
+  describe('resolve', () => {
+    it('should return delivery options for the matched rule', () => {
+      const rules = new OutputRules(mockConfig);
+      const target = rules.resolve(window('foot'));
+
+      expect(target).toEqual({
+        window: window('foot'),
+        rule: 'terminals',
+        ruleIndex: 1,
+        refuse: false,
+        options: {
+          method: 'clipboard',
+          pasteKeys: 'ctrl+shift+v',
+          transforms: ['stripTrailingNewlines']
+        }
+      });
+    });
+
+    it('should flag refusals', () => {
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.resolve(window('bitwarden')).refuse).toBe(true);
+    });
+
+    it('should return empty options when no rule matches', () => {
+      const rules = new OutputRules(mockConfig);
+
+      expect(rules.resolve(window('firefox'))).toMatchObject({
+        rule: null,
+        ruleIndex: null,
+        refuse: false,
+        options: {}
+      });
+    });
+  });
+
+  describe('validation', () => {
+    it('should reject invalid regular expressions', () => {
+      mockConfig.output.rules = [{ name: 'broken', match: { appId: '(' } }];
+
+      expect(() => new OutputRules(mockConfig)).toThrow('Invalid output rule "broken"');
+    });
+
+    it('should reject unknown transforms', () => {
+      mockConfig.output.rules = [{ name: 'broken', transforms: ['shout'] }];
+
+      expect(() => new OutputRules(mockConfig)).toThrow('unknown transform shout');
+    });
+
+    it('should accept a config without rules', () => {
+      expect(new OutputRules({}).rules).toEqual([]);
+    });
+  });
+});
+
+describe('TextTransforms', () => {
+  it('should apply transforms in order', () => {
+    expect(TextTransforms.apply('Hello.', ['stripTrailingPeriod', 'appendSpace'])).toBe('Hello ');
+  });
+
+  it('should keep ellipses when stripping the trailing period', () => {
+    expect(TextTransforms.apply('Wait...', ['stripTrailingPeriod'])).toBe('Wait...');
+  });
+
+  it('should strip trailing newlines', () => {
+    expect(TextTransforms.apply('ls -la\n\n', ['stripTrailingNewlines'])).toBe('ls -la');
+  });
+
+  it('should return text unchanged without transforms', () => {
+    expect(TextTransforms.apply('Hello')).toBe('Hello');
+  });
+
+  it('should count grapheme clusters rather than UTF-16 code units', () => {
+    expect(TextTransforms.countGraphemes('e\u0301')).toBe(1);
+    expect(TextTransforms.countGraphemes('👨‍👩‍👧')).toBe(1);
+    expect(TextTransforms.countGraphemes('Zoë\r\n')).toBe(4);
+  });
+
+  it('should reject unknown transforms', () => {
+    expect(() => TextTransforms.apply('Hello', ['shout'])).toThrow('Unknown text transform: shout');
+  });
+});
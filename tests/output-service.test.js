@@ -0,0 +1,480 @@
+const EventEmitter = require('events');
+const OutputService = require('../src/services/output/output-service');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('OutputService', () => {
+  let service;
+  let mockConfig;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      output: {
+        method: 'wtype',
+        fallbackMethods: ['wtype', 'ydotool', 'clipboard'],
+        typeDelay: 10,
+        punctuationDelay: 100,
+        debug: false
+      }
+    };
+
+    service = new OutputService(mockConfig, mockLogger);
+    for (const backend of Object.values(service.backends)) {
+      backend.execCommand = jest.fn().mockResolvedValue('');
+      backend.sleep = jest.fn().mockResolvedValue();
+    }
+    service.sleep = jest.fn().mockResolvedValue();
+    service.niri.getFocusedWindow = jest.fn().mockResolvedValue(null);
+  });
+
+  describe('constructor', () => {
+    it('should extend EventEmitter', () => {
+      expect(service).toBeInstanceOf(EventEmitter);
+    });
+
+    it('should initialize all backends', () => {
+      expect(Object.keys(service.backends)).toEqual(['wtype', 'ydotool', 'dotool', 'clipboard', 'dry-run']);
+    });
+
+    it('should start with an empty queue', () => {
+      expect(service.getStatus()).toEqual({
+        method: 'wtype',
+        fallbackMethods: ['wtype', 'ydotool', 'clipboard'],
+        rules: 0,
+        isTyping: false,
+        queueLength: 0,
+        completed: 0,
+        failed: 0,
+        lastOutput: null,
+        undoAvailable: 0
+      });
+    });
+  });
+
+  describe('output', () => {
+    it('should type text with wtype using the configured type delay', async () => {
+      await service.output('Hello world');
+
+      expect(service.backends.wtype.execCommand).toHaveBeenCalledWith('wtype', ['-d', '10', '-'], 'Hello world');
+    });
+
+    it('should trim surrounding whitespace from transcripts', async () => {
+      await service.output('  Hello world \n');
+
+      expect(service.backends.wtype.execCommand).toHaveBeenCalledWith('wtype', expect.any(Array), 'Hello world');
+    });
+
+    it('should keep voice command line breaks when preserving whitespace', async () => {
+      await service.output(' \n\tIndented\n', { preserveWhitespace: true, method: 'dry-run' });
+
+      expect(service.backends['dry-run'].getRecordedText()).toBe('\n\tIndented\n');
+    });
+
+    it('should skip empty transcripts', async () => {
+      const result = await service.output('   ');
+
+      expect(result).toBeNull();
+      expect(service.backends.wtype.execCommand).not.toHaveBeenCalled();
+    });
+
+    it('should pause after punctuation', async () => {
+      await service.output('Hello, world. Done');
+
+      const { execCommand } = service.backends.wtype;
+      expect(execCommand).toHaveBeenCalledTimes(3);
+      expect(execCommand.mock.calls.map(call => call[2])).toEqual(['Hello,', ' world.', ' Done']);
+      expect(service.sleep).toHaveBeenCalledTimes(2);
+      expect(service.sleep).toHaveBeenCalledWith(100);
+    });
+
+    it('should not pause after the final segment', async () => {
+      await service.output('Hello world.');
+
+      expect(service.sleep).not.toHaveBeenCalled();
+    });
+
+    it('should allow per-request delay overrides', async () => {
+      await service.output('One. Two', { typeDelay: 0, punctuationDelay: 0 });
+
+      expect(service.backends.wtype.execCommand).toHaveBeenCalledWith('wtype', ['-d', '0', '-'], 'One.');
+      expect(service.sleep).not.toHaveBeenCalled();
+    });
+
+    it('should process requests sequentially', async () => {
+      const typed = [];
+      service.backends.wtype.execCommand.mockImplementation(async (command, args, input) => {
+        typed.push(input);
+      });
+
+      await Promise.all([service.output('First'), service.output('Second')]);
+
+      expect(typed).toEqual(['First', 'Second']);
+    });
+  });
+
+  describe('backend selection', () => {
+    it('should use the configured method', async () => {
+      mockConfig.output.method = 'ydotool';
+      service = new OutputService(mockConfig, mockLogger);
+      service.backends.ydotool.execCommand = jest.fn().mockResolvedValue('');
+
+      const result = await service.output('Hello');
+
+      expect(result.method).toBe('ydotool');
+      expect(result.fallback).toBe(false);
+      expect(service.backends.ydotool.execCommand).toHaveBeenCalledWith(
+        'ydotool', ['type', '--key-delay', '10', '--file', '-'], 'Hello'
+      );
+    });
+
+    it('should allow a per-request method override', async () => {
+      const result = await service.output('Hello', { method: 'dry-run' });
+
+      expect(result.method).toBe('dry-run');
+      expect(service.backends['dry-run'].getRecordedText()).toBe('Hello');
+      expect(service.backends.wtype.execCommand).not.toHaveBeenCalled();
+    });
+
+    it('should send clipboard output in one piece without punctuation pauses', async () => {
+      const result = await service.output('Hello, world.', { method: 'clipboard' });
+
+      const { execCommand } = service.backends.clipboard;
+      expect(result.method).toBe('clipboard');
+      expect(execCommand).toHaveBeenCalledWith('wl-copy', [], 'Hello, world.');
+      expect(execCommand).toHaveBeenCalledWith('wtype', ['-M', 'ctrl', '-k', 'v', '-m', 'ctrl']);
+      expect(service.sleep).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown methods', async () => {
+      await expect(service.output('Hello', { method: 'xdotool' })).rejects.toThrow('Unknown output method: xdotool');
+    });
+
+    it('should build the fallback chain from the configured order', () => {
+      mockConfig.output.method = 'clipboard';
+      service = new OutputService(mockConfig, mockLogger);
+
+      expect(service.getBackendChain('clipboard').map(backend => backend.name)).toEqual(['clipboard', 'wtype', 'ydotool']);
+    });
+
+    it('should never fall back from or to dry-run', () => {
+      mockConfig.output.fallbackMethods = ['dry-run', 'wtype'];
+      service = new OutputService(mockConfig, mockLogger);
+
+      expect(service.getBackendChain('dry-run').map(backend => backend.name)).toEqual(['dry-run']);
+      expect(service.getBackendChain('ydotool').map(backend => backend.name)).toEqual(['ydotool', 'wtype']);
+    });
+  });
+
+  describe('focus rules', () => {
+    beforeEach(() => {
+      mockConfig.output.rules = [
+        { name: 'password-managers', match: { appId: 'keepassxc' }, refuse: true },
+        { name: 'terminals', match: { appId: '^kitty$' }, method: 'clipboard', transforms: ['stripTrailingPeriod'] },
+        { name: 'chat', match: { appId: '^Slack$' }, transforms: ['appendSpace'] }
+      ];
+      service = new OutputService(mockConfig, mockLogger);
+      for (const backend of Object.values(service.backends)) {
+        backend.execCommand = jest.fn().mockResolvedValue('');
+        backend.sleep = jest.fn().mockResolvedValue();
+      }
+      service.sleep = jest.fn().mockResolvedValue();
+    });
+
+    const focus = (appId) => {
+      service.niri.getFocusedWindow = jest.fn().mockResolvedValue({ id: 7, appId, title: 'Window' });
+    };
+
+    it('should resolve the rule for the focused window', async () => {
+      focus('kitty');
+
+      const target = await service.resolveTarget();
+
+      expect(target).toMatchObject({
+        window: { id: 7, appId: 'kitty' },
+        rule: 'terminals',
+        refuse: false,
+        options: { method: 'clipboard' }
+      });
+    });
+
+    it('should use the method and transforms of the matched rule', async () => {
+      focus('kitty');
+
+      const result = await service.output('ls -la.', { target: await service.resolveTarget() });
+
+      expect(result).toMatchObject({ text: 'ls -la', method: 'clipboard', rule: 'terminals' });
+      expect(service.backends.clipboard.execCommand).toHaveBeenCalledWith('wl-copy', [], 'ls -la');
+    });
+
+    it('should apply transforms after trimming', async () => {
+      focus('Slack');
+
+      const result = await service.output(' Hello ', { target: await service.resolveTarget() });
+
+      expect(result.text).toBe('Hello ');
+      expect(service.backends.wtype.execCommand).toHaveBeenCalledWith('wtype', expect.any(Array), 'Hello ');
+    });
+
+    it('should refuse output to matching windows', async () => {
+      const refused = jest.fn();
+      service.on('outputRefused', refused);
+      focus('org.keepassxc.KeePassXC');
+
+      const result = await service.output('secret', { target: await service.resolveTarget() });
+
+      expect(result).toBeNull();
+      expect(refused).toHaveBeenCalledWith({
+        text: 'secret',
+        rule: 'password-managers',
+        window: expect.objectContaining({ appId: 'org.keepassxc.KeePassXC' })
+      });
+      for (const backend of Object.values(service.backends)) {
+        expect(backend.execCommand).not.toHaveBeenCalled();
+      }
+    });
+
+    it('should let explicit options override the rule', async () => {
+      focus('kitty');
+
+      const result = await service.output('Hello', { target: await service.resolveTarget(), method: 'dry-run' });
+
+      expect(result.method).toBe('dry-run');
+    });
+
+    it('should fall back to defaults when niri is unavailable', async () => {
+      service.niri.getFocusedWindow = jest.fn().mockResolvedValue(null);
+
+      const result = await service.output('Hello', { target: await service.resolveTarget() });
+
+      expect(result).toMatchObject({ method: 'wtype', rule: null });
+    });
+  });
+
+  describe('undo', () => {
+    const editor = { id: 3, appId: 'org.gnome.TextEditor', title: 'Notes' };
+    const browser = { id: 9, appId: 'firefox', title: 'Docs' };
+
+    beforeEach(() => {
+      service.niri.getFocusedWindow.mockResolvedValue(editor);
+    });
+
+    it('should delete the last output with one BackSpace per grapheme cluster', async () => {
+      await service.output('Café 👍🏽 🇵🇱');
+
+      const entry = await service.undo();
+
+      expect(entry.graphemes).toBe(8);
+      const args = service.backends.wtype.execCommand.mock.calls[1][1];
+      expect(args.filter(arg => arg === 'BackSpace')).toHaveLength(8);
+    });
+
+    it('should undo several outputs in a row, most recent first', async () => {
+      await service.output('First.', { method: 'dry-run' });
+      await service.output(' Second.', { method: 'dry-run' });
+
+      expect(service.backends['dry-run'].getRecordedText()).toBe('First.Second.');
+
+      await expect(service.undo()).resolves.toMatchObject({ text: 'Second.' });
+      expect(service.backends['dry-run'].getRecordedText()).toBe('First.');
+
+      await expect(service.undo()).resolves.toMatchObject({ text: 'First.' });
+      expect(service.backends['dry-run'].getRecordedText()).toBe('');
+    });
+
+    it('should use the backend that typed the text', async () => {
+      await service.output('Hello', { method: 'ydotool' });
+
+      await service.undo();
+
+      expect(service.backends.ydotool.execCommand).toHaveBeenLastCalledWith(
+        'ydotool', ['key', '--key-delay', '10', '14:1', '14:0', '14:1', '14:0', '14:1', '14:0', '14:1', '14:0', '14:1', '14:0']
+      );
+    });
+
+    it('should refuse when focus has changed', async () => {
+      await service.output('Hello');
+      service.niri.getFocusedWindow.mockResolvedValue(browser);
+
+      await expect(service.undo()).rejects.toMatchObject({
+        code: 'FOCUS_CHANGED',
+        message: 'Cannot undo: focus changed from org.gnome.TextEditor to firefox since the text was typed'
+      });
+      expect(service.getHistory()).toHaveLength(1);
+    });
+
+    it('should refuse when the original window is unknown', async () => {
+      service.niri.getFocusedWindow.mockResolvedValue(null);
+      await service.output('Hello');
+
+      await expect(service.undo()).rejects.toMatchObject({ code: 'FOCUS_UNKNOWN' });
+    });
+
+    it('should refuse when there is nothing to undo', async () => {
+      await expect(service.undo()).rejects.toMatchObject({ code: 'NOTHING_TO_UNDO', message: 'Nothing to undo' });
+    });
+
+    it('should keep only the configured number of entries', async () => {
+      mockConfig.output.undoHistorySize = 2;
+      service = new OutputService(mockConfig, mockLogger);
+      service.niri.getFocusedWindow = jest.fn().mockResolvedValue(editor);
+
+      for (const text of ['one', 'two', 'three']) {
+        await service.output(text, { method: 'dry-run' });
+      }
+
+      expect(service.getHistory().map(entry => entry.text)).toEqual(['three', 'two']);
+    });
+
+    it('should expose the stack most recent first', async () => {
+      await service.output('one', { method: 'dry-run' });
+      await service.output('two', { method: 'dry-run' });
+
+      expect(service.getHistory()).toEqual([
+        expect.objectContaining({ text: 'two', graphemes: 3, method: 'dry-run', windowId: 3, appId: 'org.gnome.TextEditor' }),
+        expect.objectContaining({ text: 'one' })
+      ]);
+      expect(service.getStatus().undoAvailable).toBe(2);
+    });
+
+    it('should emit outputUndone', async () => {
+      const undone = jest.fn();
+      service.on('outputUndone', undone);
+      await service.output('Hello', { method: 'dry-run' });
+
+      await service.undo();
+
+      expect(undone).toHaveBeenCalledWith(expect.objectContaining({ text: 'Hello', graphemes: 5 }));
+    });
+  });
+
+  describe('fallback', () => {
+    it('should fall back to the next backend when the primary fails', async () => {
+      service.backends.wtype.execCommand.mockRejectedValue(new Error('compositor does not support virtual keyboard'));
+
+      const result = await service.output('Hello');
+
+      expect(result.method).toBe('ydotool');
+      expect(result.fallback).toBe(true);
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Output backend wtype failed:', 'compositor does not support virtual keyboard'
+      );
+    });
+
+    it('should continue with untyped segments after a mid-text failure', async () => {
+      service.backends.wtype.execCommand
+        .mockResolvedValueOnce('')
+        .mockRejectedValue(new Error('connection lost'));
+
+      await service.output('First. Second. Third');
+
+      expect(service.backends.wtype.execCommand.mock.calls.map(call => call[2])).toEqual(['First.', ' Second.']);
+      expect(service.backends.ydotool.execCommand.mock.calls.map(call => call[2])).toEqual([' Second.', ' Third']);
+    });
+
+    it('should reject when every backend fails', async () => {
+      for (const backend of Object.values(service.backends)) {
+        backend.execCommand.mockRejectedValue(new Error('unavailable'));
+      }
+
+      await expect(service.output('Hello')).rejects.toThrow('Text input failed: unavailable');
+    });
+
+    it('should not fall back when the fallback list is empty', async () => {
+      mockConfig.output.fallbackMethods = [];
+      service = new OutputService(mockConfig, mockLogger);
+      service.backends.wtype.execCommand = jest.fn().mockRejectedValue(new Error('unavailable'));
+      service.backends.ydotool.execCommand = jest.fn().mockResolvedValue('');
+
+      await expect(service.output('Hello')).rejects.toThrow('Text input failed: unavailable');
+      expect(service.backends.ydotool.execCommand).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('events', () => {
+    it('should emit outputStarted and outputCompleted', async () => {
+      const started = jest.fn();
+      const completed = jest.fn();
+      service.on('outputStarted', started);
+      service.on('outputCompleted', completed);
+
+      await service.output('Hello');
+
+      expect(started).toHaveBeenCalledWith({ text: 'Hello' });
+      expect(completed).toHaveBeenCalledWith({
+        text: 'Hello',
+        method: 'wtype',
+        fallback: false,
+        rule: null,
+        duration: expect.any(Number)
+      });
+    });
+
+    it('should emit outputFailed and reject when output fails', async () => {
+      const failed = jest.fn();
+      service.on('outputFailed', failed);
+      service.backends['dry-run'].type = jest.fn().mockRejectedValue(new Error('boom'));
+
+      await expect(service.output('Hello', { method: 'dry-run' })).rejects.toThrow('Text input failed: boom');
+      expect(failed).toHaveBeenCalledWith({ text: 'Hello', error: expect.any(Error) });
+      expect(service.getStatus().failed).toBe(1);
+    });
+
+    it('should keep processing the queue after a failure', async () => {
+      service.backends['dry-run'].type = jest.fn()
+        .mockRejectedValueOnce(new Error('failed'))
+        .mockResolvedValue();
+
+      const first = service.output('First', { method: 'dry-run' });
+      const second = service.output('Second', { method: 'dry-run' });
+
+      await expect(first).rejects.toThrow();
+      await expect(second).resolves.toMatchObject({ text: 'Second' });
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should record the last output', async () => {
+      await service.output('Hello');
+
+      const status = service.getStatus();
+      expect(status.completed).toBe(1);
+      expect(status.lastOutput).toMatchObject({
+        text: 'Hello',
+        method: 'wtype',
+        timestamp: expect.any(Number)
+      });
+    });
+
+    it('should report backend availability in detailed status', async () => {
+      service.backends.wtype.execCommand.mockResolvedValue('/usr/bin/wtype');
+      service.backends.ydotool.execCommand.mockRejectedValue(new Error('not found'));
+
+      const status = await service.getDetailedStatus();
+
+      expect(status.backends.wtype).toMatchObject({ name: 'wtype', available: true, missing: [] });
+      expect(status.backends.ydotool).toMatchObject({ available: false, missing: ['ydotool'] });
+      expect(status.backends['dry-run'].available).toBe(true);
+    });
+
+    it('should report which clipboard tools were found', async () => {
+      service.backends.clipboard.execCommand.mockImplementation(async (command, args) => {
+        if (args[1].includes('wl-paste')) {
+          throw new Error('not found');
+        }
+        return '';
+      });
+
+      const status = await service.getDetailedStatus();
+
+      expect(status.clipboardTools).toEqual({ 'wl-copy': true, 'wl-paste': false, wtype: true });
+    });
+  });
+});
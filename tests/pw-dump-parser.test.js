@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const PwDumpParser = require('../src/utils/pw-dump-parser');
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures/pw-dump', `${name}.json`), 'utf8');
+
+describe('PwDumpParser', () => {
+  describe('PipeWire 0.3.48', () => {
+    const result = PwDumpParser.parse(readFixture('pipewire-0.3.48'));
+
+    test('should list only capture sources', () => {
+      expect(result.devices).toEqual([{
+        id: 'alsa_input.pci-0000_00_1f.3.analog-stereo',
+        name: 'Built-in Audio Analog Stereo',
+        description: 'Built-in Audio Analog Stereo',
+        channels: 2,
+        sampleRates: [44100, 48000],
+        isDefault: true,
+        isMonitor: false,
+        state: 'suspended'
+      }]);
+    });
+
+    test('should decode metadata values dumped as JSON strings', () => {
+      expect(result.defaultSource).toBe('alsa_input.pci-0000_00_1f.3.analog-stereo');
+    });
+  });
+
+  describe('PipeWire 1.0.5', () => {
+    const result = PwDumpParser.parse(readFixture('pipewire-1.0.5'));
+
+    test('should read rate alternatives and ignore non-raw formats', () => {
+      const yeti = result.devices.find(device => device.id.includes('Yeti'));
+
+      expect(yeti.sampleRates).toEqual([44100, 48000]);
+      expect(yeti.isDefault).toBe(true);
+    });
+
+    test('should expand rate ranges to common rates', () => {
+      const builtIn = result.devices.find(device => device.id === 'alsa_input.pci-0000_00_1f.3.analog-stereo');
+
+      expect(builtIn.sampleRates).toEqual([44100, 48000, 88200, 96000, 176400, 192000]);
+      expect(builtIn.channels).toBe(2);
+      expect(builtIn.name).toBe('Wbudowany dźwięk Analog Stereo');
+    });
+
+    test('should hide monitor sources unless requested', () => {
+      expect(result.devices.some(device => device.isMonitor)).toBe(false);
+
+      const withMonitors = PwDumpParser.parse(readFixture('pipewire-1.0.5'), { includeMonitors: true });
+      const monitor = withMonitors.devices.find(device => device.isMonitor);
+
+      expect(monitor).toMatchObject({
+        id: 'alsa_output.pci-0000_01_00.1.hdmi-stereo.monitor',
+        name: 'Monitor of HDMI Audio',
+        channels: 2,
+        sampleRates: []
+      });
+    });
+  });
+
+  describe('PipeWire 1.2.7', () => {
+    const result = PwDumpParser.parse(readFixture('pipewire-1.2.7'));
+
+    test('should include virtual and duplex sources', () => {
+      expect(result.devices.map(device => device.id)).toEqual([
+        'bluez_input.AC_80_0A_12_34_56.0',
+        'rnnoise_source',
+        'alsa_input.pci-0000_00_1f.3.analog-stereo',
+        'alsa_card.usb-Focusrite_Scarlett_2i2.pro-input-0'
+      ]);
+    });
+
+    test('should fall back to node properties when formats are missing', () => {
+      const headset = result.devices[0];
+
+      expect(headset).toMatchObject({ name: 'WH-1000XM4', channels: 1, sampleRates: [16000], isDefault: false });
+    });
+
+    test('should use node.nick when there is no description', () => {
+      expect(result.devices[2]).toMatchObject({ name: 'ALC897 Analog', description: 'ALC897 Analog' });
+    });
+
+    test('should prefer the effective default over the configured one', () => {
+      expect(result.defaultSource).toBe('rnnoise_source');
+      expect(result.devices.filter(device => device.isDefault).map(device => device.id)).toEqual(['rnnoise_source']);
+    });
+  });
+
+  describe('Edge Cases', () => {
+    test('should treat empty output as no devices', () => {
+      expect(PwDumpParser.parse('')).toEqual({ devices: [], defaultSource: null });
+    });
+
+    test('should reject output that is not an array', () => {
+      expect(() => PwDumpParser.parse('{}')).toThrow('pw-dump output must be a JSON array');
+      expect(() => PwDumpParser.parse('not json')).toThrow();
+    });
+
+    test('should fall back to the configured default source', () => {
+      const objects = [{
+        id: 30,
+        type: 'PipeWire:Interface:Metadata',
+        props: { 'metadata.name': 'default' },
+        metadata: [{ subject: 0, key: 'default.configured.audio.source', value: { name: 'alsa_input.usb' } }]
+      }];
+
+      expect(PwDumpParser.parseDefaultSource(objects)).toBe('alsa_input.usb');
+    });
+
+    test('should flatten SPA choices', () => {
+      expect(PwDumpParser.choiceValues(2)).toEqual([2]);
+      expect(PwDumpParser.choiceValues({ default: 2, min: 1, max: 8 })).toEqual([2]);
+      expect(PwDumpParser.choiceValues({ default: 48000, alternatives: [44100, 48000] })).toEqual([48000, 44100, 48000]);
+      expect(PwDumpParser.choiceValues(undefined)).toEqual([]);
+    });
+  });
+});
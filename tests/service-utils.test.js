@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ServiceUtils = require('../src/utils/service-utils');
+
+describe('ServiceUtils', () => {
+  describe('createError', () => {
+    test('should attach the code to the error', () => {
+      const error = ServiceUtils.createError('NOT_FOUND', 'Missing');
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toMatchObject({ code: 'NOT_FOUND', message: 'Missing' });
+    });
+  });
+
+  describe('execCommand', () => {
+    const node = (script, options) => ServiceUtils.execCommand(process.execPath, ['-e', script], options);
+
+    test('should resolve with stdout', async () => {
+      await expect(node('process.stdout.write("hello")')).resolves.toBe('hello');
+    });
+
+    test('should write input to stdin', async () => {
+      await expect(node('process.stdin.pipe(process.stdout)', { input: 'piped' })).resolves.toBe('piped');
+    });
+
+    test('should resolve with a Buffer when raw', async () => {
+      const output = await node('process.stdout.write(Buffer.from([0, 255]))', { raw: true });
+
+      expect(Buffer.isBuffer(output)).toBe(true);
+      expect([...output]).toEqual([0, 255]);
+    });
+
+    test('should reject with stderr on a non-zero exit', async () => {
+      await expect(node('process.stderr.write("broken"); process.exit(2)')).rejects.toThrow('broken');
+    });
+
+    test('should reject when the command cannot be run', async () => {
+      await expect(ServiceUtils.execCommand('no-such-command-xyz', [])).rejects.toThrow('Failed to execute no-such-command-xyz');
+    });
+  });
+
+  describe('writeJsonFile', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'service-utils-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should write formatted JSON and leave no temporary file', async () => {
+      const filePath = path.join(dir, 'data.json');
+      fs.writeFileSync(filePath, '{"old": true}');
+
+      await ServiceUtils.writeJsonFile(filePath, { profiles: { mic: 1 } });
+
+      expect(fs.readFileSync(filePath, 'utf8')).toBe('{\n  "profiles": {\n    "mic": 1\n  }\n}\n');
+      expect(fs.readdirSync(dir)).toEqual(['data.json']);
+    });
+  });
+});
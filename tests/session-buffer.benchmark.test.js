@@ -0,0 +1,76 @@
+const ChunkedAudioBuffer = require('../src/utils/chunked-audio-buffer');
+
+// Compares the previous session storage (spread into a JS array, copied into a
+// Float32Array on stop) with ChunkedAudioBuffer for a five-minute recording.
+// Not part of `npm test`: run it with `npm run benchmark`, which exposes gc()
+// so the memory each approach retains can be measured after a full collection.
+describe('Session buffer benchmark', () => {
+  const sampleRate = 16000;
+  const durationSeconds = 300;
+  const chunkSamples = 1024; // typical pw-record read size
+  const totalChunks = Math.ceil(sampleRate * durationSeconds / chunkSamples);
+  const chunk = new Float32Array(chunkSamples).map((_, i) => Math.sin(i / 10) * 0.5);
+
+  beforeAll(() => {
+    if (typeof gc !== 'function') {
+      throw new Error('The session buffer benchmark needs gc(); run it with `npm run benchmark`');
+    }
+  });
+
+  // Typed array contents live outside the JS heap, so both are counted
+  const usedBytes = () => {
+    const usage = process.memoryUsage();
+    return usage.heapUsed + usage.arrayBuffers;
+  };
+
+  const measure = (record) => {
+    gc();
+    const before = usedBytes();
+    const start = process.hrtime.bigint();
+
+    const stored = record();
+
+    const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+    // Collect the garbage created while recording; what is left is what the session retains
+    gc();
+
+    return { stored, elapsedMs, retainedBytes: usedBytes() - before };
+  };
+
+  test('chunked typed-array storage uses less memory and CPU than a JS array', () => {
+    const legacy = measure(() => {
+      const sessionBuffer = [];
+      for (let i = 0; i < totalChunks; i++) {
+        sessionBuffer.push(...chunk);
+      }
+      return { buffer: sessionBuffer, audio: new Float32Array(sessionBuffer) };
+    });
+
+    const chunked = measure(() => {
+      const sessionBuffer = new ChunkedAudioBuffer({ chunkSize: sampleRate });
+      for (let i = 0; i < totalChunks; i++) {
+        sessionBuffer.append(chunk);
+      }
+      return { buffer: sessionBuffer, audio: sessionBuffer.toFloat32Array() };
+    });
+
+    const samples = totalChunks * chunkSamples;
+    const toMb = (bytes) => (bytes / 1048576).toFixed(1);
+    console.log([
+      `Session buffer benchmark (${durationSeconds}s @ ${sampleRate} Hz, ${samples} samples, retained incl. final Float32Array)`,
+      `  JS array:        ${legacy.elapsedMs.toFixed(1)} ms, ${toMb(legacy.retainedBytes)} MB`,
+      `  chunked Float32: ${chunked.elapsedMs.toFixed(1)} ms, ${toMb(chunked.retainedBytes)} MB`
+    ].join('\n'));
+
+    expect(chunked.stored.audio).toHaveLength(samples);
+    expect(Buffer.from(chunked.stored.audio.buffer).equals(Buffer.from(legacy.stored.audio.buffer))).toBe(true);
+
+    // Chunks plus the final copy: 4 bytes per sample each, and at most one partly filled chunk
+    expect(chunked.retainedBytes).toBeLessThan((2 * samples + sampleRate) * 4 * 1.1);
+    // A JS array of doubles needs at least 8 bytes per sample on top of the final copy
+    expect(legacy.retainedBytes).toBeGreaterThan(samples * (8 + 4));
+    expect(chunked.retainedBytes).toBeLessThan(legacy.retainedBytes);
+
+    expect(chunked.elapsedMs).toBeLessThan(legacy.elapsedMs);
+  });
+});
@@ -147,6 +147,23 @@ describe('TranscriptionManager', () => {
       });
     });
 
+    it('should include metadata in the transcription event', async () => {
+      const audioData = new Float32Array(16000);
+      const preprocessing = { stages: [], totalMs: 0 };
+      let emittedEvent;
+
+      manager.on('transcription', (event) => {
+        emittedEvent = event;
+      });
+
+      mockOpenAIService.transcribe.mockResolvedValue({ text: 'Hello world' });
+
+      await manager.transcribe(audioData, {}, { preprocessing });
+
+      expect(mockOpenAIService.transcribe).toHaveBeenCalledWith(audioData, {});
+      expect(emittedEvent).toMatchObject({ text: 'Hello world', preprocessing });
+    });
+
     it('should fallback to local service when OpenAI fails', async () => {
       const audioData = new Float32Array(16000);
       const mockError = new Error('API error');
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const VocabularyService = require('../src/services/vocabulary');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('VocabularyService', () => {
+  let tempDir;
+  let filePath;
+  let mockConfig;
+  let vocabulary;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vocabulary-test-'));
+    filePath = path.join(tempDir, 'vocabulary.json');
+    mockConfig = { vocabulary: { maxPromptLength: 800 } };
+    vocabulary = new VocabularyService(mockConfig, mockLogger, filePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeVocabulary = (data) => {
+    fs.writeFileSync(filePath, JSON.stringify(data));
+  };
+
+  describe('load', () => {
+    it('should start empty without a vocabulary file', () => {
+      vocabulary.load();
+
+      expect(vocabulary.list()).toEqual({ replacements: [], terms: [], prompt: '' });
+    });
+
+    it('should load replacements and terms', () => {
+      writeVocabulary({
+        replacements: [{ id: 'r1', type: 'word', from: 'neary', to: 'niri' }],
+        terms: [{ id: 't1', term: 'PipeWire' }]
+      });
+
+      vocabulary.load();
+
+      expect(vocabulary.list()).toEqual({
+        replacements: [{ id: 'r1', type: 'word', from: 'neary', to: 'niri' }],
+        terms: [{ id: 't1', term: 'PipeWire' }],
+        prompt: 'PipeWire'
+      });
+    });
+
+    it('should reject malformed files', () => {
+      fs.writeFileSync(filePath, '{ not json');
+
+      expect(() => vocabulary.load()).toThrow('Failed to parse vocabulary file');
+    });
+
+    it('should reject invalid entries', () => {
+      writeVocabulary({ replacements: [{ type: 'regex', from: '(', to: '' }] });
+
+      expect(() => vocabulary.load()).toThrow('Invalid replacement pattern');
+    });
+  });
+
+  describe('apply', () => {
+    it('should replace whole words case-insensitively', async () => {
+      await vocabulary.addReplacement({ type: 'word', from: 'neary', to: 'niri' });
+
+      expect(vocabulary.apply('I use Neary daily, nearyly.')).toBe('I use niri daily, nearyly.');
+    });
+
+    it('should match multi-word phrases across whitespace', async () => {
+      await vocabulary.addReplacement({ type: 'word', from: 'pipe wire', to: 'PipeWire' });
+
+      expect(vocabulary.apply('Restart pipe  wire now')).toBe('Restart PipeWire now');
+    });
+
+    it('should treat non-ASCII letters as part of words', async () => {
+      await vocabulary.addReplacement({ type: 'word', from: 'sevos', to: 'Sevos' });
+
+      expect(vocabulary.apply('sevos i sevosów')).toBe('Sevos i sevosów');
+    });
+
+    it('should apply regex replacements with capture groups', async () => {
+      await vocabulary.addReplacement({ type: 'regex', from: 'ticket (\\d+)', to: 'TICKET-$1' });
+
+      expect(vocabulary.apply('Close ticket 7 and Ticket 12')).toBe('Close TICKET-7 and TICKET-12');
+    });
+
+    it('should respect custom regex flags', async () => {
+      await vocabulary.addReplacement({ type: 'regex', from: 'foo', to: 'bar', flags: '' });
+
+      expect(vocabulary.apply('foo foo')).toBe('bar foo');
+    });
+
+    it('should apply replacements in order', async () => {
+      await vocabulary.addReplacement({ type: 'word', from: 'wire plumber', to: 'wireplumber' });
+      await vocabulary.addReplacement({ type: 'word', from: 'wireplumber', to: 'WirePlumber' });
+
+      expect(vocabulary.apply('wire plumber')).toBe('WirePlumber');
+    });
+  });
+
+  describe('prompt', () => {
+    it('should join preferred terms', async () => {
+      await vocabulary.addTerm({ term: 'niri' });
+      await vocabulary.addTerm({ term: 'Wayland' });
+
+      expect(vocabulary.buildPrompt()).toBe('niri, Wayland');
+    });
+
+    it('should stop adding terms at the length limit', async () => {
+      mockConfig.vocabulary.maxPromptLength = 12;
+      vocabulary = new VocabularyService(mockConfig, mockLogger, filePath);
+      await vocabulary.addTerm({ term: 'niri' });
+      await vocabulary.addTerm({ term: 'Wayland' });
+
+      expect(vocabulary.buildPrompt()).toBe('niri');
+    });
+
+    it('should add the prompt to transcription options', async () => {
+      await vocabulary.addTerm({ term: 'niri' });
+
+      expect(vocabulary.getTranscriptionOptions()).toEqual({ prompt: 'niri' });
+      expect(vocabulary.getTranscriptionOptions({ prompt: 'Meeting notes.', responseFormat: 'text' })).toEqual({
+        prompt: 'Meeting notes. niri',
+        responseFormat: 'text'
+      });
+    });
+
+    it('should leave options untouched without terms', () => {
+      const options = { responseFormat: 'text' };
+
+      expect(vocabulary.getTranscriptionOptions(options)).toBe(options);
+    });
+  });
+
+  describe('runtime changes', () => {
+    it('should persist added entries', async () => {
+      const replacement = await vocabulary.addReplacement({ type: 'word', from: 'neary', to: 'niri' });
+      const term = await vocabulary.addTerm({ term: ' niri ' });
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved).toEqual({
+        replacements: [{ id: replacement.id, type: 'word', from: 'neary', to: 'niri' }],
+        terms: [{ id: term.id, term: 'niri' }]
+      });
+    });
+
+    it('should reload what was saved', async () => {
+      await vocabulary.addReplacement({ type: 'regex', from: 'x+', to: 'x', flags: 'g' });
+
+      const reloaded = new VocabularyService(mockConfig, mockLogger, filePath);
+      reloaded.load();
+
+      expect(reloaded.apply('xxx')).toBe('x');
+    });
+
+    it('should remove entries by id', async () => {
+      const replacement = await vocabulary.addReplacement({ type: 'word', from: 'a', to: 'b' });
+      const term = await vocabulary.addTerm({ term: 'niri' });
+
+      await expect(vocabulary.removeReplacement(replacement.id)).resolves.toMatchObject({ from: 'a' });
+      await expect(vocabulary.removeTerm(term.id)).resolves.toEqual(term);
+
+      const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      expect(saved).toEqual({ replacements: [], terms: [] });
+    });
+
+    it('should not duplicate terms', async () => {
+      const first = await vocabulary.addTerm({ term: 'niri' });
+      const second = await vocabulary.addTerm({ term: 'NIRI' });
+
+      expect(second).toEqual(first);
+      expect(vocabulary.list().terms).toHaveLength(1);
+    });
+
+    it('should reject unknown ids', async () => {
+      await expect(vocabulary.removeTerm('missing')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+      await expect(vocabulary.removeReplacement('missing')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    });
+
+    it('should reject invalid entries without saving', async () => {
+      await expect(vocabulary.addReplacement({ type: 'fuzzy', from: 'a', to: 'b' })).rejects.toMatchObject({ code: 'INVALID_ENTRY' });
+      await expect(vocabulary.addReplacement({ type: 'word', from: ' ', to: 'b' })).rejects.toMatchObject({ code: 'INVALID_ENTRY' });
+      await expect(vocabulary.addTerm({})).rejects.toMatchObject({ code: 'INVALID_ENTRY' });
+
+      expect(fs.existsSync(filePath)).toBe(false);
+    });
+  });
+});
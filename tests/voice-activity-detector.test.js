@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const VoiceActivityDetector = require('../src/utils/voice-activity-detector');
+const AudioAnalysis = require('../src/utils/audio-analysis');
+const AudioFormatConverter = require('../src/utils/audio-format');
+
+const FRAME = 480; // 30 ms at 16 kHz
+const fixtureDir = path.join(__dirname, 'fixtures', 'vad');
+// Each WAV comes with a JSON file of labelled speech times; "source" says whether it was recorded or generated
+const fixtures = fs.readdirSync(fixtureDir)
+  .filter(file => file.endsWith('.wav'))
+  .map(file => path.join(fixtureDir, path.basename(file, '.wav')));
+
+// Deterministic noise so thresholds behave the same on every run
+const noise = (length, amplitude, seed = 1) => {
+  let state = seed;
+  return new Float32Array(length).map(() => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return amplitude * (state / 1073741824 - 1);
+  });
+};
+const tone = (length, amplitude) => new Float32Array(length).map((_, i) => amplitude * Math.sin(i / 3));
+const concat = (...parts) => {
+  const result = new Float32Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+};
+const ms = (duration) => duration * 16;
+
+const run = (detector, audio, frameSize = FRAME) => {
+  const events = [];
+  detector.on('speechStart', (event) => events.push({ type: 'speechStart', ...event }));
+  detector.on('speechEnd', (event) => events.push({ type: 'speechEnd', ...event }));
+
+  for (let offset = 0; offset < audio.length; offset += frameSize) {
+    detector.process(audio.subarray(offset, offset + frameSize));
+  }
+  detector.flush();
+  return events;
+};
+
+describe('VoiceActivityDetector', () => {
+  describe('synthetic signals', () => {
+    test('should report speech start and end offsets', () => {
+      const audio = concat(noise(ms(480), 0.002), tone(ms(600), 0.2), noise(ms(900), 0.002));
+      const events = run(new VoiceActivityDetector(), audio);
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd']);
+      expect(events[0].offset).toBe(ms(480));
+      expect(events[1].offset).toBe(ms(1080));
+      expect(events[1]).toMatchObject({ start: ms(480), durationSamples: ms(600) });
+    });
+
+    test('should not start speech for bursts shorter than the onset', () => {
+      const audio = concat(noise(ms(480), 0.002), tone(ms(30), 0.2), noise(ms(900), 0.002));
+      expect(run(new VoiceActivityDetector({ onsetMs: 60 }), audio)).toEqual([]);
+    });
+
+    test('should bridge pauses shorter than the hangover', () => {
+      const audio = concat(
+        noise(ms(480), 0.002),
+        tone(ms(300), 0.2),
+        noise(ms(210), 0.002),
+        tone(ms(300), 0.2),
+        noise(ms(900), 0.002)
+      );
+      const events = run(new VoiceActivityDetector({ hangoverMs: 300 }), audio);
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd']);
+    });
+
+    test('should split on pauses longer than the hangover', () => {
+      const audio = concat(
+        noise(ms(480), 0.002),
+        tone(ms(300), 0.2),
+        noise(ms(600), 0.002),
+        tone(ms(300), 0.2),
+        noise(ms(900), 0.002)
+      );
+      const events = run(new VoiceActivityDetector({ hangoverMs: 300 }), audio);
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd', 'speechStart', 'speechEnd']);
+      expect(events[2].offset).toBe(ms(1380));
+    });
+
+    test('should treat steady loud noise as background, not speech', () => {
+      // ~0.03 RMS noise is speech to classifyFrame's fixed 0.01 threshold
+      const room = noise(ms(3000), 0.05);
+      const events = run(new VoiceActivityDetector(), room);
+
+      expect(events).toEqual([]);
+      expect(AudioAnalysis.classifyFrame(room.subarray(0, FRAME), AudioAnalysis.calculateFrameEnergy(room.subarray(0, FRAME))))
+        .not.toBe('silence');
+    });
+
+    test('should still detect speech over loud noise', () => {
+      const background = noise(ms(600), 0.05, 7);
+      const speech = tone(ms(600), 0.3).map((sample, i) => sample + background[i]);
+      const audio = concat(noise(ms(960), 0.05), speech, noise(ms(900), 0.05, 3));
+      const events = run(new VoiceActivityDetector(), audio);
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd']);
+      expect(events[0].offset).toBe(ms(960));
+    });
+
+    test('should learn a noise source that starts mid-session', () => {
+      const detector = new VoiceActivityDetector();
+      const events = run(detector, concat(noise(ms(480), 0.002), noise(ms(60000), 0.05)));
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd']);
+      expect(events[1].offset).toBeLessThan(ms(45000));
+      expect(detector.getState().noiseFloor).toBeGreaterThan(0.02);
+    });
+
+    test('should follow the noise floor down quickly', () => {
+      const detector = new VoiceActivityDetector();
+      run(detector, concat(noise(ms(480), 0.05), noise(ms(300), 0.002)));
+
+      expect(detector.getState().noiseFloor).toBeLessThan(0.005);
+    });
+
+    test('should never report digital silence as speech', () => {
+      expect(run(new VoiceActivityDetector(), new Float32Array(ms(2000)))).toEqual([]);
+    });
+
+    test('should end speech in progress on flush', () => {
+      const detector = new VoiceActivityDetector();
+      const events = run(detector, concat(noise(ms(480), 0.002), tone(ms(600), 0.2)));
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd']);
+      expect(events[1].offset).toBe(ms(1080));
+      expect(detector.getState().isSpeech).toBe(false);
+    });
+
+    test('should give the same result for different frame sizes', () => {
+      const audio = concat(noise(ms(480), 0.002), tone(ms(600), 0.2), noise(ms(900), 0.002));
+      const offsets = (frameSize) => run(new VoiceActivityDetector(), audio, frameSize).map(event => event.offset);
+
+      expect(offsets(160)).toEqual(offsets(480));
+    });
+
+    test('should detect speech from the first frame with an initial noise floor', () => {
+      const detector = new VoiceActivityDetector({ warmupMs: 0, initialNoiseFloor: 0.001 });
+      const events = run(detector, concat(tone(ms(600), 0.2), noise(ms(900), 0.002)));
+
+      expect(events.map(event => event.type)).toEqual(['speechStart', 'speechEnd']);
+      expect(events[0].offset).toBe(0);
+    });
+
+    test('should start again from scratch after reset', () => {
+      const detector = new VoiceActivityDetector();
+      run(detector, concat(noise(ms(480), 0.05), tone(ms(300), 0.3)));
+
+      detector.reset();
+
+      expect(detector.getState()).toEqual({ isSpeech: false, noiseFloor: null, position: 0 });
+    });
+  });
+
+  describe.each(fixtures.map(fixturePath => [path.basename(fixturePath), fixturePath]))('WAV fixture %s', (name, fixturePath) => {
+    const labels = JSON.parse(fs.readFileSync(`${fixturePath}.json`, 'utf8'));
+    const { samples, sampleRate } = AudioFormatConverter.parseWav(fs.readFileSync(`${fixturePath}.wav`));
+
+    test('should find each labelled phrase to within one frame', () => {
+      const events = run(new VoiceActivityDetector({ sampleRate }), samples);
+      const segments = [];
+      for (let i = 0; i < events.length; i += 2) {
+        segments.push({ start: events[i].offset / sampleRate, end: events[i + 1].offset / sampleRate });
+      }
+
+      expect(segments).toHaveLength(labels.speech.length);
+      segments.forEach((segment, i) => {
+        expect(Math.abs(segment.start - labels.speech[i].start)).toBeLessThanOrEqual(0.03);
+        expect(Math.abs(segment.end - labels.speech[i].end)).toBeLessThanOrEqual(0.03);
+      });
+    });
+
+    test('should switch state far less often than classifyFrame', () => {
+      const detector = new VoiceActivityDetector({ sampleRate });
+      let vadTransitions = 0;
+      let frameTransitions = 0;
+      let previousVad = false;
+      let previousFrame = false;
+
+      for (let offset = 0; offset + FRAME <= samples.length; offset += FRAME) {
+        const frame = samples.subarray(offset, offset + FRAME);
+        const { isSpeech } = detector.process(frame);
+        const frameSpeech = AudioAnalysis.classifyFrame(frame, AudioAnalysis.calculateFrameEnergy(frame)) !== 'silence';
+
+        vadTransitions += isSpeech !== previousVad ? 1 : 0;
+        frameTransitions += frameSpeech !== previousFrame ? 1 : 0;
+        previousVad = isSpeech;
+        previousFrame = frameSpeech;
+      }
+
+      expect(vadTransitions).toBeLessThanOrEqual(labels.speech.length * 2);
+      expect(frameTransitions).toBeGreaterThan(vadTransitions * 2);
+    });
+
+    test('should settle the noise floor near the background level', () => {
+      const detector = new VoiceActivityDetector({ sampleRate });
+      run(detector, samples);
+
+      expect(detector.getState().noiseFloor).toBeGreaterThan(labels.noiseRms * 0.5);
+      expect(detector.getState().noiseFloor).toBeLessThan(labels.noiseRms * 2);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+const VoiceCommandProcessor = require('../src/services/voice-commands/voice-command-processor');
+
+// Mock logger
+const mockLogger = {
+  info: jest.fn(),
+  debug: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('VoiceCommandProcessor', () => {
+  let processor;
+  let mockConfig;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockConfig = {
+      voiceCommands: {
+        enabled: true,
+        defaultLanguage: 'en',
+        custom: {}
+      }
+    };
+
+    processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+  });
+
+  const run = (text, language = 'en') => processor.process(text, language).text;
+
+  describe('punctuation', () => {
+    it('should replace spoken punctuation', () => {
+      expect(run('Hello comma world full stop')).toBe('Hello, world.');
+    });
+
+    it('should handle multi-word punctuation commands', () => {
+      expect(run('Are you there question mark')).toBe('Are you there?');
+    });
+
+    it('should ignore punctuation Whisper attached to command words', () => {
+      expect(run('Hello, comma, world. Full stop.')).toBe('Hello, world.');
+    });
+
+    it('should match commands case-insensitively', () => {
+      expect(run('Done Full Stop')).toBe('Done.');
+    });
+  });
+
+  describe('newlines and keys', () => {
+    it('should insert line breaks without surrounding spaces', () => {
+      expect(run('First line. New line. Second line.')).toBe('First line.\nSecond line.');
+    });
+
+    it('should insert paragraph breaks', () => {
+      expect(run('Intro new paragraph body')).toBe('Intro\n\nbody');
+    });
+
+    it('should keep trailing line breaks', () => {
+      expect(run('Send it press enter')).toBe('Send it\n');
+    });
+
+    it('should type tab key presses', () => {
+      expect(run('name press tab value')).toBe('name\tvalue');
+    });
+  });
+
+  describe('edits', () => {
+    it('should delete the sentence being dictated', () => {
+      expect(run('This stays. This is wrong delete that')).toBe('This stays.');
+    });
+
+    it('should delete back to the previous line break', () => {
+      expect(run('Line one new line line two scratch that')).toBe('Line one\n');
+    });
+
+    it('should request undo of the previous output when nothing precedes the command', () => {
+      const result = processor.process('Delete that.', 'en');
+
+      expect(result.text).toBe('');
+      expect(result.undoPrevious).toBe(1);
+    });
+
+    it('should continue dictating after an undo request', () => {
+      const result = processor.process('Scratch that. Better sentence.', 'en');
+
+      expect(result).toMatchObject({ text: 'Better sentence.', undoPrevious: 1 });
+    });
+  });
+
+  describe('modifiers', () => {
+    it('should upper-case the next word with all caps', () => {
+      expect(run('this is all caps next important')).toBe('this is IMPORTANT');
+    });
+
+    it('should capitalize the next word', () => {
+      expect(run('ask cap next john')).toBe('ask John');
+    });
+
+    it('should type the next word literally', () => {
+      expect(run('put a literal next comma here')).toBe('put a comma here');
+    });
+
+    it('should apply modifiers in other languages', () => {
+      expect(run('Frag nächstes wort groß anna', 'de')).toBe('Frag Anna');
+      expect(run('Napisz następne słowo dosłownie kropka', 'pl')).toBe('Napisz kropka');
+    });
+  });
+
+  describe('ordinary dictation', () => {
+    it.each([
+      ['en', 'I bought a cap yesterday.'],
+      ['en', 'The literal meaning is different.'],
+      ['en', 'It was a difficult period.'],
+      ['en', 'The trial period ends in March.'],
+      ['en', 'The colon is part of the gut.'],
+      ['en', 'Everything was written in all caps.'],
+      ['de', 'Wir treffen uns Punkt acht.'],
+      ['de', 'Das ist ein wichtiger Punkt.'],
+      ['de', 'Er hat es wörtlich genommen.']
+    ])('should leave %s "%s" unchanged', (language, text) => {
+      expect(run(text, language)).toBe(text);
+    });
+  });
+
+  describe('command prefix', () => {
+    beforeEach(() => {
+      mockConfig.voiceCommands.prefix = 'command';
+      processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+    });
+
+    it('should recognise ordinary-word commands after the prefix', () => {
+      expect(run('The trial period ends command period')).toBe('The trial period ends.');
+      expect(run('Note, command colon. Buy milk')).toBe('Note: Buy milk');
+      expect(run('Treffen um Punkt acht Command Punkt', 'de')).toBe('Treffen um Punkt acht.');
+    });
+
+    it('should accept the prefix before any command', () => {
+      expect(run('Hi command comma there')).toBe('Hi, there');
+    });
+
+    it('should keep the prefix word when no command follows', () => {
+      expect(run('Open the command line')).toBe('Open the command line');
+    });
+  });
+
+  describe('languages', () => {
+    it('should use the table matching the Whisper language name', () => {
+      expect(run('Cześć przecinek świecie kropka', 'polish')).toBe('Cześć, świecie.');
+      expect(run('Hallo Komma Welt Fragezeichen', 'german')).toBe('Hallo, Welt?');
+    });
+
+    it('should accept language codes', () => {
+      expect(run('Nowa linia nowa linia', 'pl')).toBe('\n\n');
+    });
+
+    it('should not apply commands from other languages', () => {
+      expect(run('Hello kropka', 'english')).toBe('Hello kropka');
+    });
+
+    it('should fall back to the default language', () => {
+      expect(processor.process('Hi comma', 'unknown').language).toBe('en');
+    });
+
+    it('should list available languages', () => {
+      expect(processor.getLanguages()).toEqual(['en', 'pl', 'de']);
+    });
+  });
+
+  describe('custom commands', () => {
+    it('should add user commands to a language', () => {
+      mockConfig.voiceCommands.custom = {
+        en: [{ phrase: 'smiley face', action: 'text', value: ':)' }]
+      };
+      processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+
+      expect(run('Thanks smiley face')).toBe('Thanks :)');
+    });
+
+    it('should let user commands redefine built-in phrases', () => {
+      mockConfig.voiceCommands.custom = {
+        en: [{ phrase: 'period', action: 'text', value: 'period' }]
+      };
+      processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+
+      expect(run('The trial period ends')).toBe('The trial period ends');
+    });
+
+    it('should support languages without a built-in table', () => {
+      mockConfig.voiceCommands.custom = {
+        es: [{ phrase: 'punto', action: 'punctuation', value: '.' }]
+      };
+      processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+
+      expect(run('Hola punto', 'es')).toBe('Hola.');
+    });
+
+    it('should reject commands that need a value but have none', () => {
+      mockConfig.voiceCommands.custom = {
+        en: [{ phrase: 'dash', action: 'punctuation' }]
+      };
+
+      expect(() => new VoiceCommandProcessor(mockConfig, mockLogger))
+        .toThrow('Custom voice command "dash" (en): action "punctuation" requires a value');
+    });
+
+    it('should reject unsupported keys', () => {
+      mockConfig.voiceCommands.custom = {
+        en: [{ phrase: 'escape', action: 'key', value: 'escape' }]
+      };
+
+      expect(() => new VoiceCommandProcessor(mockConfig, mockLogger)).toThrow('unsupported key "escape"');
+    });
+
+    it('should accept supported keys', () => {
+      mockConfig.voiceCommands.custom = {
+        en: [{ phrase: 'indent', action: 'key', value: 'tab' }]
+      };
+      processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+
+      expect(run('indent hello')).toBe('\thello');
+    });
+  });
+
+  describe('config schema', () => {
+    const Ajv = require('ajv');
+    const configSchema = require('../src/config/schema');
+    const validate = new Ajv({ useDefaults: true }).compile({
+      type: 'object',
+      properties: { voiceCommands: configSchema.properties.voiceCommands }
+    });
+    const withCommand = (command) => ({ voiceCommands: { custom: { en: [command] } } });
+
+    it('should require a value for actions that type one', () => {
+      for (const action of ['punctuation', 'newline', 'text', 'key']) {
+        expect(validate(withCommand({ phrase: 'dash', action }))).toBe(false);
+      }
+      expect(validate(withCommand({ phrase: 'dash', action: 'punctuation', value: '-' }))).toBe(true);
+      expect(validate(withCommand({ phrase: 'scratch that', action: 'deleteThat' }))).toBe(true);
+    });
+
+    it('should only accept supported keys', () => {
+      expect(validate(withCommand({ phrase: 'escape', action: 'key', value: 'escape' }))).toBe(false);
+      expect(validate(withCommand({ phrase: 'indent', action: 'key', value: 'tab' }))).toBe(true);
+    });
+  });
+
+  describe('process', () => {
+    it('should report applied commands', () => {
+      expect(processor.process('Hi comma there full stop', 'en')).toEqual({
+        text: 'Hi, there.',
+        undoPrevious: 0,
+        commands: ['comma', 'full stop'],
+        language: 'en'
+      });
+    });
+
+    it('should only trim text when disabled', () => {
+      mockConfig.voiceCommands.enabled = false;
+      processor = new VoiceCommandProcessor(mockConfig, mockLogger);
+
+      expect(processor.process(' Hello comma world ', 'en')).toEqual({
+        text: 'Hello comma world',
+        undoPrevious: 0,
+        commands: [],
+        language: null
+      });
+    });
+
+    it('should handle empty transcripts', () => {
+      expect(run('')).toBe('');
+      expect(run(undefined)).toBe('');
+    });
+  });
+});